@@ -0,0 +1,694 @@
+/**
+ * Data Diff
+ *
+ * Compares two builds of the output data and reports what changed:
+ * - bees added, removed or renamed, trait, product and other field changes
+ * - mutations added, removed, or whose chance or requirements changed
+ * - combs added or removed and comb producer changes
+ * Each build is an output directory or a git revision of data/. Bees whose
+ * UID changed are matched by allele UID (or English name), and mutations and
+ * producers are compared through the rename so it does not show up as churn.
+ *
+ * Usage: node diff_data.js [options] <old> [new]
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { execFileSync } = require("child_process");
+const { parse, readJsoncFile } = require("./jsonc");
+
+/**
+ * Output files the diff reads from each build
+ */
+const DIFF_FILES = {
+  bees: "bees.jsonc",
+  mutations: "mutations.jsonc",
+  combs: "combs.jsonc",
+};
+
+/**
+ * Bee fields reported as trait changes; other fields except names are
+ * reported as field changes
+ */
+const TRAIT_FIELDS = [
+  "idealTemperature",
+  "idealHumidity",
+  "temperatureTolerance",
+  "humidityTolerance",
+  "speed",
+  "lifespan",
+  "fertility",
+  "neverSleeps",
+  "caveDwelling",
+  "tolerantFlyer",
+  "flowerProvider",
+  "flowering",
+  "territory",
+  "effect",
+];
+
+/**
+ * Bee fields not compared field by field
+ */
+const SKIPPED_FIELDS = ["name", "names", "products", ...TRAIT_FIELDS];
+
+/**
+ * Load a build from an output directory or a git revision
+ * @param {string} spec - Directory path, or a git revision ("HEAD~1", a tag...)
+ * @param {Object} [options]
+ * @param {string} [options.dataPath] - Data directory inside the repository
+ *   for git revisions (default: data)
+ * @returns {Object} { label, bees, mutations, combs }
+ */
+function loadBuild(spec, options = {}) {
+  const dataPath = options.dataPath || "data";
+  const build = { label: spec };
+
+  if (fs.existsSync(spec) && fs.statSync(spec).isDirectory()) {
+    Object.entries(DIFF_FILES).forEach(([key, fileName]) => {
+      const filePath = path.join(spec, fileName);
+      build[key] = fs.existsSync(filePath) ? readJsoncFile(filePath) : null;
+    });
+    return build;
+  }
+
+  Object.entries(DIFF_FILES).forEach(([key, fileName]) => {
+    const gitPath = `${spec}:${path.posix.join(dataPath, fileName)}`;
+    let text;
+    try {
+      text = execFileSync("git", ["show", gitPath], {
+        cwd: __dirname,
+        encoding: "utf-8",
+        maxBuffer: 256 * 1024 * 1024,
+        stdio: ["ignore", "pipe", "pipe"],
+      });
+    } catch (error) {
+      throw new Error(
+        `${spec} is neither a directory nor a git revision containing ${path.posix.join(
+          dataPath,
+          fileName
+        )}`
+      );
+    }
+    build[key] = parse(text, { filename: gitPath });
+  });
+  return build;
+}
+
+/**
+ * Stable string for comparing JSON values regardless of key order
+ */
+function stableKey(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableKey).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableKey(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Whether two JSON values are equal
+ */
+function sameValue(a, b) {
+  return stableKey(a) === stableKey(b);
+}
+
+/**
+ * Match removed bees to added bees that are the same species under a new UID
+ * Bees match by allele UID, or by mod and English name when either build has
+ * no allele UIDs.
+ * @returns {Object} { oldUid: newUid }
+ */
+function findRenamedBees(oldBees, newBees) {
+  const removed = Object.keys(oldBees).filter((uid) => !newBees[uid]);
+  const added = Object.keys(newBees).filter((uid) => !oldBees[uid]);
+  const identities = (bee) =>
+    [
+      bee.alleleUid && `allele:${bee.alleleUid}`,
+      bee.name && `name:${String(bee.mod).toLowerCase()}:${bee.name}`,
+    ].filter(Boolean);
+
+  const addedByIdentity = new Map();
+  added.forEach((uid) => {
+    identities(newBees[uid]).forEach((identity) => {
+      if (!addedByIdentity.has(identity)) addedByIdentity.set(identity, uid);
+    });
+  });
+
+  const renames = {};
+  const taken = new Set();
+  removed.forEach((uid) => {
+    const match = identities(oldBees[uid])
+      .map((identity) => addedByIdentity.get(identity))
+      .find((newUid) => newUid && !taken.has(newUid));
+    if (match) {
+      renames[uid] = match;
+      taken.add(match);
+    }
+  });
+  return renames;
+}
+
+/**
+ * Field-by-field changes between two values of the same record
+ * @returns {Object} { field: { old, new } } for fields that differ
+ */
+function fieldChanges(oldRecord, newRecord, fields) {
+  const changes = {};
+  fields.forEach((field) => {
+    if (!sameValue(oldRecord[field], newRecord[field])) {
+      changes[field] = { old: oldRecord[field], new: newRecord[field] };
+    }
+  });
+  return changes;
+}
+
+/**
+ * Compare product lists: identical products cancel out, the remaining ones
+ * are paired by item (chance or specialty changes) or added and removed
+ * A species can list the same item more than once (e.g. also as specialty).
+ */
+function diffProducts(oldProducts = [], newProducts = []) {
+  const unmatched = (products, others) => {
+    const counts = new Map();
+    others.forEach((product) => {
+      const key = stableKey(product);
+      counts.set(key, (counts.get(key) || 0) + 1);
+    });
+    return products.filter((product) => {
+      const key = stableKey(product);
+      if (!counts.get(key)) return true;
+      counts.set(key, counts.get(key) - 1);
+      return false;
+    });
+  };
+  const removed = unmatched(oldProducts, newProducts);
+  const added = [];
+  const changed = [];
+
+  unmatched(newProducts, oldProducts).forEach((product) => {
+    const index = removed.findIndex((previous) =>
+      sameValue(previous.item, product.item)
+    );
+    if (index === -1) {
+      added.push(product);
+    } else {
+      changed.push({ item: product.item, old: removed[index], new: product });
+      removed.splice(index, 1);
+    }
+  });
+
+  return added.length || removed.length || changed.length
+    ? { added, removed, changed }
+    : null;
+}
+
+/**
+ * Compare bees.jsonc of two builds
+ * @param {Object} renames - { oldUid: newUid } from findRenamedBees()
+ */
+function diffBees(oldBees, newBees, renames) {
+  const renamedTo = new Set(Object.values(renames));
+  const report = { added: [], removed: [], renamed: [], changed: [] };
+
+  Object.keys(newBees)
+    .filter((uid) => !oldBees[uid] && !renamedTo.has(uid))
+    .sort()
+    .forEach((uid) => report.added.push({ uid, name: newBees[uid].name }));
+
+  Object.keys(oldBees)
+    .filter((uid) => !newBees[uid] && !renames[uid])
+    .sort()
+    .forEach((uid) => report.removed.push({ uid, name: oldBees[uid].name }));
+
+  const pairs = Object.keys(oldBees)
+    .filter((uid) => newBees[uid] || renames[uid])
+    .map((uid) => [uid, renames[uid] || uid])
+    .sort((a, b) => a[1].localeCompare(b[1]));
+
+  pairs.forEach(([oldUid, newUid]) => {
+    const oldBee = oldBees[oldUid];
+    const newBee = newBees[newUid];
+
+    if (oldUid !== newUid || oldBee.name !== newBee.name) {
+      report.renamed.push({
+        from: oldUid,
+        to: newUid,
+        oldName: oldBee.name,
+        newName: newBee.name,
+      });
+    }
+
+    const otherFields = Array.from(
+      new Set([...Object.keys(oldBee), ...Object.keys(newBee)])
+    )
+      .filter((field) => !SKIPPED_FIELDS.includes(field))
+      .sort();
+    const traits = fieldChanges(oldBee, newBee, TRAIT_FIELDS);
+    const fields = fieldChanges(oldBee, newBee, otherFields);
+    const products = diffProducts(oldBee.products, newBee.products);
+
+    if (
+      Object.keys(traits).length > 0 ||
+      Object.keys(fields).length > 0 ||
+      products
+    ) {
+      const change = { uid: newUid, name: newBee.name };
+      if (Object.keys(traits).length > 0) change.traits = traits;
+      if (products) change.products = products;
+      if (Object.keys(fields).length > 0) change.fields = fields;
+      report.changed.push(change);
+    }
+  });
+
+  return report;
+}
+
+/**
+ * Flatten mutations.jsonc into one entry per parent pair and child
+ * Bee UIDs are mapped through renames so both builds share one key space.
+ * @returns {Map} key → { parents, child, chance, requirements }
+ */
+function flattenMutations(groups, renames = {}) {
+  const rename = (uid) => renames[uid] || uid;
+  const entries = new Map();
+
+  groups.forEach((group) => {
+    const parents = group.parents.map(rename).sort();
+    Object.entries(group.children).forEach(([offspring, child]) => {
+      const childUid = rename(offspring);
+      const key = `${parents.join(" + ")} → ${childUid}`;
+      const requirements = (child.requirements || []).map((requirement) =>
+        JSON.parse(
+          JSON.stringify(requirement).replace(
+            /"target":"([^"]+)"/g,
+            (match, target) => `"target":${JSON.stringify(rename(target))}`
+          )
+        )
+      );
+
+      // The same pair and child can appear in more than one group
+      const existing = entries.get(key);
+      if (existing) {
+        existing.requirements.push(...requirements);
+        return;
+      }
+      entries.set(key, {
+        parents,
+        child: childUid,
+        chance: child.chance,
+        requirements,
+      });
+    });
+  });
+
+  return entries;
+}
+
+/**
+ * Compare mutations.jsonc of two builds
+ */
+function diffMutations(oldGroups, newGroups, renames) {
+  const oldEntries = flattenMutations(oldGroups, renames);
+  const newEntries = flattenMutations(newGroups);
+  const report = { added: [], removed: [], changed: [] };
+
+  Array.from(newEntries.keys())
+    .sort()
+    .forEach((key) => {
+      const entry = newEntries.get(key);
+      const previous = oldEntries.get(key);
+      if (!previous) {
+        report.added.push(entry);
+        return;
+      }
+
+      const oldKeys = previous.requirements.map(stableKey);
+      const newKeys = entry.requirements.map(stableKey);
+      const change = { parents: entry.parents, child: entry.child };
+      if (previous.chance !== entry.chance) {
+        change.chance = { old: previous.chance, new: entry.chance };
+      }
+      const addedRequirements = entry.requirements.filter(
+        (requirement, i) => !oldKeys.includes(newKeys[i])
+      );
+      const removedRequirements = previous.requirements.filter(
+        (requirement, i) => !newKeys.includes(oldKeys[i])
+      );
+      if (addedRequirements.length > 0 || removedRequirements.length > 0) {
+        change.requirements = {
+          added: addedRequirements,
+          removed: removedRequirements,
+        };
+      }
+      if (change.chance || change.requirements) {
+        report.changed.push(change);
+      }
+    });
+
+  Array.from(oldEntries.keys())
+    .filter((key) => !newEntries.has(key))
+    .sort()
+    .forEach((key) => report.removed.push(oldEntries.get(key)));
+
+  return report;
+}
+
+/**
+ * Comb producers keyed by bee and specialty flag, since a bee can yield the
+ * same comb both as a regular product and as a specialty
+ */
+function producerMap(producers, rename) {
+  return new Map(
+    producers.map((p) => {
+      const producer = { bee: rename(p.bee), chance: p.chance };
+      if (p.isSpecialty) producer.isSpecialty = true;
+      return [`${producer.bee}${p.isSpecialty ? " specialty" : ""}`, producer];
+    })
+  );
+}
+
+/**
+ * Compare combs.jsonc of two builds: combs added or removed, producers
+ * added, removed or with a changed chance
+ */
+function diffCombs(oldCombs, newCombs, renames) {
+  const rename = (uid) => renames[uid] || uid;
+  const report = { added: [], removed: [], changed: [] };
+
+  Object.keys(newCombs)
+    .sort()
+    .forEach((combId) => {
+      const comb = newCombs[combId];
+      const previous = oldCombs[combId];
+      if (!previous) {
+        report.added.push({ id: combId, name: comb.name });
+        return;
+      }
+
+      const oldProducers = producerMap(previous.producers, rename);
+      const newProducers = producerMap(comb.producers, (uid) => uid);
+      const producers = { added: [], removed: [], changed: [] };
+
+      newProducers.forEach((producer, key) => {
+        const before = oldProducers.get(key);
+        if (!before) {
+          producers.added.push(producer);
+        } else if (before.chance !== producer.chance) {
+          producers.changed.push({
+            ...producer,
+            chance: { old: before.chance, new: producer.chance },
+          });
+        }
+      });
+      oldProducers.forEach((producer, key) => {
+        if (!newProducers.has(key)) producers.removed.push(producer);
+      });
+
+      if (
+        producers.added.length ||
+        producers.removed.length ||
+        producers.changed.length
+      ) {
+        report.changed.push({ id: combId, name: comb.name, producers });
+      }
+    });
+
+  Object.keys(oldCombs)
+    .filter((combId) => !newCombs[combId])
+    .sort()
+    .forEach((combId) =>
+      report.removed.push({ id: combId, name: oldCombs[combId].name })
+    );
+
+  return report;
+}
+
+/**
+ * Semantic diff of two builds
+ * @param {Object} oldBuild - Build from loadBuild()
+ * @param {Object} newBuild - Build from loadBuild()
+ * @returns {Object} { old, new, bees, mutations, combs }
+ */
+function diffBuilds(oldBuild, newBuild) {
+  const oldBees = oldBuild.bees || {};
+  const newBees = newBuild.bees || {};
+  const renames = findRenamedBees(oldBees, newBees);
+
+  return {
+    old: oldBuild.label,
+    new: newBuild.label,
+    bees: diffBees(oldBees, newBees, renames),
+    mutations: diffMutations(
+      oldBuild.mutations || [],
+      newBuild.mutations || [],
+      renames
+    ),
+    combs: diffCombs(oldBuild.combs || {}, newBuild.combs || {}, renames),
+  };
+}
+
+/**
+ * Short text for a value in the Markdown report
+ */
+function formatValue(value) {
+  if (value === undefined) return "(none)";
+  return typeof value === "string" ? value : JSON.stringify(value);
+}
+
+/**
+ * Product or producer chance as a percentage
+ */
+function formatChance(chance) {
+  return chance === undefined ? "?" : `${Math.round(chance * 1000) / 10}%`;
+}
+
+/**
+ * Product chance and specialty flag: "30%", "10% specialty"
+ */
+function formatProduct(product) {
+  return `${formatChance(product.chance)}${
+    product.isSpecialty ? " specialty" : ""
+  }`;
+}
+
+/**
+ * Render a diff report as Markdown
+ */
+function formatMarkdown(report) {
+  const lines = [`# Data diff: ${report.old} → ${report.new}`, ""];
+  const { bees, mutations, combs } = report;
+
+  lines.push("| | Added | Removed | Renamed | Changed |");
+  lines.push("| --- | --- | --- | --- | --- |");
+  lines.push(
+    `| Bees | ${bees.added.length} | ${bees.removed.length} | ${bees.renamed.length} | ${bees.changed.length} |`
+  );
+  lines.push(
+    `| Mutations | ${mutations.added.length} | ${mutations.removed.length} | | ${mutations.changed.length} |`
+  );
+  lines.push(
+    `| Combs | ${combs.added.length} | ${combs.removed.length} | | ${combs.changed.length} |`
+  );
+
+  const section = (title, items, formatItem) => {
+    if (items.length === 0) return;
+    lines.push("", `### ${title} (${items.length})`, "");
+    items.forEach((item) => lines.push(...[].concat(formatItem(item))));
+  };
+  const formatMutation = (m) => `${m.parents.join(" + ")} → ${m.child}`;
+
+  lines.push("", "## Bees");
+  section("Added", bees.added, (b) => `- \`${b.uid}\` ${b.name}`);
+  section("Removed", bees.removed, (b) => `- \`${b.uid}\` ${b.name}`);
+  section("Renamed", bees.renamed, (b) =>
+    b.from === b.to
+      ? `- \`${b.to}\` ${b.oldName} → ${b.newName}`
+      : `- \`${b.from}\` → \`${b.to}\` (${b.oldName} → ${b.newName})`
+  );
+  section("Changed", bees.changed, (b) => {
+    const out = [`- \`${b.uid}\` ${b.name}`];
+    Object.entries({ ...b.traits, ...b.fields }).forEach(([field, change]) =>
+      out.push(
+        `  - ${field}: ${formatValue(change.old)} → ${formatValue(change.new)}`
+      )
+    );
+    if (b.products) {
+      b.products.added.forEach((p) =>
+        out.push(
+          `  - product added: ${formatValue(p.item)} (${formatChance(
+            p.chance
+          )})`
+        )
+      );
+      b.products.removed.forEach((p) =>
+        out.push(
+          `  - product removed: ${formatValue(p.item)} (${formatChance(
+            p.chance
+          )})`
+        )
+      );
+      b.products.changed.forEach((p) =>
+        out.push(
+          `  - product changed: ${formatValue(p.item)} ${formatProduct(
+            p.old
+          )} → ${formatProduct(p.new)}`
+        )
+      );
+    }
+    return out;
+  });
+
+  lines.push("", "## Mutations");
+  section(
+    "Added",
+    mutations.added,
+    (m) => `- ${formatMutation(m)} (${formatChance(m.chance)})`
+  );
+  section(
+    "Removed",
+    mutations.removed,
+    (m) => `- ${formatMutation(m)} (${formatChance(m.chance)})`
+  );
+  section("Changed", mutations.changed, (m) => {
+    const out = [`- ${formatMutation(m)}`];
+    if (m.chance) {
+      out.push(
+        `  - chance: ${formatChance(m.chance.old)} → ${formatChance(
+          m.chance.new
+        )}`
+      );
+    }
+    if (m.requirements) {
+      m.requirements.added.forEach((r) =>
+        out.push(`  - requirement added: \`${JSON.stringify(r)}\``)
+      );
+      m.requirements.removed.forEach((r) =>
+        out.push(`  - requirement removed: \`${JSON.stringify(r)}\``)
+      );
+    }
+    return out;
+  });
+
+  lines.push("", "## Combs");
+  section("Added", combs.added, (c) => `- \`${c.id}\` ${c.name}`);
+  section("Removed", combs.removed, (c) => `- \`${c.id}\` ${c.name}`);
+  section("Changed", combs.changed, (c) => {
+    const out = [`- \`${c.id}\` ${c.name}`];
+    c.producers.added.forEach((p) =>
+      out.push(`  - producer added: \`${p.bee}\` (${formatProduct(p)})`)
+    );
+    c.producers.removed.forEach((p) =>
+      out.push(`  - producer removed: \`${p.bee}\` (${formatProduct(p)})`)
+    );
+    c.producers.changed.forEach((p) =>
+      out.push(
+        `  - producer chance: \`${p.bee}\`${
+          p.isSpecialty ? " specialty" : ""
+        } ${formatChance(p.chance.old)} → ${formatChance(p.chance.new)}`
+      )
+    );
+    return out;
+  });
+
+  return lines.join("\n") + "\n";
+}
+
+module.exports = { loadBuild, diffBuilds, formatMarkdown };
+
+// CLI usage
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const builds = [];
+  let format = "markdown";
+  let dataPath = "data";
+  let outputPath = null;
+
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case "--help":
+      case "-h":
+        console.log("Usage: node diff_data.js [options] <old> [new]");
+        console.log("");
+        console.log(
+          "Compares two builds of the data. Each build is an output directory"
+        );
+        console.log(
+          "or a git revision of the data directory (HEAD~1, a tag, ...)."
+        );
+        console.log("The new build defaults to data/.");
+        console.log("");
+        console.log("Options:");
+        console.log(
+          "  --format <format>  Report format: markdown or json (default: markdown)"
+        );
+        console.log("  --json             Same as --format json");
+        console.log(
+          "  --data-dir <path>  Data directory inside the repository for git revisions (default: data)"
+        );
+        console.log(
+          "  --output <file>    Write the report to a file instead of stdout"
+        );
+        console.log("  --help, -h         Show this help message");
+        process.exit(0);
+
+      case "--format":
+        format = args[++i];
+        break;
+
+      case "--json":
+        format = "json";
+        break;
+
+      case "--data-dir":
+        dataPath = args[++i];
+        break;
+
+      case "--output":
+        outputPath = args[++i];
+        break;
+
+      default:
+        builds.push(args[i]);
+    }
+  }
+
+  if (builds.length === 0 || builds.length > 2) {
+    console.error("✗ Expected one or two builds (see --help)");
+    process.exit(1);
+  }
+  if (!["markdown", "json"].includes(format)) {
+    console.error(`✗ Unknown format: ${format}`);
+    process.exit(1);
+  }
+  if (builds.length === 1) {
+    builds.push(path.join(__dirname, "data"));
+  }
+
+  let report;
+  try {
+    const [oldBuild, newBuild] = builds.map((spec) =>
+      loadBuild(spec, { dataPath })
+    );
+    report = diffBuilds(oldBuild, newBuild);
+  } catch (error) {
+    console.error(`✗ ${error.message}`);
+    process.exit(1);
+  }
+
+  const text =
+    format === "json"
+      ? JSON.stringify(report, null, 2) + "\n"
+      : formatMarkdown(report);
+  if (outputPath) {
+    fs.writeFileSync(outputPath, text);
+    console.log(`✓ Wrote ${outputPath}`);
+  } else {
+    process.stdout.write(text);
+  }
+}
@@ -8,92 +8,104 @@
 const fs = require("fs");
 const path = require("path");
 
-// Import parsers
-const { parseForestry } = require("./parsers/forestry_parser");
-const { parseExtraBees } = require("./parsers/extrabees_parser");
-const { parseCareerBees } = require("./parsers/careerbees_parser");
-const { parseMagicBees } = require("./parsers/magicbees_parser");
-const { parseGendustryConfig } = require("./parsers/gendustry_config_parser");
-const { buildOutputFiles } = require("./output_builder");
+const { runCachedParser, DEFAULT_CACHE_DIR } = require("./parsers/parse_cache");
+const { missingCompanionFiles } = require("./parsers/parser_registry");
+const { readJsoncFile } = require("./jsonc");
+const { validateOutput, formatViolations } = require("./validate_data");
+const {
+  buildOutput,
+  writeOutputFiles,
+  DEFAULT_MANUAL_MUTATIONS_PATH,
+} = require("./output_builder");
+const { formatProductId } = require("./parsers/product_utils");
+const { buildAliasTable, resolveAlleleUID } = require("./parsers/uid_utils");
 const {
   buildShortestPathMutations,
   writeShortestMutationsJsonc,
 } = require("./shortest_path_builder");
 
 /**
- * Configuration for mod parsers
- * Ordered array: Forestry first (base mod), then addon mods, then Gendustry
- * Update these paths based on MOD_SOURCE_LOCATIONS.md
+ * Default mod source manifest
  */
-const MOD_CONFIGS = [
-  {
-    key: "forestry",
-    name: "Forestry",
-    parser: parseForestry,
-    sourceFile: path.join(__dirname, "raw_data/forestry/BeeDefinition.java"),
-    langFile: path.join(__dirname, "raw_data/forestry/lang/en_us.lang"),
-  },
-  {
-    key: "extrabees",
-    name: "ExtraBees",
-    parser: parseExtraBees,
-    sourceFile: path.join(
-      __dirname,
-      "raw_data/extrabees/ExtraBeeDefinition.java"
-    ),
-    langFile: path.join(__dirname, "raw_data/extrabees/lang/en_US.lang"),
-  },
-  {
-    key: "careerbees",
-    name: "CareerBees",
-    parser: parseCareerBees,
-    sourceFile: path.join(
-      __dirname,
-      "raw_data/careerbees/CareerBeeSpecies.java"
-    ),
-    langFile: path.join(__dirname, "raw_data/careerbees/lang/en_us.lang"),
-  },
-  {
-    key: "magicbees",
-    name: "MagicBees",
-    parser: parseMagicBees,
-    sourceFile: path.join(__dirname, "raw_data/magicbees/EnumBeeSpecies.java"),
-    langFile: path.join(__dirname, "raw_data/magicbees/lang/en_US.lang"),
-  },
-  {
-    key: "gendustry_color",
-    name: "Gendustry Color Bees",
-    parser: parseGendustryConfig,
-    sourceFile: path.join(__dirname, "raw_data/gendustry/bees_color.cfg"),
-    langFile: path.join(__dirname, "raw_data/gendustry/lang/en_US.lang"),
-  },
-  {
-    key: "gendustry_patreon",
-    name: "Gendustry Patreon Bees",
-    parser: parseGendustryConfig,
-    sourceFile: path.join(__dirname, "raw_data/gendustry/bees_patreon.cfg"),
-    langFile: path.join(__dirname, "raw_data/gendustry/lang/en_US.lang"),
-  },
-  {
-    key: "meatballcraft",
-    name: "MeatballCraft",
-    parser: parseGendustryConfig,
-    sourceFile: path.join(__dirname, "raw_data/meatball_bees.cfg"),
-    // MeatballCraft uses Gendustry's lang file for built-in bees, but custom bees don't have lang entries
-    langFile: path.join(__dirname, "raw_data/gendustry/lang/en_US.lang"),
-  },
-];
+const DEFAULT_SOURCES_PATH = path.join(__dirname, "sources.jsonc");
+
+/**
+ * Load the mod source manifest
+ * Paths are resolved relative to the manifest. Without a "profiles" section
+ * the manifest describes a single "default" profile using every source.
+ * @param {string} manifestPath - Path to sources.jsonc
+ * @returns {Object} { sources: [source], profiles: [profile] }
+ */
+function loadManifest(manifestPath = DEFAULT_SOURCES_PATH) {
+  const manifest = readJsoncFile(manifestPath);
+  const baseDir = path.dirname(manifestPath);
+
+  const sources = (manifest.sources || []).map((source) => {
+    ["key", "name", "parser", "sourceFile"].forEach((field) => {
+      if (!source[field]) {
+        throw new Error(
+          `${manifestPath}: source ${JSON.stringify(
+            source.key || source.name
+          )} is missing "${field}"`
+        );
+      }
+    });
+
+    return {
+      ...source,
+      sourceFile: path.resolve(baseDir, source.sourceFile),
+      langFile: source.langFile ? path.resolve(baseDir, source.langFile) : null,
+    };
+  });
+
+  const profileEntries = Object.entries(
+    manifest.profiles || { default: { outputDir: "data" } }
+  );
+  const profiles = profileEntries.map(([name, profile]) => {
+    // Profiles list source keys; omitting them selects every source
+    const keys = profile.sources || sources.map((source) => source.key);
+    const profileSources = keys.map((key) => {
+      const source = sources.find((s) => s.key === key);
+      if (!source) {
+        throw new Error(
+          `${manifestPath}: profile "${name}" references unknown source "${key}"`
+        );
+      }
+      return source;
+    });
+
+    return {
+      name,
+      sources: profileSources,
+      manualMutationsPath: path.resolve(
+        baseDir,
+        profile.manualMutations || "manual/mutations.jsonc"
+      ),
+      outputDir: path.resolve(baseDir, profile.outputDir || `data/${name}`),
+    };
+  });
+
+  return { sources, profiles };
+}
 
 /**
  * Parse all mods and collect intermediate data
+ * @param {Array<Object>} modsConfig - Source entries from the manifest, in merge order
+ * @param {string} manualMutationsPath - Manual mutations file of the profile
+ * @param {Object} [options]
+ * @param {boolean} [options.useCache] - Skip sources whose inputs are unchanged (default: true)
+ * @param {string} [options.cacheDir] - Parse cache directory
+ * @returns {Array<Object>} Intermediate data, one entry per parsed source
  */
-function parseAllMods(modsToInclude = null) {
+function parseAllMods(
+  modsConfig,
+  manualMutationsPath = DEFAULT_MANUAL_MUTATIONS_PATH,
+  options = {}
+) {
+  const { useCache = true, cacheDir = DEFAULT_CACHE_DIR } = options;
   const intermediateData = [];
-  const modsConfig = modsToInclude
-    ? MOD_CONFIGS.filter((config) => modsToInclude.includes(config.key))
-    : MOD_CONFIGS;
 
-  // First pass: collect all data and find max widths for alignment
+  // Collect per-source counts and find max widths for alignment
   const parsedResults = [];
   let maxNameLen = "Source".length;
   let maxBeeLen = "Bees".length;
@@ -112,18 +124,13 @@ function parseAllMods(modsToInclude = null) {
   let totalCombs = 0;
 
   // Load manual mutations first to check for skipped mutations
-  const manualMutationsPath = path.join(__dirname, "manual", "mutations.jsonc");
   let manualMutations = [];
   let manualMutationCount = 0;
   const manualMutationSet = new Set();
   const manualParentPairs = new Set();
 
   if (fs.existsSync(manualMutationsPath)) {
-    const content = fs.readFileSync(manualMutationsPath, "utf-8");
-    const jsonContent = content
-      .replace(/\/\/.*$/gm, "")
-      .replace(/\/\*[\s\S]*?\*\//g, "");
-    manualMutations = JSON.parse(jsonContent);
+    manualMutations = readJsoncFile(manualMutationsPath);
     manualMutationCount = manualMutations.reduce((sum, group) => {
       return (
         sum +
@@ -151,10 +158,25 @@ function parseAllMods(modsToInclude = null) {
     });
   }
 
-  // First pass: collect all bees to build the lookup map
-  const allBees = {};
+  // Parse every source once (or load it from the cache)
+  const parsed = [];
+  let cachedCount = 0;
   for (const config of modsConfig) {
-    if (!fs.existsSync(config.sourceFile)) continue;
+    if (!fs.existsSync(config.sourceFile)) {
+      parsed.push({ config, error: "Source file not found" });
+      continue;
+    }
+
+    // The source still parses without its companion files, but what they
+    // declare (branch templates, centrifuge recipes) is missing from the output
+    missingCompanionFiles(config).forEach((file) => {
+      console.warn(
+        `⚠️  ${config.name}: ${path.basename(
+          file
+        )} not found, its data is left out`
+      );
+    });
+
     try {
       // Pass lang file to parser if it exists
       const langFile =
@@ -162,24 +184,27 @@ function parseAllMods(modsToInclude = null) {
           ? config.langFile
           : null;
 
-      // Handle different parser signatures
-      let data;
-      if (
-        config.key.startsWith("gendustry") ||
-        config.key === "meatballcraft"
-      ) {
-        // Gendustry parser signature: (configPath, modName, langFilePath)
-        data = config.parser(config.sourceFile, config.name, langFile);
-      } else {
-        // Other parsers signature: (sourceFile, langFilePath)
-        data = config.parser(config.sourceFile, langFile);
-      }
-      Object.assign(allBees, data.bees);
+      const { data, cached } = runCachedParser(
+        { ...config, langFile },
+        { useCache, cacheDir }
+      );
+      if (cached) cachedCount++;
+      data._configName = config.name;
+      data._sourceFile = path.basename(config.sourceFile);
+      parsed.push({ config, data });
     } catch (error) {
-      // Ignore errors in first pass
+      parsed.push({ config, error: error.message });
     }
   }
 
+  // Bee lookup map across all sources; mutation species given as allele
+  // UIDs are resolved the same way the output builder does
+  const allBees = {};
+  parsed.forEach(({ data }) => data && Object.assign(allBees, data.bees));
+  const aliases = buildAliasTable(allBees);
+  const resolve = (uid) =>
+    !uid || allBees[uid] ? uid : resolveAlleleUID(uid, aliases);
+
   // Track all mutations for duplicate detection
   const seenMutations = new Set();
 
@@ -198,142 +223,107 @@ function parseAllMods(modsToInclude = null) {
     return "|" + parts.join("|");
   };
 
-  // Second pass: collect data with mutation success/skip counts
-  for (const config of modsConfig) {
-    if (!fs.existsSync(config.sourceFile)) {
-      parsedResults.push({ config, error: "Source file not found" });
+  // Collect per-source counts with mutation success/skip counts
+  for (const { config, data, error } of parsed) {
+    if (error) {
+      parsedResults.push({ config, error });
       continue;
     }
 
-    try {
-      // Pass lang file to parser if it exists
-      const langFile =
-        config.langFile && fs.existsSync(config.langFile)
-          ? config.langFile
-          : null;
+    intermediateData.push(data);
 
-      // Handle different parser signatures
-      let data;
-      if (
-        config.key.startsWith("gendustry") ||
-        config.key === "meatballcraft"
-      ) {
-        // Gendustry parser signature: (configPath, modName, langFilePath)
-        data = config.parser(config.sourceFile, config.name, langFile);
-      } else {
-        // Other parsers signature: (sourceFile, langFilePath)
-        data = config.parser(config.sourceFile, langFile);
-      }
-      data._configName = config.name;
-      data._sourceFile = path.basename(config.sourceFile);
-      intermediateData.push(data);
-
-      const beeCount = Object.keys(data.bees).length;
-      const branchCount = Object.keys(data.branches || {}).length;
+    const beeCount = Object.keys(data.bees).length;
+    const branchCount = Object.keys(data.branches || {}).length;
 
-      // Count successful, skipped (unresolvable), duplicate, and merged mutations
-      let successMutations = 0;
-      let skippedMutations = 0;
-      let duplicateMutations = 0;
-      let mergedMutations = 0;
+    // Count successful, skipped (unresolvable), duplicate, and merged mutations
+    let successMutations = 0;
+    let skippedMutations = 0;
+    let duplicateMutations = 0;
+    let mergedMutations = 0;
 
-      data.mutations.forEach((mutation) => {
-        const parent1Bee = allBees[mutation.parent1];
-        const parent2Bee = allBees[mutation.parent2];
-        const offspringBee = allBees[mutation.offspring];
+    data.mutations.forEach((mutation) => {
+      const parent1 = resolve(mutation.parent1);
+      const parent2 = resolve(mutation.parent2);
+      const offspringKey = resolve(mutation.offspring);
 
-        if (!parent1Bee || !parent2Bee || !offspringBee) {
-          skippedMutations++;
+      if (!allBees[parent1] || !allBees[parent2] || !allBees[offspringKey]) {
+        skippedMutations++;
+      } else {
+        // Build mutation key matching output_builder.js format
+        const parentKey = [parent1, parent2].sort().join("|");
+        // Note: output_builder divides chance by 100, so we do the same
+        // Include serialized conditions to distinguish mutations with different requirements
+        const conditionsKey = serializeConditions(mutation.conditions);
+        const mutationKey = `${parentKey}|${offspringKey}|${
+          mutation.chance / 100
+        }${conditionsKey}`;
+
+        // For manual mutation check, use key without conditions (manual mutations don't have conditions key)
+        const baseKey = `${parentKey}|${offspringKey}|${mutation.chance / 100}`;
+
+        // Check if exact mutation exists in manual mutations or is a duplicate
+        if (manualMutationSet.has(baseKey)) {
+          duplicateMutations++;
+        } else if (seenMutations.has(mutationKey)) {
+          duplicateMutations++;
+        } else if (manualParentPairs.has(parentKey)) {
+          // Mutation shares parent pair with manual - will be merged into manual group
+          // These still count as success since they're added to output
+          mergedMutations++;
+          seenMutations.add(mutationKey);
+          successMutations++;
         } else {
-          // Build mutation key matching output_builder.js format
-          const parent1Key = `${parent1Bee.mod.toLowerCase()}:${parent1Bee.name
-            .toLowerCase()
-            .replace(/\s+/g, "")}`;
-          const parent2Key = `${parent2Bee.mod.toLowerCase()}:${parent2Bee.name
-            .toLowerCase()
-            .replace(/\s+/g, "")}`;
-          const offspringKey = `${offspringBee.mod.toLowerCase()}:${offspringBee.name
-            .toLowerCase()
-            .replace(/\s+/g, "")}`;
-          const parentKey = [parent1Key, parent2Key].sort().join("|");
-          // Note: output_builder divides chance by 100, so we do the same
-          // Include serialized conditions to distinguish mutations with different requirements
-          const conditionsKey = serializeConditions(mutation.conditions);
-          const mutationKey = `${parentKey}|${offspringKey}|${
-            mutation.chance / 100
-          }${conditionsKey}`;
-
-          // For manual mutation check, use key without conditions (manual mutations don't have conditions key)
-          const baseKey = `${parentKey}|${offspringKey}|${
-            mutation.chance / 100
-          }`;
-
-          // Check if exact mutation exists in manual mutations or is a duplicate
-          if (manualMutationSet.has(baseKey)) {
-            duplicateMutations++;
-          } else if (seenMutations.has(mutationKey)) {
-            duplicateMutations++;
-          } else if (manualParentPairs.has(parentKey)) {
-            // Mutation shares parent pair with manual - will be merged into manual group
-            // These still count as success since they're added to output
-            mergedMutations++;
-            seenMutations.add(mutationKey);
-            successMutations++;
-          } else {
-            seenMutations.add(mutationKey);
-            successMutations++;
-          }
+          seenMutations.add(mutationKey);
+          successMutations++;
         }
-      });
+      }
+    });
 
-      // Count combs from bee products
-      const combSet = new Set();
-      Object.values(data.bees).forEach((bee) => {
-        if (bee.products) {
-          bee.products.forEach((p) => {
-            if (p.item && p.item.toLowerCase().includes("comb")) {
-              combSet.add(p.item);
-            }
-          });
-        }
-      });
-      const combCount = combSet.size;
-
-      totalBees += beeCount;
-      totalSuccessMutations += successMutations;
-      totalSkippedMutations += skippedMutations;
-      totalDuplicateMutations += duplicateMutations;
-      totalMergedMutations += mergedMutations;
-      totalBranches += branchCount;
-      totalCombs += combCount;
-
-      const displayName = `${config.name} (${data._sourceFile})`;
-      maxNameLen = Math.max(maxNameLen, displayName.length);
-      maxBeeLen = Math.max(maxBeeLen, String(beeCount).length);
-      maxSuccessLen = Math.max(maxSuccessLen, String(successMutations).length);
-      maxSkipLen = Math.max(maxSkipLen, String(skippedMutations).length);
-      maxBranchLen = Math.max(maxBranchLen, String(branchCount).length);
-      maxCombLen = Math.max(maxCombLen, String(combCount).length);
-
-      parsedResults.push({
-        config,
-        data,
-        displayName,
-        beeCount,
-        successMutations,
-        skippedMutations,
-        duplicateMutations,
-        mergedMutations,
-        branchCount,
-        combCount,
-      });
-    } catch (error) {
-      parsedResults.push({ config, error: error.message });
-    }
+    // Count combs from bee products
+    const combSet = new Set();
+    Object.values(data.bees).forEach((bee) => {
+      if (bee.products) {
+        bee.products.forEach((p) => {
+          if (p.item && p.item.kind === "comb") {
+            combSet.add(formatProductId(p.item));
+          }
+        });
+      }
+    });
+    const combCount = combSet.size;
+
+    totalBees += beeCount;
+    totalSuccessMutations += successMutations;
+    totalSkippedMutations += skippedMutations;
+    totalDuplicateMutations += duplicateMutations;
+    totalMergedMutations += mergedMutations;
+    totalBranches += branchCount;
+    totalCombs += combCount;
+
+    const displayName = `${config.name} (${data._sourceFile})`;
+    maxNameLen = Math.max(maxNameLen, displayName.length);
+    maxBeeLen = Math.max(maxBeeLen, String(beeCount).length);
+    maxSuccessLen = Math.max(maxSuccessLen, String(successMutations).length);
+    maxSkipLen = Math.max(maxSkipLen, String(skippedMutations).length);
+    maxBranchLen = Math.max(maxBranchLen, String(branchCount).length);
+    maxCombLen = Math.max(maxCombLen, String(combCount).length);
+
+    parsedResults.push({
+      config,
+      data,
+      displayName,
+      beeCount,
+      successMutations,
+      skippedMutations,
+      duplicateMutations,
+      mergedMutations,
+      branchCount,
+      combCount,
+    });
   }
 
   // Update max lengths for manual and totals rows
-  const manualDisplayName = "Manual (mutations.jsonc)";
+  const manualDisplayName = `Manual (${path.basename(manualMutationsPath)})`;
   const totalsDisplayName = "TOTAL";
   maxNameLen = Math.max(
     maxNameLen,
@@ -423,6 +413,9 @@ function parseAllMods(modsToInclude = null) {
   if (totalMergedMutations > 0) {
     notes.push(`${totalMergedMutations} merged into manual groups`);
   }
+  if (cachedCount > 0) {
+    notes.push(`${cachedCount} unchanged source(s) loaded from cache`);
+  }
   if (notes.length > 0) {
     console.log(`\n(${notes.join(", ")})`);
   }
@@ -432,102 +425,338 @@ function parseAllMods(modsToInclude = null) {
 }
 
 /**
- * Main build function
+ * Check that species UIDs and in-game allele UIDs are unique across sources
+ * Scripts and JEI exports identify species by allele UID, so two species
+ * sharing one (or a species without one) would be matched to the wrong bee.
+ * @param {Array<Object>} intermediateData - Parsed sources from parseAllMods()
+ * @returns {Array<string>} Conflicts, empty when every species is unique
  */
-function build(options = {}) {
+function findSpeciesUIDConflicts(intermediateData) {
+  const conflicts = [];
+  const uidSources = {};
+  const alleleOwners = {};
+
+  intermediateData.forEach((data) => {
+    Object.entries(data.bees).forEach(([uid, bee]) => {
+      if (uidSources[uid]) {
+        conflicts.push(
+          `${uid} is defined by both ${uidSources[uid]} and ${data._configName}`
+        );
+      } else {
+        uidSources[uid] = data._configName;
+      }
+
+      if (!bee.alleleUid) {
+        conflicts.push(`${uid} (${data._configName}) has no allele UID`);
+        return;
+      }
+      const owner = alleleOwners[bee.alleleUid];
+      if (owner && owner !== uid) {
+        conflicts.push(
+          `allele UID ${bee.alleleUid} is used by both ${owner} and ${uid}`
+        );
+      } else {
+        alleleOwners[bee.alleleUid] = uid;
+      }
+    });
+  });
+
+  return conflicts;
+}
+
+/**
+ * Build one profile: parse its sources and write its output directory
+ * @param {Object} profile - Profile from the manifest
+ * @param {Object} options - Build options (modsToInclude, saveIntermediate, intermediateDir, useCache, cacheDir)
+ * @returns {Object} Output statistics for the profile summary
+ */
+function buildProfile(profile, options) {
   const {
-    modsToInclude = null,
-    outputDir = path.join(__dirname, "data"),
-    saveIntermediate = false,
-    intermediateDir = path.join(__dirname, "intermediate"),
+    modsToInclude,
+    saveIntermediate,
+    intermediateDir,
+    validate,
+    provenance,
+    useCache,
+    cacheDir,
   } = options;
+  const { outputDir, manualMutationsPath } = profile;
+  const sources = modsToInclude
+    ? profile.sources.filter((source) => modsToInclude.includes(source.key))
+    : profile.sources;
 
-  try {
-    // Parse all mods
-    const intermediateData = parseAllMods(modsToInclude);
+  if (!fs.existsSync(manualMutationsPath)) {
+    console.warn(`⚠️  Manual mutations file not found: ${manualMutationsPath}`);
+  }
 
-    if (intermediateData.length === 0) {
-      console.error("No mods were successfully parsed. Exiting.");
-      process.exit(1);
-    }
+  // Parse all mods
+  const intermediateData = parseAllMods(sources, manualMutationsPath, {
+    useCache,
+    cacheDir,
+  });
 
-    // Save intermediate files if requested
-    if (saveIntermediate) {
-      if (!fs.existsSync(intermediateDir)) {
-        fs.mkdirSync(intermediateDir, { recursive: true });
-      }
+  if (intermediateData.length === 0) {
+    throw new Error("No mods were successfully parsed");
+  }
 
-      intermediateData.forEach((data, index) => {
-        const modName = Object.values(data.bees)[0]?.mod || `mod_${index}`;
-        const filename = `${modName.toLowerCase()}_intermediate.json`;
-        const filepath = path.join(intermediateDir, filename);
-        fs.writeFileSync(filepath, JSON.stringify(data, null, 2));
-      });
+  const conflicts = findSpeciesUIDConflicts(intermediateData);
+  if (conflicts.length > 0) {
+    throw new Error(
+      `Species UIDs are not unique (${
+        conflicts.length
+      } conflict(s)):\n${conflicts.map((c) => `  ${c}`).join("\n")}`
+    );
+  }
+
+  // Save intermediate files if requested
+  if (saveIntermediate) {
+    if (!fs.existsSync(intermediateDir)) {
+      fs.mkdirSync(intermediateDir, { recursive: true });
     }
 
-    // Build output files and get stats
-    const stats = buildOutputFiles(intermediateData, outputDir);
-
-    // Build shortest path mutations
-    console.log("\nCalculating shortest breeding paths...");
-    const mutationsPath = path.join(outputDir, "mutations.jsonc");
-    const mutationsContent = fs.readFileSync(mutationsPath, "utf-8");
-    const mutationsJson = mutationsContent
-      .replace(/\/\/.*$/gm, "")
-      .replace(/\/\*[\s\S]*?\*\//g, "");
-    const allMutations = JSON.parse(mutationsJson);
-
-    // Get all bees from intermediate data
-    const allBees = {};
-    intermediateData.forEach((data) => {
-      Object.assign(allBees, data.bees);
+    intermediateData.forEach((data, index) => {
+      // Several sources can define bees of one mod, so files are named by source
+      const sourceName = data._configName || `source_${index}`;
+      const filename = `${sourceName
+        .toLowerCase()
+        .replace(/\s+/g, "_")}_intermediate.json`;
+      const filepath = path.join(intermediateDir, filename);
+      fs.writeFileSync(filepath, JSON.stringify(data, null, 2));
     });
+  }
 
-    const shortestMutations = buildShortestPathMutations(allBees, allMutations);
-    const shortestMutationsPath = path.join(
-      outputDir,
-      "shortest_mutations.jsonc"
-    );
-    writeShortestMutationsJsonc(shortestMutationsPath, shortestMutations);
+  // Build (and validate) output files; nothing is written until every file,
+  // shortest_mutations.jsonc included, has passed validation
+  const { files, stats } = buildOutput(intermediateData, manualMutationsPath, {
+    validate,
+    provenance,
+  });
 
-    // Count shortest mutations
-    const shortestMutationCount = shortestMutations.reduce((sum, group) => {
-      return (
-        sum +
-        Object.values(group.children).reduce((childSum, childData) => {
-          return (
-            childSum +
-            (childData.requirements ? childData.requirements.length : 1)
-          );
-        }, 0)
+  // Build shortest path mutations from the mutations.jsonc content just built
+  console.log("\nCalculating shortest breeding paths...");
+  const allMutations = stats.mutations;
+
+  // Get all bees from intermediate data
+  const allBees = {};
+  intermediateData.forEach((data) => {
+    Object.assign(allBees, data.bees);
+  });
+
+  const shortestMutations = buildShortestPathMutations(allBees, allMutations);
+  if (validate) {
+    const violations = validateOutput(
+      { shortestMutations },
+      { beeIds: Object.keys(allBees) }
+    );
+    if (violations.length > 0) {
+      throw new Error(
+        `Output failed schema validation (${
+          violations.length
+        } violation(s)):\n${formatViolations(violations)}`
       );
-    }, 0);
+    }
+  }
+  writeOutputFiles(outputDir, files);
+  writeShortestMutationsJsonc(
+    path.join(outputDir, "shortest_mutations.jsonc"),
+    shortestMutations
+  );
 
-    // Display final summary
-    console.log("\nOutput files written to data/");
-    console.log(`  → bees.jsonc: ${stats.beeCount} bees`);
-    console.log(
-      `  → mutations.jsonc: ${stats.mutationCount} mutations (${stats.manualMutationCount} manual, ${stats.parsedMutationCount} parsed)`
+  // Count shortest mutations
+  const shortestMutationCount = shortestMutations.reduce((sum, group) => {
+    return (
+      sum +
+      Object.values(group.children).reduce((childSum, childData) => {
+        return (
+          childSum +
+          (childData.requirements ? childData.requirements.length : 1)
+        );
+      }, 0)
     );
+  }, 0);
+
+  // Display final summary
+  const displayDir = path.relative(process.cwd(), outputDir) || ".";
+  const manualFile = path.relative(process.cwd(), manualMutationsPath);
+  console.log(`\nOutput files written to ${displayDir}/`);
+  const locales = new Set();
+  Object.values(allBees).forEach((bee) =>
+    Object.keys(bee.names || {}).forEach((locale) => locales.add(locale))
+  );
+  console.log(
+    `  → bees.jsonc: ${stats.beeCount} bees (names in ${locales.size} locales, see find_missing_translations.js)`
+  );
+  console.log(
+    `  → mutations.jsonc: ${stats.mutationCount} mutations (${stats.manualMutationCount} manual, ${stats.parsedMutationCount} parsed)`
+  );
+  console.log(
+    `  → shortest_mutations.jsonc: ${shortestMutationCount} mutations (shortest breeding paths)`
+  );
+  console.log(`  → combs.jsonc: ${stats.combCount} combs`);
+  console.log(`  → branches.jsonc: ${stats.branchCount} branches`);
+  console.log(
+    `  → items.jsonc: ${stats.itemCount} items (${stats.unresolvedItemCount} unresolved, see find_unresolved_items.js)`
+  );
+  if (stats.provenanceCount !== null) {
     console.log(
-      `  → shortest_mutations.jsonc: ${shortestMutationCount} mutations (shortest breeding paths)`
+      `  → provenance.jsonc: ${stats.provenanceCount} records with a source location`
     );
-    console.log(`  → combs.jsonc: ${stats.combCount} combs`);
+  }
 
-    if (stats.skippedMutations.length > 0) {
-      console.log(`\nSkipped ${stats.skippedMutations.length} mutations:`);
-      stats.skippedMutations.forEach((skip) => {
-        if (skip.inManual) {
-          console.log(`  ℹ️  ${skip.offspring} - in manual/mutations.jsonc`);
-        } else {
-          console.log(`  ⚠️  ${skip.offspring} - species not found`);
-        }
-      });
-    }
+  if (stats.skippedMutations.length > 0) {
+    console.log(`\nSkipped ${stats.skippedMutations.length} mutations:`);
+    stats.skippedMutations.forEach((skip) => {
+      if (skip.inManual) {
+        console.log(`  ℹ️  ${skip.offspring} - in ${manualFile}`);
+      } else {
+        console.log(`  ⚠️  ${skip.offspring} - species not found`);
+      }
+    });
+  }
+
+  return {
+    sourceCount: intermediateData.length,
+    beeCount: stats.beeCount,
+    mutationCount: stats.mutationCount,
+    shortestMutationCount,
+    combCount: stats.combCount,
+    outputDir: displayDir,
+  };
+}
+
+/**
+ * Print the per-profile summary table after a multi-profile build
+ * @param {Array<Object>} results - [{ name, stats } | { name, error }]
+ */
+function printProfileSummary(results) {
+  const columns = [
+    { label: "Profile", value: (r) => r.name, align: "left" },
+    { label: "Sources", value: (r) => r.stats.sourceCount },
+    { label: "Bees", value: (r) => r.stats.beeCount },
+    { label: "Mutations", value: (r) => r.stats.mutationCount },
+    { label: "Shortest", value: (r) => r.stats.shortestMutationCount },
+    { label: "Combs", value: (r) => r.stats.combCount },
+    { label: "Output", value: (r) => r.stats.outputDir, align: "left" },
+  ];
+
+  const rows = results.map((result) =>
+    columns.map((column) =>
+      result.error && column.label !== "Profile"
+        ? "-"
+        : String(column.value(result))
+    )
+  );
+  const widths = columns.map((column, i) =>
+    Math.max(column.label.length, ...rows.map((row) => row[i].length))
+  );
+  const formatRow = (cells) =>
+    cells
+      .map((cell, i) =>
+        columns[i].align === "left"
+          ? cell.padEnd(widths[i])
+          : cell.padStart(widths[i])
+      )
+      .join("  ")
+      .trimEnd();
+
+  const header = formatRow(columns.map((column) => column.label));
+  console.log("\nProfile summary\n");
+  console.log(header);
+  console.log("-".repeat(header.length));
+  rows.forEach((row) => console.log(formatRow(row)));
+
+  results
+    .filter((result) => result.error)
+    .forEach((result) => {
+      console.warn(`⚠️  ${result.name}: ${result.error}`);
+    });
+}
+
+/**
+ * Main build function
+ * Builds every selected profile from the source manifest in one invocation
+ */
+function build(options = {}) {
+  const {
+    profileNames = null,
+    modsToInclude = null,
+    sourcesPath = DEFAULT_SOURCES_PATH,
+    outputDir = null,
+    saveIntermediate = false,
+    intermediateDir = path.join(__dirname, "intermediate"),
+    validate = true,
+    provenance = false,
+    useCache = true,
+    cacheDir = DEFAULT_CACHE_DIR,
+  } = options;
+
+  let profiles;
+  try {
+    profiles = loadManifest(sourcesPath).profiles;
   } catch (error) {
     console.error(`✗ Build failed: ${error.message}`);
     process.exit(1);
   }
+
+  if (profileNames) {
+    const unknown = profileNames.filter(
+      (name) => !profiles.some((profile) => profile.name === name)
+    );
+    if (unknown.length > 0) {
+      console.error(
+        `✗ Unknown profile(s): ${unknown.join(", ")} (available: ${profiles
+          .map((profile) => profile.name)
+          .join(", ")})`
+      );
+      process.exit(1);
+    }
+    profiles = profiles.filter((profile) =>
+      profileNames.includes(profile.name)
+    );
+  }
+
+  const multipleProfiles = profiles.length > 1;
+  const results = [];
+
+  for (const profile of profiles) {
+    // An explicit output directory holds one subdirectory per profile when
+    // several profiles are built
+    if (outputDir) {
+      profile.outputDir = multipleProfiles
+        ? path.join(outputDir, profile.name)
+        : outputDir;
+    }
+
+    if (multipleProfiles) {
+      console.log(`\n=== Profile: ${profile.name} ===\n`);
+    }
+
+    try {
+      const stats = buildProfile(profile, {
+        modsToInclude,
+        saveIntermediate,
+        validate,
+        provenance,
+        useCache,
+        cacheDir,
+        intermediateDir: multipleProfiles
+          ? path.join(intermediateDir, profile.name)
+          : intermediateDir,
+      });
+      results.push({ name: profile.name, stats });
+    } catch (error) {
+      console.error(`✗ Build failed: ${error.message}`);
+      results.push({ name: profile.name, error: error.message });
+    }
+  }
+
+  if (multipleProfiles) {
+    printProfileSummary(results);
+  }
+
+  if (results.some((result) => result.error)) {
+    process.exit(1);
+  }
 }
 
 // CLI usage
@@ -536,42 +765,74 @@ if (require.main === module) {
 
   // Parse command line arguments
   const options = {
+    profileNames: null,
     modsToInclude: null,
-    outputDir: path.join(__dirname, "data"),
+    sourcesPath: DEFAULT_SOURCES_PATH,
+    outputDir: null,
     saveIntermediate: false,
     intermediateDir: path.join(__dirname, "intermediate"),
+    validate: true,
+    provenance: false,
+    useCache: true,
+    cacheDir: DEFAULT_CACHE_DIR,
   };
 
   for (let i = 0; i < args.length; i++) {
     switch (args[i]) {
       case "--help":
       case "-h":
-        console.log("Usage: node build.js [options]");
+        console.log("Usage: node extract_bee_data.js [options]");
         console.log("");
         console.log("Options:");
         console.log(
-          "  --mods <mod1,mod2,...>     Only build specific mods (forestry,extrabees,careerbees,magicbees,meatballcraft)"
+          "  --profile <name,...>       Only build specific profiles (default: all profiles in the manifest)"
+        );
+        console.log(
+          "  --mods <mod1,mod2,...>     Only build specific sources by key (forestry,extrabees,careerbees,magicbees,meatballcraft)"
+        );
+        console.log(
+          "  --sources <file>           Mod source manifest (default: sources.jsonc)"
         );
         console.log(
-          "  --output-dir <dir>         Output directory for JSONC files (default: scripts/data)"
+          "  --output-dir <dir>         Output directory for JSONC files (default: the profile's outputDir)"
         );
         console.log(
           "  --save-intermediate        Save intermediate JSON files"
         );
         console.log(
-          "  --intermediate-dir <dir>   Directory for intermediate files (default: ./scripts/intermediate)"
+          "  --intermediate-dir <dir>   Directory for intermediate files (default: ./intermediate)"
+        );
+        console.log(
+          "  --no-validate              Write output without checking it against schemas/"
+        );
+        console.log(
+          "  --provenance               Also write provenance.jsonc (source file and line of every record)"
+        );
+        console.log(
+          "  --no-cache                 Parse every source even if its files are unchanged"
+        );
+        console.log(
+          "  --cache-dir <dir>          Directory for the parse cache (default: ./.cache/parsers)"
         );
         console.log("  --help, -h                 Show this help message");
         console.log("");
         console.log("Examples:");
-        console.log("  node build.js");
-        console.log("  node build.js --mods forestry,extrabees");
-        console.log("  node build.js --save-intermediate");
+        console.log("  node extract_bee_data.js");
+        console.log("  node extract_bee_data.js --mods forestry,extrabees");
+        console.log("  node extract_bee_data.js --profile default");
+        console.log("  node extract_bee_data.js --save-intermediate");
         console.log(
-          "  node build.js --output-dir ./output --save-intermediate"
+          "  node extract_bee_data.js --output-dir ./output --save-intermediate"
         );
         process.exit(0);
 
+      case "--profile":
+        if (i + 1 < args.length) {
+          options.profileNames = args[i + 1].split(",").map((p) => p.trim());
+          i++;
+        }
+        break;
+
       case "--mods":
         if (i + 1 < args.length) {
           options.modsToInclude = args[i + 1].split(",").map((m) => m.trim());
@@ -579,6 +840,13 @@ if (require.main === module) {
         }
         break;
 
+      case "--sources":
+        if (i + 1 < args.length) {
+          options.sourcesPath = path.resolve(args[i + 1]);
+          i++;
+        }
+        break;
+
       case "--output-dir":
         if (i + 1 < args.length) {
           options.outputDir = args[i + 1];
@@ -586,6 +854,25 @@ if (require.main === module) {
         }
         break;
 
+      case "--no-validate":
+        options.validate = false;
+        break;
+
+      case "--provenance":
+        options.provenance = true;
+        break;
+
+      case "--no-cache":
+        options.useCache = false;
+        break;
+
+      case "--cache-dir":
+        if (i + 1 < args.length) {
+          options.cacheDir = path.resolve(args[i + 1]);
+          i++;
+        }
+        break;
+
       case "--save-intermediate":
         options.saveIntermediate = true;
         break;
@@ -602,4 +889,4 @@ if (require.main === module) {
   build(options);
 }
 
-module.exports = { build, parseAllMods, MOD_CONFIGS };
+module.exports = { build, parseAllMods, loadManifest };
@@ -0,0 +1,73 @@
+/**
+ * Find species missing a translation in each locale
+ * Reads the names maps in bees.jsonc; a species missing from a locale is
+ * shown in English (its "name") in that locale.
+ *
+ * Usage: node find_missing_translations.js [data-dir] [--locale <locale>]
+ * The data directory defaults to data/ (the default profile's output)
+ */
+
+const path = require("path");
+const { readJsoncFile } = require("./jsonc");
+const { FALLBACK_LOCALE } = require("./parsers/lang_utils");
+
+const args = process.argv.slice(2);
+const localeIndex = args.indexOf("--locale");
+const onlyLocale =
+  localeIndex !== -1 ? args[localeIndex + 1].toLowerCase() : null;
+const positional = args.filter(
+  (arg, i) => localeIndex === -1 || (i !== localeIndex && i !== localeIndex + 1)
+);
+const dataDir = positional[0] || path.join(__dirname, "data");
+
+// Read the bees file
+const allBees = readJsoncFile(path.join(dataDir, "bees.jsonc"));
+const beeIds = Object.keys(allBees).sort();
+
+// Every locale any species is translated into
+const locales = new Set([FALLBACK_LOCALE]);
+beeIds.forEach((beeId) => {
+  Object.keys(allBees[beeId].names || {}).forEach((locale) =>
+    locales.add(locale)
+  );
+});
+
+const reportLocales = onlyLocale ? [onlyLocale] : Array.from(locales).sort();
+const summary = [];
+
+reportLocales.forEach((locale) => {
+  const missing = beeIds.filter(
+    (beeId) => !(allBees[beeId].names && allBees[beeId].names[locale])
+  );
+  summary.push({ locale, missing: missing.length });
+  if (missing.length === 0) return;
+
+  console.log(`\n${locale} (${missing.length} species missing):`);
+
+  // Group by mod
+  const byMod = {};
+  missing.forEach((beeId) => {
+    const mod = beeId.split(":")[0];
+    if (!byMod[mod]) byMod[mod] = [];
+    byMod[mod].push(beeId);
+  });
+
+  Object.keys(byMod)
+    .sort()
+    .forEach((mod) => {
+      console.log(`  ${mod} (${byMod[mod].length}):`);
+      byMod[mod].forEach((beeId) => {
+        console.log(`    "${beeId}", // ${allBees[beeId].name}`);
+      });
+    });
+});
+
+console.log("\nTranslated species per locale:");
+summary.forEach(({ locale, missing }) => {
+  const translated = beeIds.length - missing;
+  console.log(
+    `  ${locale.padEnd(6)} ${String(translated).padStart(4)} / ${
+      beeIds.length
+    } (${missing} missing)`
+  );
+});
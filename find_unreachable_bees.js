@@ -1,30 +1,19 @@
 /**
  * Find all bees that have no mutations to produce them
  * These should be added to the base bees list
+ *
+ * Usage: node find_unreachable_bees.js [data-dir]
+ * The data directory defaults to data/ (the default profile's output)
  */
 
-const fs = require("fs");
 const path = require("path");
+const { readJsoncFile } = require("./jsonc");
 
-// Read the mutations file
-const mutationsPath = path.join(__dirname, "data", "mutations.jsonc");
-const mutationsContent = fs.readFileSync(mutationsPath, "utf-8");
+const dataDir = process.argv[2] || path.join(__dirname, "data");
 
-// Remove comments and parse JSON
-const mutationsJson = mutationsContent
-  .split("\n")
-  .filter((line) => !line.trim().startsWith("//"))
-  .join("\n");
-const allMutations = JSON.parse(mutationsJson);
-
-// Read the bees file
-const beesPath = path.join(__dirname, "data", "bees.jsonc");
-const beesContent = fs.readFileSync(beesPath, "utf-8");
-const beesJson = beesContent
-  .split("\n")
-  .filter((line) => !line.trim().startsWith("//"))
-  .join("\n");
-const allBees = JSON.parse(beesJson);
+// Read the mutations and bees files
+const allMutations = readJsoncFile(path.join(dataDir, "mutations.jsonc"));
+const allBees = readJsoncFile(path.join(dataDir, "bees.jsonc"));
 
 // Get all bee IDs
 const allBeeIds = new Set(Object.keys(allBees));
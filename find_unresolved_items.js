@@ -0,0 +1,103 @@
+/**
+ * Find item references that could not be resolved to a registry name
+ * Reads items.jsonc and lists every unresolved item with the bees, combs and
+ * mutations referring to it. Unparsed Java expressions are listed as is.
+ * Subtyped items whose damage value is unknown are listed after them.
+ *
+ * Usage: node find_unresolved_items.js [data-dir]
+ * The data directory defaults to data/ (the default profile's output)
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { readJsoncFile } = require("./jsonc");
+const { isUnresolvedItem, hasUnknownMeta } = require("./parsers/item_utils");
+
+const dataDir = process.argv[2] || path.join(__dirname, "data");
+
+/**
+ * Read an output file, or an empty value if the build did not write it
+ */
+function readOutput(file, empty) {
+  const filePath = path.join(dataDir, file);
+  return fs.existsSync(filePath) ? readJsoncFile(filePath) : empty;
+}
+
+const items = readOutput("items.jsonc", null);
+if (!items) {
+  console.error(`items.jsonc not found in ${dataDir}`);
+  process.exit(1);
+}
+const allBees = readOutput("bees.jsonc", {});
+const combs = readOutput("combs.jsonc", {});
+const mutations = readOutput("mutations.jsonc", []);
+
+// Item ID → where it is referenced
+const references = {};
+const addReference = (itemId, where) => {
+  if (!references[itemId]) references[itemId] = [];
+  references[itemId].push(where);
+};
+
+Object.entries(allBees).forEach(([beeId, bee]) => {
+  (bee.products || []).forEach((product) =>
+    addReference(product.item, `product of ${beeId}`)
+  );
+});
+Object.entries(combs).forEach(([combId, comb]) => {
+  (comb.processing || []).forEach((output) =>
+    addReference(output.product, `processing of ${combId}`)
+  );
+});
+mutations.forEach((group) => {
+  Object.entries(group.children).forEach(([offspring, child]) => {
+    (child.requirements || []).forEach((requirement) =>
+      (requirement.block || []).forEach((block) =>
+        addReference(block, `block for ${offspring}`)
+      )
+    );
+  });
+});
+
+const unresolved = Object.keys(items)
+  .filter((itemId) => isUnresolvedItem(items[itemId]))
+  .sort();
+
+// Group by mod; unparsed expressions have no mod prefix
+const byMod = {};
+unresolved.forEach((itemId) => {
+  const modMatch = itemId.match(/^([a-z0-9_]+):/);
+  const mod = modMatch ? modMatch[1] : "(unparsed)";
+  if (!byMod[mod]) byMod[mod] = [];
+  byMod[mod].push(itemId);
+});
+
+Object.keys(byMod)
+  .sort()
+  .forEach((mod) => {
+    console.log(`\n${mod} (${byMod[mod].length}):`);
+    byMod[mod].forEach((itemId) => {
+      const where = references[itemId] || [];
+      const more = where.length > 3 ? `, +${where.length - 3} more` : "";
+      console.log(`  ${itemId}`);
+      if (where.length > 0) {
+        console.log(`    ← ${where.slice(0, 3).join(", ")}${more}`);
+      }
+    });
+  });
+
+const unknownMeta = Object.keys(items)
+  .filter((itemId) => hasUnknownMeta(items[itemId]))
+  .sort();
+if (unknownMeta.length > 0) {
+  console.log(`\nUnknown damage value (${unknownMeta.length}):`);
+  unknownMeta.forEach((itemId) =>
+    console.log(`  ${itemId} → ${items[itemId].registryName}`)
+  );
+}
+
+console.log(
+  `\n${unresolved.length} of ${
+    Object.keys(items).length
+  } referenced items could not be resolved`
+);
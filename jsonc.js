@@ -0,0 +1,528 @@
+/**
+ * JSONC Reader/Writer
+ *
+ * Tokenizer-based parser for JSON with comments, shared by every module that
+ * reads or writes .jsonc files:
+ * - // and /* *\/ comments, trailing commas
+ * - Parse errors report line and column
+ * - parseDocument() keeps comments and blank lines keyed by JSON Pointer, and
+ *   stringify() writes them back, so hand-edited files (manual/mutations.jsonc)
+ *   round-trip without losing section comments like "// FORESTRY:COMMON"
+ *
+ * Usage: node jsonc.js [--write] <file ...>
+ */
+
+const fs = require("fs");
+
+const PUNCTUATION = "{}[]:,";
+
+/**
+ * Build a syntax error carrying its position
+ */
+function syntaxError(message, line, column, filename) {
+  const location = `${filename ? `${filename}:` : ""}${line}:${column}`;
+  const error = new Error(`${location}: ${message}`);
+  error.line = line;
+  error.column = column;
+  return error;
+}
+
+/**
+ * Split JSONC text into tokens
+ * Each token records where it starts and how many newlines precede it.
+ * @param {string} text - JSONC text
+ * @param {Object} [options]
+ * @param {string} [options.filename] - File name used in error messages
+ * @returns {Array<Object>} Tokens [{ type, value, raw, line, column, newlinesBefore }], ending with an "eof" token
+ */
+function tokenize(text, options = {}) {
+  const tokens = [];
+  let index = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+  let line = 1;
+  let lineStart = 0;
+  let newlinesBefore = 0;
+
+  const fail = (message, at = index) => {
+    throw syntaxError(message, line, at - lineStart + 1, options.filename);
+  };
+
+  const push = (type, value, raw, start) => {
+    tokens.push({
+      type,
+      value,
+      raw,
+      line,
+      column: start - lineStart + 1,
+      newlinesBefore,
+    });
+    newlinesBefore = 0;
+  };
+
+  while (index < text.length) {
+    const char = text[index];
+    const start = index;
+
+    if (char === "\n") {
+      index++;
+      line++;
+      lineStart = index;
+      newlinesBefore++;
+    } else if (char === " " || char === "\t" || char === "\r") {
+      index++;
+    } else if (PUNCTUATION.includes(char)) {
+      index++;
+      push("punctuation", char, char, start);
+    } else if (text.startsWith("//", index)) {
+      while (index < text.length && text[index] !== "\n") index++;
+      const raw = text.substring(start, index).replace(/\r$/, "");
+      push("comment", raw, raw, start);
+    } else if (text.startsWith("/*", index)) {
+      const end = text.indexOf("*/", index + 2);
+      if (end === -1) fail("Unterminated block comment");
+      const raw = text.substring(start, end + 2);
+      push("comment", raw, raw, start);
+      // Block comments may span lines
+      for (let i = start; i < end + 2; i++) {
+        if (text[i] === "\n") {
+          line++;
+          lineStart = i + 1;
+        }
+      }
+      index = end + 2;
+    } else if (char === '"') {
+      index++;
+      while (index < text.length && text[index] !== '"') {
+        if (text[index] === "\n") fail("Unterminated string", start);
+        index += text[index] === "\\" ? 2 : 1;
+      }
+      if (index >= text.length) fail("Unterminated string", start);
+      index++;
+      const raw = text.substring(start, index);
+      let value;
+      try {
+        value = JSON.parse(raw);
+      } catch (error) {
+        fail(`Invalid string ${raw}`, start);
+      }
+      push("string", value, raw, start);
+    } else {
+      const match = text
+        .substring(index)
+        .match(
+          /^(?:-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?|true|false|null)/
+        );
+      if (!match || /[\w.]/.test(text[index + match[0].length] || "")) {
+        const word = text.substring(index).match(/^[^\s{}[\]:,"/]+/);
+        fail(`Unexpected ${word ? `"${word[0]}"` : `character "${char}"`}`);
+      }
+      index += match[0].length;
+      const raw = match[0];
+      push(
+        /^[-\d]/.test(raw) ? "number" : "literal",
+        JSON.parse(raw),
+        raw,
+        start
+      );
+    }
+  }
+
+  push("eof", null, "", index);
+  return tokens;
+}
+
+/**
+ * Escape one JSON Pointer segment
+ */
+function escapePointerSegment(segment) {
+  return String(segment).replace(/~/g, "~0").replace(/\//g, "~1");
+}
+
+/**
+ * Build a JSON Pointer from path segments: [0, "children", "x"] → "/0/children/x"
+ * @param {Array<string|number>} segments - Property names and array indexes
+ * @returns {string} JSON Pointer ("" for the root)
+ */
+function pointer(segments) {
+  return segments
+    .map((segment) => `/${escapePointerSegment(segment)}`)
+    .join("");
+}
+
+/**
+ * Parse JSONC text keeping comments and positions
+ *
+ * Comments are keyed by the JSON Pointer of the value they belong to:
+ * - leading:  comment lines before the value ("" marks a blank line)
+ * - trailing: comment on the same line after the value
+ * - inner:    comments before the closing bracket of an object or array
+ * - after:    comments after the root value (root only)
+ * The root's leading comments are the file header.
+ *
+ * @param {string} text - JSONC text
+ * @param {Object} [options]
+ * @param {string} [options.filename] - File name used in error messages
+ * @returns {Object} { value, comments, positions } - positions maps pointers to { line, column } of the value (of the key for object members)
+ */
+function parseDocument(text, options = {}) {
+  const tokens = tokenize(text, options);
+  const comments = {};
+  const positions = {};
+  let index = 0;
+
+  const fail = (message, token = tokens[index]) => {
+    throw syntaxError(message, token.line, token.column, options.filename);
+  };
+
+  const isPunctuation = (token, char) =>
+    token.type === "punctuation" && token.value === char;
+
+  const describe = (token) => {
+    if (token.type === "eof") return "end of input";
+    return token.type === "string" ? token.raw : `"${token.raw}"`;
+  };
+
+  const attach = (valuePointer, field, value) => {
+    if (!comments[valuePointer]) comments[valuePointer] = {};
+    comments[valuePointer][field] = value;
+  };
+
+  // Comment lines and blank lines before the next token
+  const collectComments = () => {
+    const collected = [];
+    for (;;) {
+      const token = tokens[index];
+      if (token.newlinesBefore > 1 && collected[collected.length - 1] !== "") {
+        collected.push("");
+      }
+      if (token.type !== "comment") return collected;
+      collected.push(token.value);
+      index++;
+    }
+  };
+
+  // Comment on the same line as the value just parsed
+  const collectTrailing = (valuePointer) => {
+    const token = tokens[index];
+    if (
+      token.type === "comment" &&
+      token.newlinesBefore === 0 &&
+      !(comments[valuePointer] && comments[valuePointer].trailing)
+    ) {
+      attach(valuePointer, "trailing", token.value);
+      index++;
+    }
+  };
+
+  // Drop blank lines that don't separate anything
+  const trimBlankLines = (lines) => {
+    const trimmed = [...lines];
+    while (trimmed[trimmed.length - 1] === "") trimmed.pop();
+    return trimmed;
+  };
+
+  const parseContainer = (valuePointer, close, parseEntry) => {
+    index++;
+    let expectClose = false;
+    let count = 0;
+
+    for (;;) {
+      const leading = collectComments();
+      const token = tokens[index];
+
+      if (isPunctuation(token, close)) {
+        const inner = trimBlankLines(leading);
+        if (inner.length > 0) attach(valuePointer, "inner", inner);
+        index++;
+        return;
+      }
+      if (expectClose)
+        fail(`Expected "," or "${close}", got ${describe(token)}`);
+
+      const entryPointer = parseEntry(count++, leading);
+      collectTrailing(entryPointer);
+
+      if (isPunctuation(tokens[index], ",")) {
+        index++;
+        collectTrailing(entryPointer);
+      } else {
+        expectClose = true;
+      }
+    }
+  };
+
+  const parseValue = (valuePointer, recordPosition = true) => {
+    const token = tokens[index];
+    if (recordPosition) {
+      positions[valuePointer] = { line: token.line, column: token.column };
+    }
+
+    if (isPunctuation(token, "{")) {
+      const object = {};
+      parseContainer(valuePointer, "}", (count, leading) => {
+        const keyToken = tokens[index];
+        if (keyToken.type !== "string") {
+          fail(`Expected property name or "}", got ${describe(keyToken)}`);
+        }
+        const key = keyToken.value;
+        const memberPointer = `${valuePointer}/${escapePointerSegment(key)}`;
+        positions[memberPointer] = {
+          line: keyToken.line,
+          column: keyToken.column,
+        };
+        index++;
+
+        leading.push(...collectComments());
+        if (!isPunctuation(tokens[index], ":")) {
+          fail(
+            `Expected ":" after property name, got ${describe(tokens[index])}`
+          );
+        }
+        index++;
+        leading.push(...collectComments());
+        if (leading.length > 0) attach(memberPointer, "leading", leading);
+
+        object[key] = parseValue(memberPointer, false);
+        return memberPointer;
+      });
+      return object;
+    }
+
+    if (isPunctuation(token, "[")) {
+      const array = [];
+      parseContainer(valuePointer, "]", (count, leading) => {
+        const elementPointer = `${valuePointer}/${count}`;
+        if (leading.length > 0) attach(elementPointer, "leading", leading);
+        array.push(parseValue(elementPointer));
+        return elementPointer;
+      });
+      return array;
+    }
+
+    if (["string", "number", "literal"].includes(token.type)) {
+      index++;
+      return token.value;
+    }
+
+    return fail(
+      token.type === "eof"
+        ? "Unexpected end of input"
+        : `Unexpected ${describe(token)}`
+    );
+  };
+
+  const header = collectComments();
+  if (header.length > 0) attach("", "leading", header);
+
+  const value = parseValue("");
+  collectTrailing("");
+
+  const after = trimBlankLines(collectComments());
+  if (after.length > 0) attach("", "after", after);
+  if (tokens[index].type !== "eof") {
+    fail(`Unexpected ${describe(tokens[index])} after the root value`);
+  }
+
+  return { value, comments, positions };
+}
+
+/**
+ * Parse JSONC text into a value
+ * @param {string} text - JSONC text
+ * @param {Object} [options]
+ * @param {string} [options.filename] - File name used in error messages
+ * @returns {*} Parsed value
+ */
+function parse(text, options = {}) {
+  return parseDocument(text, options).value;
+}
+
+/**
+ * Whether a value is written as a JSON primitive
+ */
+function isPrimitive(value) {
+  return value === null || typeof value !== "object";
+}
+
+/**
+ * Serialize a value as JSONC
+ * Objects are always expanded, as are arrays unless they hold only
+ * primitives and inlinePrimitiveArrays is set. Comments come from
+ * parseDocument() or are built by hand, e.g. a file header:
+ *   { "": { leading: ["// Header", ""] } }
+ * @param {*} value - Value to write
+ * @param {Object} [options]
+ * @param {Object} [options.comments] - Comments keyed by JSON Pointer
+ * @param {boolean} [options.inlinePrimitiveArrays=true] - Write ["a", "b"] on one line
+ * @param {string} [options.indent="  "] - Indentation unit
+ * @returns {string} JSONC text ending with a newline
+ */
+function stringify(value, options = {}) {
+  const {
+    comments = {},
+    inlinePrimitiveArrays = true,
+    indent = "  ",
+  } = options;
+
+  const commentsAt = (valuePointer) => comments[valuePointer] || {};
+
+  const commentLines = (lines = [], indentStr) =>
+    lines.map((comment) => (comment === "" ? "" : indentStr + comment));
+
+  const withTrailing = (text, valuePointer) => {
+    const { trailing } = commentsAt(valuePointer);
+    return trailing ? `${text} ${trailing}` : text;
+  };
+
+  const formatValue = (data, valuePointer, depth) => {
+    if (data === undefined || typeof data === "function") return "null";
+    if (isPrimitive(data)) return JSON.stringify(data);
+    if (typeof data.toJSON === "function") {
+      return formatValue(data.toJSON(), valuePointer, depth);
+    }
+
+    const indentStr = indent.repeat(depth);
+    const nextIndent = indent.repeat(depth + 1);
+    const { inner } = commentsAt(valuePointer);
+    const isArray = Array.isArray(data);
+
+    const entries = isArray
+      ? data.map((item, i) => [i, item])
+      : Object.entries(data).filter(
+          ([, item]) => item !== undefined && typeof item !== "function"
+        );
+    const [open, close] = isArray ? ["[", "]"] : ["{", "}"];
+
+    if (entries.length === 0 && !inner) return open + close;
+
+    const entryPointers = entries.map(
+      ([key]) => `${valuePointer}/${escapePointerSegment(key)}`
+    );
+    const hasEntryComments = entryPointers.some(
+      (entryPointer) => comments[entryPointer]
+    );
+
+    if (
+      isArray &&
+      inlinePrimitiveArrays &&
+      !inner &&
+      !hasEntryComments &&
+      data.every(isPrimitive)
+    ) {
+      return `[${data.map((item) => formatValue(item)).join(", ")}]`;
+    }
+
+    const lines = [];
+    entries.forEach(([key, item], i) => {
+      const entryPointer = entryPointers[i];
+      const comma = i < entries.length - 1 ? "," : "";
+      const prefix = isArray ? "" : `${JSON.stringify(key)}: `;
+      lines.push(...commentLines(commentsAt(entryPointer).leading, nextIndent));
+      lines.push(
+        withTrailing(
+          nextIndent +
+            prefix +
+            formatValue(item, entryPointer, depth + 1) +
+            comma,
+          entryPointer
+        )
+      );
+    });
+    lines.push(...commentLines(inner, nextIndent));
+
+    return `${open}\n${lines.join("\n")}\n${indentStr}${close}`;
+  };
+
+  const root = commentsAt("");
+  const lines = [
+    ...commentLines(root.leading, ""),
+    withTrailing(formatValue(value, "", 0), ""),
+    ...commentLines(root.after, ""),
+  ];
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Read and parse a JSONC file
+ * @param {string} filePath - Path to the file
+ * @returns {*} Parsed value
+ */
+function readJsoncFile(filePath) {
+  return parse(fs.readFileSync(filePath, "utf-8"), { filename: filePath });
+}
+
+/**
+ * Read a JSONC file keeping comments and positions (see parseDocument)
+ * @param {string} filePath - Path to the file
+ * @returns {Object} { value, comments, positions }
+ */
+function readJsoncDocument(filePath) {
+  return parseDocument(fs.readFileSync(filePath, "utf-8"), {
+    filename: filePath,
+  });
+}
+
+/**
+ * Write a value to a JSONC file (see stringify for options)
+ */
+function writeJsoncFile(filePath, value, options = {}) {
+  fs.writeFileSync(filePath, stringify(value, options));
+}
+
+module.exports = {
+  tokenize,
+  pointer,
+  parse,
+  parseDocument,
+  stringify,
+  readJsoncFile,
+  readJsoncDocument,
+  writeJsoncFile,
+};
+
+// CLI usage: check that files parse and round-trip, or reformat them
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const write = args.includes("--write");
+  const files = args.filter((arg) => arg !== "--write");
+
+  if (files.length === 0 || args.includes("--help") || args.includes("-h")) {
+    console.log("Usage: node jsonc.js [--write] <file ...>");
+    console.log("");
+    console.log("Parses each JSONC file and reports syntax errors with line");
+    console.log(
+      "and column. Files whose comments and layout would change when"
+    );
+    console.log(
+      "rewritten are listed; --write rewrites them, keeping comments."
+    );
+    process.exit(files.length === 0 ? 1 : 0);
+  }
+
+  let failed = false;
+  files.forEach((file) => {
+    let document;
+    const content = fs.readFileSync(file, "utf-8");
+    try {
+      document = parseDocument(content, { filename: file });
+    } catch (error) {
+      failed = true;
+      console.log(`✗ ${error.message}`);
+      return;
+    }
+
+    const formatted = stringify(document.value, {
+      comments: document.comments,
+    });
+    if (formatted === content) {
+      console.log(`✓ ${file}`);
+    } else if (write) {
+      fs.writeFileSync(file, formatted);
+      console.log(`✓ ${file} (rewritten)`);
+    } else {
+      failed = true;
+      console.log(`⚠️  ${file}: layout differs from the canonical format`);
+    }
+  });
+
+  process.exit(failed ? 1 : 0);
+}
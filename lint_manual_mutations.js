@@ -0,0 +1,311 @@
+/**
+ * Manual Mutations Linter
+ *
+ * Checks manual/mutations.jsonc against the parsed bee set and reports, with
+ * file line numbers:
+ * - parent, child and runtime condition UIDs that no parser produces
+ * - groups with unsorted parents, identical parents or a parent pair that
+ *   already has a group
+ * - child and requirement keys outside the mutations.jsonc vocabulary
+ * - entries that are fully redundant with parsed mutations
+ *
+ * Usage: node lint_manual_mutations.js [options] [manual-file]
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const {
+  runParser,
+  missingCompanionFiles,
+} = require("./parsers/parser_registry");
+const { normalizeMutationConditions } = require("./parsers/condition_utils");
+const { buildBreedingPairsJsonc } = require("./output_builder");
+const { loadManifest } = require("./extract_bee_data");
+const { parseDocument, pointer } = require("./jsonc");
+
+/**
+ * Allowed keys, taken from the mutations.jsonc schema
+ */
+const mutationsSchema = JSON.parse(
+  fs.readFileSync(
+    path.join(__dirname, "schemas", "mutations.schema.json"),
+    "utf-8"
+  )
+);
+const CHILD_KEYS = Object.keys(mutationsSchema.$defs.child.properties);
+const REQUIREMENT_KEYS = Object.keys(
+  mutationsSchema.$defs.requirement.properties
+);
+
+/**
+ * Requirement entries of a child; a child without requirements is one
+ * unconditional entry at the default chance
+ */
+function requirementEntries(child) {
+  return child.requirements && child.requirements.length > 0
+    ? child.requirements
+    : [{}];
+}
+
+/**
+ * Normalize a requirement for comparison (effective chance, sorted keys)
+ */
+function requirementKey(requirement, defaultChance) {
+  const normalized = { chance: requirement.chance || defaultChance };
+  Object.keys(requirement)
+    .filter((key) => key !== "chance")
+    .sort()
+    .forEach((key) => {
+      normalized[key] =
+        key === "runtimeConditions"
+          ? [].concat(requirement[key])
+          : requirement[key];
+    });
+  return JSON.stringify(normalized);
+}
+
+/**
+ * Lint manual mutations against parsed data
+ * @param {string} content - manual/mutations.jsonc text
+ * @param {Object} merged - { bees, mutations } from every source of the profile
+ * @param {Object} [options]
+ * @param {string} [options.filename] - File name used in syntax errors
+ * @returns {Array<Object>} Problems [{ line, column, severity, message }]
+ */
+function lintManualMutations(content, merged, options = {}) {
+  const problems = [];
+  const { value: groups, positions } = parseDocument(content, options);
+  const positionOf = (valuePath) => positions[pointer(valuePath)];
+  const report = (valuePath, severity, message) =>
+    problems.push({ ...positionOf(valuePath), severity, message });
+
+  if (!Array.isArray(groups)) {
+    report([], "error", "manual mutations must be an array of groups");
+    return problems;
+  }
+
+  const beeIds = new Set(Object.keys(merged.bees));
+  const checkBee = (uid, valuePath, role) => {
+    if (!beeIds.has(uid)) {
+      report(valuePath, "error", `unknown ${role} "${uid}"`);
+    }
+  };
+
+  // Requirements the parsers already produce, keyed by parent pair and child
+  const { output: parsedGroups } = buildBreedingPairsJsonc(merged, []);
+  const parsedRequirements = new Map();
+  parsedGroups.forEach((group) => {
+    const parentKey = [...group.parents].sort().join("|");
+    Object.entries(group.children).forEach(([offspring, child]) => {
+      parsedRequirements.set(
+        `${parentKey}|${offspring}`,
+        new Set(
+          requirementEntries(child).map((r) => requirementKey(r, child.chance))
+        )
+      );
+    });
+  });
+
+  const seenParentPairs = new Map();
+  groups.forEach((group, g) => {
+    const parents = group.parents || [];
+    if (parents.length !== 2) {
+      report([g], "error", "group must have exactly two parents");
+      return;
+    }
+    parents.forEach((parent, p) =>
+      checkBee(parent, [g, "parents", p], "parent")
+    );
+
+    if (parents[0] === parents[1]) {
+      report([g, "parents"], "error", `identical parents "${parents[0]}"`);
+    } else if (parents[0] > parents[1]) {
+      report(
+        [g, "parents"],
+        "warning",
+        `parents are not sorted (expected ["${parents[1]}", "${parents[0]}"])`
+      );
+    }
+
+    const parentKey = [...parents].sort().join("|");
+    if (seenParentPairs.has(parentKey)) {
+      report(
+        [g, "parents"],
+        "error",
+        `duplicate parent pair, already used by the group on line ${seenParentPairs.get(
+          parentKey
+        )}`
+      );
+    } else {
+      seenParentPairs.set(parentKey, positionOf([g, "parents"]).line);
+    }
+
+    Object.entries(group.children || {}).forEach(([offspring, child]) => {
+      const childPath = [g, "children", offspring];
+      checkBee(offspring, childPath, "child");
+
+      Object.keys(child).forEach((key) => {
+        if (!CHILD_KEYS.includes(key)) {
+          report([...childPath, key], "error", `unknown child key "${key}"`);
+        }
+      });
+
+      const parsed = parsedRequirements.get(`${parentKey}|${offspring}`);
+      const entries = requirementEntries(child);
+      // The build drops every parsed mutation of a parent pair, offspring and
+      // chance that has a manual entry, so an entry is only redundant if all
+      // entries at its chance are parsed too
+      const isParsed = (requirement) =>
+        parsed && parsed.has(requirementKey(requirement, child.chance));
+      const chanceOf = (requirement) => requirement.chance || child.chance;
+      entries.forEach((requirement, r) => {
+        const requirementPath = child.requirements
+          ? [...childPath, "requirements", r]
+          : childPath;
+
+        Object.keys(requirement).forEach((key) => {
+          if (!REQUIREMENT_KEYS.includes(key)) {
+            report(
+              [...requirementPath, key],
+              "error",
+              `unknown requirement key "${key}" (expected one of: ${REQUIREMENT_KEYS.join(
+                ", "
+              )})`
+            );
+          }
+        });
+
+        [].concat(requirement.runtimeConditions || []).forEach((condition) => {
+          if (condition.type === "BEE") {
+            checkBee(
+              condition.target,
+              [...requirementPath, "runtimeConditions"],
+              "runtime condition bee"
+            );
+          }
+        });
+
+        if (
+          entries
+            .filter((other) => chanceOf(other) === chanceOf(requirement))
+            .every(isParsed)
+        ) {
+          report(
+            requirementPath,
+            "warning",
+            `redundant: ${parents.join(
+              " + "
+            )} → ${offspring} is already parsed from mod sources`
+          );
+        }
+      });
+    });
+  });
+
+  return problems.sort((a, b) => a.line - b.line || a.column - b.column);
+}
+
+/**
+ * Parse every source of a profile into merged { bees, mutations }
+ */
+function parseProfileSources(profile) {
+  const merged = { bees: {}, mutations: [] };
+  profile.sources.forEach((source) => {
+    if (!fs.existsSync(source.sourceFile)) {
+      console.warn(`⚠️  ${source.name}: source file not found, skipping`);
+      return;
+    }
+    missingCompanionFiles(source).forEach((file) => {
+      console.warn(
+        `⚠️  ${source.name}: ${path.basename(
+          file
+        )} not found, its data is left out`
+      );
+    });
+    const langFile =
+      source.langFile && fs.existsSync(source.langFile)
+        ? source.langFile
+        : null;
+    const data = normalizeMutationConditions(
+      runParser({ ...source, langFile }),
+      source.name
+    );
+    Object.assign(merged.bees, data.bees);
+    merged.mutations.push(...data.mutations);
+  });
+  return merged;
+}
+
+module.exports = { lintManualMutations };
+
+// CLI usage
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  let sourcesPath = path.join(__dirname, "sources.jsonc");
+  let profileName = null;
+  let manualPath = null;
+
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case "--help":
+      case "-h":
+        console.log("Usage: node lint_manual_mutations.js [options] [file]");
+        console.log("");
+        console.log("Options:");
+        console.log(
+          "  --profile <name>   Profile whose sources and manual file to check (default: first profile)"
+        );
+        console.log(
+          "  --sources <file>   Mod source manifest (default: sources.jsonc)"
+        );
+        console.log("  --help, -h         Show this help message");
+        process.exit(0);
+
+      case "--profile":
+        profileName = args[++i];
+        break;
+
+      case "--sources":
+        sourcesPath = path.resolve(args[++i]);
+        break;
+
+      default:
+        manualPath = path.resolve(args[i]);
+    }
+  }
+
+  const { profiles } = loadManifest(sourcesPath);
+  const profile = profileName
+    ? profiles.find((p) => p.name === profileName)
+    : profiles[0];
+  if (!profile) {
+    console.error(`✗ Unknown profile: ${profileName}`);
+    process.exit(1);
+  }
+  manualPath = manualPath || profile.manualMutationsPath;
+
+  const content = fs.readFileSync(manualPath, "utf-8");
+  const displayPath = path.relative(process.cwd(), manualPath);
+
+  let problems;
+  try {
+    const merged = parseProfileSources(profile);
+    problems = lintManualMutations(content, merged, { filename: displayPath });
+  } catch (error) {
+    console.error(`✗ ${error.message}`);
+    process.exit(1);
+  }
+
+  problems.forEach(({ line, column, severity, message }) => {
+    const icon = severity === "error" ? "✗" : "⚠️ ";
+    console.log(`${icon} ${displayPath}:${line}:${column}: ${message}`);
+  });
+
+  const errorCount = problems.filter((p) => p.severity === "error").length;
+  const warningCount = problems.length - errorCount;
+  console.log(
+    `\n${errorCount} error(s), ${warningCount} warning(s) in ${displayPath}`
+  );
+  process.exit(errorCount > 0 ? 1 : 0);
+}
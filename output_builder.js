@@ -5,27 +5,80 @@
  * - bees.jsonc: All bee species data
  * - mutations.jsonc: All mutation/breeding relationships
  * - combs.jsonc: All honeycomb products
+ * - branches.jsonc: Branch taxonomy with member species
+ * - items.jsonc: Registry name and metadata of every referenced item
+ * - provenance.jsonc: Mod source file and line of every record (optional)
  */
 
 const fs = require("fs");
 const path = require("path");
+const { resolveGenomes } = require("./parsers/genome_utils");
+const { formatProductId } = require("./parsers/product_utils");
+const {
+  CONDITIONS,
+  normalizeMutationConditions,
+  normalizeRequirementConditions,
+} = require("./parsers/condition_utils");
+const { resolveItem, isUnresolvedItem } = require("./parsers/item_utils");
+const {
+  normalizeUID,
+  buildAliasTable,
+  resolveAlleleUID,
+} = require("./parsers/uid_utils");
+const { validateOutput, formatViolations } = require("./validate_data");
+const { readJsoncDocument, writeJsoncFile, pointer } = require("./jsonc");
 
 /**
- * Build final JSONC files from intermediate format data
+ * Default manual mutations file merged into mutations.jsonc
+ */
+const DEFAULT_MANUAL_MUTATIONS_PATH = path.join(
+  __dirname,
+  "manual",
+  "mutations.jsonc"
+);
+
+/**
+ * Header description of each output file, in write order
+ */
+const OUTPUT_DESCRIPTIONS = {
+  "bees.jsonc": "Bee Species Data",
+  "mutations.jsonc": "Breeding Pairs Data",
+  "combs.jsonc": "Honeycomb Data",
+  "branches.jsonc": "Branch Data",
+  "items.jsonc": "Item Registry Data",
+  "provenance.jsonc":
+    "Provenance: JSON Pointer into each output file → source file and line",
+};
+
+/**
+ * Build final JSONC content from intermediate format data without writing it
  * @param {Array<Object>} intermediateData - Array of intermediate format objects from parsers
- * @param {string} outputDir - Directory to write JSONC files to
- * @returns {Object} Statistics about the build
+ * @param {string} manualMutationsPath - Manual mutations file to start from
+ * @param {Object} [options]
+ * @param {boolean} [options.validate=true] - Validate output against schemas/
+ * @param {boolean} [options.provenance=false] - Also build provenance.jsonc
+ * @returns {Object} { files: { "bees.jsonc": content, ... }, stats }
  */
-function buildOutput(intermediateData, outputDir) {
+function buildOutput(intermediateData, manualMutationsPath, options = {}) {
   // Merge all data from different mods
   const merged = {
     bees: {},
     mutations: [],
     branches: {},
     combs: {},
+    combNames: {},
+    centrifuge: [],
+    // Item ID → damage value declared by the sources (see resolveItem)
+    itemSubtypes: {},
+    // Output record → { file, line } it was parsed from (see recordSource)
+    sources: new WeakMap(),
   };
 
   intermediateData.forEach((data) => {
+    // Bring mutation conditions into the canonical model; unknown conditions
+    // fail the build (see condition_utils)
+    normalizeMutationConditions(data, data._configName || "intermediate data");
+
     // Merge bees
     Object.assign(merged.bees, data.bees);
 
@@ -34,19 +87,36 @@ function buildOutput(intermediateData, outputDir) {
 
     // Merge branches
     Object.assign(merged.branches, data.branches);
+
+    // Merge comb names from lang files
+    Object.assign(merged.combNames, data.combNames || {});
+
+    // Merge centrifuge recipes
+    merged.centrifuge.push(...(data.centrifuge || []));
+
+    // Merge item damage values
+    Object.assign(merged.itemSubtypes, data.itemSubtypes || {});
   });
 
+  // Resolve species referenced by in-game allele UID
+  resolveAlleleReferences(merged);
+
+  // Resolve genomes that inherit from other mods' templates
+  resolveGenomes(merged.bees, merged.branches);
+
+  // Resolve products copied from other species
+  resolveCopiedProducts(merged.bees);
+
   // Load manual mutations as starting template
-  const manualMutationsPath = path.join(__dirname, "manual", "mutations.jsonc");
   let manualMutations = [];
   let originalManualMutationCount = 0;
   if (fs.existsSync(manualMutationsPath)) {
-    const content = fs.readFileSync(manualMutationsPath, "utf-8");
-    // Remove JSONC comments
-    const jsonContent = content
-      .replace(/\/\/.*$/gm, "")
-      .replace(/\/\*[\s\S]*?\*\//g, "");
-    manualMutations = JSON.parse(jsonContent);
+    const manualDocument = readJsoncDocument(manualMutationsPath);
+    manualMutations = normalizeRequirementConditions(
+      manualDocument.value,
+      path.basename(manualMutationsPath)
+    );
+    recordManualSources(merged, manualDocument, manualMutationsPath);
     // Save original count BEFORE any merges happen
     originalManualMutationCount = manualMutations.reduce((sum, group) => {
       return (
@@ -65,30 +135,55 @@ function buildOutput(intermediateData, outputDir) {
   // Extract comb information from bee products
   extractCombs(merged);
 
-  // Build bees.jsonc
-  const beesOutput = buildBeesJsonc(merged);
-  writeJsonc(
-    path.join(outputDir, "bees.jsonc"),
-    beesOutput,
-    "Bee Species Data"
-  );
+  // Attach centrifuge outputs to combs
+  attachCentrifugeRecipes(merged);
 
-  // Build mutations.jsonc (starting with manual mutations)
+  // Build bees.jsonc, mutations.jsonc (starting with manual mutations) and combs.jsonc
+  const beesOutput = buildBeesJsonc(merged);
   const { output: breedingOutput, stats: mutationStats } =
     buildBreedingPairsJsonc(merged, manualMutations);
-  writeJsonc(
-    path.join(outputDir, "mutations.jsonc"),
-    breedingOutput,
-    "Breeding Pairs Data"
-  );
-
-  // Build combs.jsonc
   const combsOutput = buildCombsJsonc(merged);
-  writeJsonc(
-    path.join(outputDir, "combs.jsonc"),
-    combsOutput,
-    "Honeycomb Data"
-  );
+  const branchesOutput = buildBranchesJsonc(merged);
+  const itemsOutput = buildItemsJsonc(merged);
+
+  // Validate everything before writing so broken output never reaches disk
+  if (options.validate !== false) {
+    const violations = validateOutput({
+      bees: beesOutput,
+      mutations: breedingOutput,
+      combs: combsOutput,
+      branches: branchesOutput,
+      items: itemsOutput,
+    });
+    if (violations.length > 0) {
+      throw new Error(
+        `Output failed schema validation (${
+          violations.length
+        } violation(s)):\n${formatViolations(violations)}`
+      );
+    }
+  }
+
+  const files = {
+    "bees.jsonc": beesOutput,
+    "mutations.jsonc": breedingOutput,
+    "combs.jsonc": combsOutput,
+    "branches.jsonc": branchesOutput,
+    "items.jsonc": itemsOutput,
+  };
+  let provenanceCount = null;
+  if (options.provenance) {
+    const provenanceOutput = buildProvenanceJsonc(merged.sources, {
+      "bees.jsonc": beesOutput,
+      "mutations.jsonc": breedingOutput,
+      "combs.jsonc": combsOutput,
+    });
+    provenanceCount = Object.values(provenanceOutput).reduce(
+      (sum, records) => sum + Object.keys(records).length,
+      0
+    );
+    files["provenance.jsonc"] = provenanceOutput;
+  }
 
   // Calculate total mutations in output (count all mutation paths)
   const totalMutationCount = breedingOutput.reduce((sum, group) => {
@@ -104,14 +199,60 @@ function buildOutput(intermediateData, outputDir) {
     );
   }, 0);
 
-  return {
+  const stats = {
     beeCount: Object.keys(beesOutput).length,
     mutationCount: totalMutationCount,
     manualMutationCount: originalManualMutationCount,
     parsedMutationCount: totalMutationCount - originalManualMutationCount,
     combCount: Object.keys(combsOutput).length,
+    branchCount: Object.keys(branchesOutput).length,
+    itemCount: Object.keys(itemsOutput).length,
+    unresolvedItemCount:
+      Object.values(itemsOutput).filter(isUnresolvedItem).length,
+    provenanceCount,
     skippedMutations: mutationStats.skippedMutations,
+    // mutations.jsonc content, for building shortest paths without re-reading it
+    mutations: breedingOutput,
   };
+  return { files, stats };
+}
+
+/**
+ * Replace mutation species given as in-game allele UIDs ("gendustry.bee.Meatball")
+ * with canonical UIDs, using the alleleUid of every parsed species
+ */
+function resolveAlleleReferences(merged) {
+  const aliases = buildAliasTable(merged.bees);
+  const resolve = (uid) =>
+    !uid || merged.bees[uid] ? uid : resolveAlleleUID(uid, aliases);
+
+  merged.mutations.forEach((mutation) => {
+    mutation.parent1 = resolve(mutation.parent1);
+    mutation.parent2 = resolve(mutation.parent2);
+    mutation.offspring = resolve(mutation.offspring);
+  });
+}
+
+/**
+ * Copy products for bees whose products come from another species at runtime
+ * (e.g. ExtraBees Mystical uses Forestry Noble's product chances)
+ * getProductChances() excludes specialties, so only regular products are copied
+ */
+function resolveCopiedProducts(bees) {
+  Object.entries(bees).forEach(([uid, bee]) => {
+    if (!bee.productsFrom) return;
+
+    const source = bees[bee.productsFrom];
+    if (source) {
+      bee.products = [
+        ...source.products.filter((product) => !product.isSpecialty),
+        ...(bee.products || []),
+      ];
+    } else {
+      console.warn(`Unknown product source ${bee.productsFrom} for ${uid}`);
+    }
+    delete bee.productsFrom;
+  });
 }
 
 /**
@@ -121,20 +262,17 @@ function extractCombs(merged) {
   Object.entries(merged.bees).forEach(([uid, bee]) => {
     if (bee.products && bee.products.length > 0) {
       bee.products.forEach((product) => {
-        if (product.item.includes("comb")) {
-          const combId = product.item;
+        if (product.item.kind === "comb") {
+          const combId = formatProductId(product.item);
           if (!merged.combs[combId]) {
-            merged.combs[combId] = {
-              id: combId,
-              name: formatCombName(combId),
-              producers: [],
-            };
+            merged.combs[combId] = newComb(merged, combId);
           }
           // Use the original UID directly (already in mod:name format, lowercase, no spaces)
-          merged.combs[combId].producers.push({
-            bee: uid,
-            chance: product.chance,
-          });
+          const producer = { bee: uid, chance: product.chance };
+          // Specialties only drop while the bee is jubilant
+          if (product.isSpecialty === true) producer.isSpecialty = true;
+          recordSource(merged, producer, product.source);
+          merged.combs[combId].producers.push(producer);
         }
       });
     }
@@ -142,12 +280,53 @@ function extractCombs(merged) {
 }
 
 /**
- * Format comb name from ID
+ * Attach centrifuge recipe outputs to combs as their processing outputs
+ * Combs that only appear in recipes (no producer bee) are added as well
  */
-function formatCombName(combId) {
-  const parts = combId.split(".");
-  const name = parts[parts.length - 1];
-  return name.charAt(0).toUpperCase() + name.slice(1).replace(/_/g, " ");
+function attachCentrifugeRecipes(merged) {
+  merged.centrifuge.forEach((recipe) => {
+    const combId = formatProductId(recipe.comb);
+    if (!merged.combs[combId]) {
+      merged.combs[combId] = newComb(merged, combId);
+    }
+
+    merged.combs[combId].processing = recipe.outputs.map((output) => {
+      const processing = {
+        product: formatProductId(output.item),
+        chance: output.chance,
+      };
+      recordSource(merged, processing, recipe.source);
+      return processing;
+    });
+  });
+}
+
+/**
+ * Create a comb entry named from the lang files
+ * Combs without a lang entry keep their ID as name
+ */
+function newComb(merged, combId) {
+  const lang = merged.combNames[combId];
+  if (!lang) {
+    console.warn(`⚠️  No lang name for comb ${combId}`);
+  }
+
+  const comb = {
+    id: combId,
+    name: lang ? lang.name : combId,
+    producers: [],
+  };
+  if (lang && lang.names) comb.names = lang.names;
+  return comb;
+}
+
+/**
+ * The in-game item a product reference names, as listed in items.jsonc
+ * @returns {Object} { registryName, meta, oreDict? }, registryName and meta
+ *   null if the reference cannot be resolved
+ */
+function productItem(ref, subtypes) {
+  return resolveItem(ref, subtypes) || { registryName: null, meta: null };
 }
 
 /**
@@ -168,33 +347,46 @@ function buildBeesJsonc(merged) {
     // Use the original parser UID as the key (already in mod:name format, lowercase, no spaces/underscores)
     const key = uid;
 
+    // Genome traits resolved by the parsers (empty when a mod has no allele data)
+    const genome = bee.genome || {};
+
     // Build bee object matching existing format
     const beeData = {
       mod: bee.mod,
       name: bee.name,
       idealTemperature: bee.temperature || "",
       idealHumidity: bee.humidity || "",
-      temperatureTolerance: "", // Not available in parsed data
-      humidityTolerance: "", // Not available in parsed data
-      speed: "", // Not available in parsed data
-      lifespan: "", // Not available in parsed data
-      fertility: "", // Not available in parsed data
-      neverSleeps: false, // Not available in parsed data
-      caveDwelling: false, // Not available in parsed data
-      tolerantFlyer: false, // Not available in parsed data
+      temperatureTolerance: genome.temperatureTolerance || "",
+      humidityTolerance: genome.humidityTolerance || "",
+      speed: genome.speed || "",
+      lifespan: genome.lifespan || "",
+      fertility: genome.fertility !== undefined ? genome.fertility : null,
+      neverSleeps: genome.neverSleeps === true,
+      caveDwelling: genome.caveDwelling === true,
+      tolerantFlyer: genome.tolerantFlyer === true,
+      flowerProvider: genome.flowerProvider || "",
+      flowering: genome.flowering || "",
+      territory: genome.territory || "",
+      effect: genome.effect || "",
     };
 
     // Add products if present (convert item format and preserve isSpecialty flag)
     if (bee.products && bee.products.length > 0) {
       beeData.products = bee.products.map((p) => {
         const product = {
-          item: p.item,
+          item: formatProductId(p.item),
+          ...productItem(p.item, merged.itemSubtypes),
           chance: p.chance,
         };
         // Only include isSpecialty if it's explicitly true (omit for regular products)
         if (p.isSpecialty === true) {
           product.isSpecialty = true;
         }
+        // Products only registered while another mod is loaded
+        if (p.runtimeConditions) {
+          product.runtimeConditions = p.runtimeConditions;
+        }
+        recordSource(merged, product, p.source);
         return product;
       });
     } else {
@@ -202,13 +394,22 @@ function buildBeesJsonc(merged) {
     }
 
     // Add additional properties from parsed data (as supplementary info)
+    if (bee.alleleUid) beeData.alleleUid = bee.alleleUid;
     if (bee.branch) beeData.branch = bee.branch;
     if (bee.binomial) beeData.binomial = bee.binomial;
     if (bee.dominant !== undefined) beeData.dominant = bee.dominant;
     if (bee.colors) beeData.colors = bee.colors;
     if (bee.hasEffect !== undefined) beeData.hasEffect = bee.hasEffect;
     if (bee.isSecret !== undefined) beeData.isSecret = bee.isSecret;
+    if (bee.isNocturnal !== undefined) beeData.isNocturnal = bee.isNocturnal;
+    if (bee.names) beeData.names = bee.names;
+    if (bee.description) beeData.description = bee.description;
+    if (bee.authority) beeData.authority = bee.authority;
+    if (bee.runtimeConditions && bee.runtimeConditions.length > 0) {
+      beeData.runtimeConditions = bee.runtimeConditions;
+    }
 
+    recordSource(merged, beeData, bee.source);
     output[key] = beeData;
   });
 
@@ -243,7 +444,7 @@ function buildBreedingPairsJsonc(merged, manualMutations = []) {
     // Add to mutation groups map - deep copy the children structure
     mutationGroups.set(parentKey, {
       parents: [...group.parents],
-      children: JSON.parse(JSON.stringify(group.children)),
+      children: cloneWithSources(merged, group.children),
     });
   });
 
@@ -258,7 +459,10 @@ function buildBreedingPairsJsonc(merged, manualMutations = []) {
     const parts = sortedKeys.map((key) => {
       const value = conditions[key];
       if (Array.isArray(value)) {
-        return `${key}=${value.slice().sort().join(",")}`;
+        return `${key}=${value
+          .map((v) => (typeof v === "object" ? JSON.stringify(v) : v))
+          .sort()
+          .join(",")}`;
       }
       return `${key}=${JSON.stringify(value)}`;
     });
@@ -342,79 +546,21 @@ function buildBreedingPairsJsonc(merged, manualMutations = []) {
         chance: mutation.chance / 100, // default chance
         requirements: [],
       };
+      recordSource(merged, group.children[offspring], mutation.source);
     }
 
     // Build mutation entry (requirements + optional chance override)
     const mutationEntry = {};
 
-    // Add requirements if present
-    if (mutation.conditions && Object.keys(mutation.conditions).length > 0) {
-      // Temperature restrictions
-      if (mutation.conditions.temperature) {
-        mutationEntry.temperature = mutation.conditions.temperature;
-      }
-
-      // Humidity restrictions
-      if (mutation.conditions.humidity) {
-        mutationEntry.humidity = mutation.conditions.humidity;
-      }
-
-      // Biome restrictions
-      if (mutation.conditions.biome) {
-        mutationEntry.biome = mutation.conditions.biome;
-      }
-
-      // Date range (seasonal bees)
-      if (mutation.conditions.dateRange) {
-        mutationEntry.dateRange = mutation.conditions.dateRange;
-      }
-
-      // Time of day requirement
-      if (mutation.conditions.timeOfDay) {
-        mutationEntry.timeOfDay = mutation.conditions.timeOfDay;
-      }
-
-      // Required block (check both property names for compatibility)
-      if (mutation.conditions.block) {
-        mutationEntry.block = mutation.conditions.block;
-      } else if (mutation.conditions.requiredBlock) {
-        mutationEntry.block = mutation.conditions.requiredBlock;
-      }
-
-      // Moon phase (MagicBees)
-      if (mutation.conditions.moonPhase) {
-        mutationEntry.moonPhase = mutation.conditions.moonPhase;
-      }
-
-      // Moon phase bonus multiplier (MagicBees)
-      if (mutation.conditions.moonPhaseBonus) {
-        mutationEntry.moonPhaseBonus = mutation.conditions.moonPhaseBonus;
-      }
-
-      // Thaumcraft vis requirement (MagicBees)
-      if (mutation.conditions.thaumcraftVis) {
-        mutationEntry.thaumcraftVis = mutation.conditions.thaumcraftVis;
-      }
-
-      // Recent explosion requirement (CareerBees)
-      if (mutation.conditions.requireExplosion) {
-        mutationEntry.requireExplosion = true;
-      }
-
-      // Player name requirement (ExtraBees easter egg)
-      if (mutation.conditions.requirePlayer) {
-        mutationEntry.requirePlayer = mutation.conditions.requirePlayer;
-      }
-
-      // Dimension requirement
-      if (mutation.conditions.dimension) {
-        mutationEntry.dimension = mutation.conditions.dimension;
-      }
-
-      // Secret mutation flag
-      if (mutation.conditions.isSecret) {
-        mutationEntry.isSecret = true;
-      }
+    // Add requirements if present (conditions are canonical, see
+    // condition_utils; block references become items.jsonc IDs)
+    if (mutation.conditions) {
+      Object.keys(CONDITIONS).forEach((key) => {
+        const value = mutation.conditions[key];
+        if (value === undefined) return;
+        mutationEntry[key] =
+          key === "block" ? value.map(formatProductId) : value;
+      });
     }
 
     // Check if this mutation has a different chance than the default
@@ -425,6 +571,11 @@ function buildBreedingPairsJsonc(merged, manualMutations = []) {
 
     // Only add the requirement if it has properties (not empty)
     if (Object.keys(mutationEntry).length > 0) {
+      // Manual children without requirements have no array yet
+      if (!group.children[offspring].requirements) {
+        group.children[offspring].requirements = [];
+      }
+      recordSource(merged, mutationEntry, mutation.source);
       group.children[offspring].requirements.push(mutationEntry);
     }
   });
@@ -440,6 +591,11 @@ function buildBreedingPairsJsonc(merged, manualMutations = []) {
           // New species - add it (omit empty requirements array)
           if (childData.requirements && childData.requirements.length === 0) {
             group.children[species] = { chance: childData.chance };
+            recordSource(
+              merged,
+              group.children[species],
+              merged.sources && merged.sources.get(childData)
+            );
           } else {
             group.children[species] = childData;
           }
@@ -515,21 +671,7 @@ function buildBreedingPairsJsonc(merged, manualMutations = []) {
  */
 function checkIfInManualMutations(mutation, manualMutationSet, beesMap) {
   // Identifier is already in mod:name format, just normalize case and spaces
-  const tryResolve = (identifier) => {
-    if (!identifier) return null;
-
-    // Already in mod:name format, just ensure lowercase and no spaces
-    if (identifier.includes(":")) {
-      const [mod, name] = identifier.split(":");
-      return `${mod.toLowerCase()}:${name
-        .toLowerCase()
-        .replace(/[_\s]+/g, "")}`;
-    }
-
-    return null;
-  };
-
-  const offspring = tryResolve(mutation.offspring);
+  const offspring = normalizeUID(mutation.offspring);
 
   // If we can't resolve the offspring, it's not in manual mutations
   if (!offspring) {
@@ -567,100 +709,263 @@ function buildCombsJsonc(merged) {
   sortedCombs.forEach(([id, comb]) => {
     output[id] = {
       name: comb.name,
-      producers: comb.producers.sort((a, b) => a.bee.localeCompare(b.bee)),
+      // Regular producers before specialty producers of the same bee
+      producers: comb.producers.sort(
+        (a, b) =>
+          a.bee.localeCompare(b.bee) || !!a.isSpecialty - !!b.isSpecialty
+      ),
+      processing: comb.processing || [],
     };
+    if (comb.names) output[id].names = comb.names;
   });
 
   return output;
 }
 
 /**
- * Write JSONC file with header comment
+ * Build items.jsonc content
+ * Key format: item ID as used by bee products, comb processing and mutation
+ * block requirements. References that cannot be resolved are kept with a
+ * null registryName so they can be reported (see find_unresolved_items.js),
+ * and warned about: their keys are source expressions, not item IDs.
  */
-function writeJsonc(filePath, data, description) {
-  const header = `// ${description}\n// Generated from mod source files\n// Do not edit manually - regenerate using scripts/build.js\n\n`;
-
-  // Use custom formatter for mutations.jsonc to match example format
-  let jsonContent;
-  if (filePath.endsWith("mutations.jsonc")) {
-    jsonContent = formatMutationsJson(data);
-  } else {
-    jsonContent = JSON.stringify(data, null, 2);
+function buildItemsJsonc(merged) {
+  const refs = {};
+  const addRef = (ref) => {
+    refs[formatProductId(ref)] = ref;
+  };
+
+  Object.values(merged.bees).forEach((bee) =>
+    (bee.products || []).forEach((product) => addRef(product.item))
+  );
+  merged.centrifuge.forEach((recipe) => {
+    addRef(recipe.comb);
+    recipe.outputs.forEach((output) => addRef(output.item));
+  });
+  merged.mutations.forEach((mutation) =>
+    ((mutation.conditions && mutation.conditions.block) || []).forEach(addRef)
+  );
+
+  const output = {};
+  Object.keys(refs)
+    .sort()
+    .forEach((id) => {
+      output[id] = productItem(refs[id], merged.itemSubtypes);
+      if (isUnresolvedItem(output[id])) {
+        console.warn(`⚠️  Unresolved item ${id}`);
+      }
+    });
+  return output;
+}
+
+/**
+ * Build branches.jsonc content
+ * Key format: branch UID as referenced by bees.jsonc "branch" (mod:name)
+ * Branches referenced by species but defined by no source (e.g. a Forestry
+ * branch when Forestry is not part of the profile) are listed by UID only.
+ */
+function buildBranchesJsonc(merged) {
+  const output = {};
+
+  // Member species per branch
+  const members = {};
+  Object.keys(merged.bees)
+    .sort()
+    .forEach((beeId) => {
+      const branchUID = merged.bees[beeId].branch;
+      if (!branchUID) return;
+      if (!members[branchUID]) members[branchUID] = [];
+      members[branchUID].push(beeId);
+    });
+
+  const branchUIDs = new Set([
+    ...Object.keys(merged.branches),
+    ...Object.keys(members),
+  ]);
+
+  Array.from(branchUIDs)
+    .sort()
+    .forEach((uid) => {
+      let branch = merged.branches[uid];
+      if (!branch) {
+        console.warn(
+          `⚠️  Branch ${uid} is not defined by any source (used by ${members[uid].length} species)`
+        );
+        const name = uid.split(":").pop();
+        branch = { name: name.charAt(0).toUpperCase() + name.slice(1) };
+      }
+
+      output[uid] = { name: branch.name };
+      if (branch.names) output[uid].names = branch.names;
+      if (branch.scientific) output[uid].scientific = branch.scientific;
+      output[uid].parent = branch.parent || "apidae";
+      if (branch.mod) output[uid].mod = branch.mod;
+      if (branch.description) output[uid].description = branch.description;
+      output[uid].members = members[uid] || [];
+    });
+
+  return output;
+}
+
+/**
+ * Remember the source location an output record was built from
+ * Records are keyed by object identity, so sources follow them through
+ * sorting and merging; the first source recorded for a record wins.
+ */
+function recordSource(merged, record, source) {
+  if (merged.sources && source && !merged.sources.has(record)) {
+    merged.sources.set(record, source);
   }
+}
+
+/**
+ * Deep copy a JSON value, carrying recorded sources over to the copies
+ */
+function cloneWithSources(merged, value) {
+  if (!value || typeof value !== "object") return value;
 
-  fs.writeFileSync(filePath, header + jsonContent);
+  const copy = Array.isArray(value) ? [] : {};
+  Object.entries(value).forEach(([key, child]) => {
+    copy[key] = cloneWithSources(merged, child);
+  });
+  if (merged.sources && merged.sources.has(value)) {
+    recordSource(merged, copy, merged.sources.get(value));
+  }
+  return copy;
 }
 
 /**
- * Custom JSON formatter for mutations that:
- * - Keeps arrays of primitives inline
- * - Keeps arrays of objects multi-line
- * - Adds blank lines between mutation groups
+ * Record the manual/mutations.jsonc line of every manual child and requirement
  */
-function formatMutationsJson(data, indent = 0) {
-  const indentStr = "  ".repeat(indent);
-  const nextIndent = "  ".repeat(indent + 1);
-
-  if (Array.isArray(data)) {
-    if (data.length === 0) return "[]";
-
-    // Check if array contains only primitives
-    const allPrimitives = data.every(
-      (item) =>
-        typeof item === "string" ||
-        typeof item === "number" ||
-        typeof item === "boolean" ||
-        item === null
-    );
+function recordManualSources(merged, manualDocument, manualMutationsPath) {
+  const { value: groups, positions } = manualDocument;
+  const manualSource = (valuePath) => ({
+    file: manualMutationsPath,
+    line: positions[pointer(valuePath)].line,
+    manual: true,
+  });
 
-    if (allPrimitives) {
-      // Format inline for primitive arrays
-      return "[" + data.map((item) => JSON.stringify(item)).join(", ") + "]";
-    } else {
-      // Format multi-line for object arrays
-      const items = data.map((item, index) => {
-        const formattedItem = formatMutationsJson(item, indent + 1);
-        const comma = index < data.length - 1 ? "," : "";
-        return nextIndent + formattedItem + comma;
+  groups.forEach((group, g) => {
+    Object.entries(group.children || {}).forEach(([offspring, child]) => {
+      const childPath = [g, "children", offspring];
+      recordSource(merged, child, manualSource(childPath));
+      (child.requirements || []).forEach((requirement, r) => {
+        recordSource(
+          merged,
+          requirement,
+          manualSource([...childPath, "requirements", r])
+        );
       });
-      return "[\n" + items.join("\n") + "\n" + indentStr + "]";
-    }
-  } else if (typeof data === "object" && data !== null) {
-    const keys = Object.keys(data);
-    if (keys.length === 0) return "{}";
-
-    const items = keys.map((key) => {
-      const value = data[key];
-      const formattedValue = formatMutationsJson(value, indent + 1);
-      return `${nextIndent}"${key}": ${formattedValue}`;
     });
+  });
+}
 
-    return "{\n" + items.join(",\n") + "\n" + indentStr + "}";
-  } else {
-    return JSON.stringify(data);
-  }
+/**
+ * Build provenance.jsonc content
+ * For each output file, maps the JSON Pointer of every record with a known
+ * source (bees, products, mutation children and requirements, comb producers
+ * and processing outputs) to { file, line, manual? }. Files are relative to
+ * the repository root.
+ * @param {WeakMap} sources - Record → source, filled by recordSource()
+ * @param {Object} outputs - Output values keyed by file name
+ */
+function buildProvenanceJsonc(sources, outputs) {
+  const output = {};
+
+  Object.entries(outputs).forEach(([fileName, value]) => {
+    const records = {};
+    const walk = (node, valuePath) => {
+      if (!node || typeof node !== "object") return;
+
+      const source = sources.get(node);
+      if (source) {
+        records[pointer(valuePath)] = {
+          ...source,
+          file: path.relative(__dirname, source.file).split(path.sep).join("/"),
+        };
+      }
+      Object.entries(node).forEach(([key, child]) =>
+        walk(child, [...valuePath, Array.isArray(node) ? Number(key) : key])
+      );
+    };
+    walk(value, []);
+    output[fileName] = records;
+  });
+
+  return output;
 }
 
 /**
- * Main export function
+ * Write JSONC file with header comment
  */
-function buildOutputFiles(intermediateData, outputDir = "./data") {
-  // Ensure output directory exists
+function writeJsonc(filePath, data, description) {
+  const header = [
+    `// ${description}`,
+    "// Generated from mod source files",
+    "// Do not edit manually - regenerate using scripts/build.js",
+    "",
+  ];
+
+  // Keep parent arrays inline in mutations.jsonc to match example format
+  writeJsoncFile(filePath, data, {
+    comments: { "": { leading: header } },
+    inlinePrimitiveArrays: filePath.endsWith("mutations.jsonc"),
+  });
+}
+
+/**
+ * Write built output files (see buildOutput) to a directory
+ * @param {string} outputDir - Directory to write JSONC files to
+ * @param {Object} files - File name → content
+ */
+function writeOutputFiles(outputDir, files) {
   if (!fs.existsSync(outputDir)) {
     fs.mkdirSync(outputDir, { recursive: true });
   }
+  Object.keys(OUTPUT_DESCRIPTIONS)
+    .filter((file) => files[file] !== undefined)
+    .forEach((file) =>
+      writeJsonc(
+        path.join(outputDir, file),
+        files[file],
+        OUTPUT_DESCRIPTIONS[file]
+      )
+    );
+}
 
-  return buildOutput(intermediateData, outputDir);
+/**
+ * Main export function: build, validate, then write every output file
+ * @returns {Object} Statistics about the build
+ */
+function buildOutputFiles(
+  intermediateData,
+  outputDir = "./data",
+  manualMutationsPath = DEFAULT_MANUAL_MUTATIONS_PATH,
+  options = {}
+) {
+  const { files, stats } = buildOutput(
+    intermediateData,
+    manualMutationsPath,
+    options
+  );
+  writeOutputFiles(outputDir, files);
+  return stats;
 }
 
-module.exports = { buildOutputFiles };
+module.exports = {
+  buildOutput,
+  writeOutputFiles,
+  buildOutputFiles,
+  buildBreedingPairsJsonc,
+  DEFAULT_MANUAL_MUTATIONS_PATH,
+};
 
 // CLI usage
 if (require.main === module) {
   const args = process.argv.slice(2);
   if (args.length < 1) {
     console.log(
-      "Usage: node output_builder.js <intermediate-json-file1> [intermediate-json-file2] [...] [--output-dir <dir>]"
+      "Usage: node output_builder.js <intermediate-json-file1> [intermediate-json-file2] [...] [--output-dir <dir>] [--manual <mutations.jsonc>]"
     );
     console.log("");
     console.log("Example:");
@@ -672,12 +977,16 @@ if (require.main === module) {
 
   // Parse arguments
   let outputDir = "./data";
+  let manualMutationsPath = DEFAULT_MANUAL_MUTATIONS_PATH;
   const inputFiles = [];
 
   for (let i = 0; i < args.length; i++) {
     if (args[i] === "--output-dir" && i + 1 < args.length) {
       outputDir = args[i + 1];
       i++;
+    } else if (args[i] === "--manual" && i + 1 < args.length) {
+      manualMutationsPath = args[i + 1];
+      i++;
     } else {
       inputFiles.push(args[i]);
     }
@@ -689,5 +998,5 @@ if (require.main === module) {
     return JSON.parse(fs.readFileSync(file, "utf-8"));
   });
 
-  buildOutputFiles(intermediateData, outputDir);
+  buildOutputFiles(intermediateData, outputDir, manualMutationsPath);
 }
@@ -10,13 +10,26 @@
 
 const fs = require("fs");
 const path = require("path");
+const { CHROMOSOME_KEYS, forestryAlleleValue } = require("./genome_utils");
+const { productRef, unknownRef, parseItemStack } = require("./product_utils");
+const { parseBlockExpression } = require("./item_utils");
+const { applyLangFile, applyLocalizedNames } = require("./lang_utils");
+const {
+  formatSpeciesUID,
+  formatBranchUID,
+  speciesAlleleUID,
+  resolveAlleleUID,
+} = require("./uid_utils");
 
 /**
  * Remove comments from Java content
  */
 function removeComments(content) {
-  // Remove multi-line comments /* */
-  content = content.replace(/\/\*[\s\S]*?\*\//g, "");
+  // Remove multi-line comments /* */, keeping their line breaks so
+  // source lines still match the original file
+  content = content.replace(/\/\*[\s\S]*?\*\//g, (comment) =>
+    comment.replace(/[^\n]/g, "")
+  );
   // Remove single-line comments //
   content = content.replace(/\/\/.*$/gm, "");
   return content;
@@ -38,39 +51,83 @@ function parseCareerBeesSpecies(filePath) {
   };
 
   // Extract static bee entries
-  // Pattern: public static final CareerBeeEntry NAME = new CareerBeeEntry("name", dominant, "branch", col(r, g, b));
-  const beePattern =
-    /public\s+static\s+final\s+CareerBeeEntry\s+(\w+)\s*=\s*new\s+CareerBeeEntry\(\s*"([^"]+)"\s*,\s*(true|false)\s*,\s*"([^"]+)"\s*,\s*col\((\d+),\s*(\d+),\s*(\d+)\)/g;
+  // Pattern: public static final CareerBeeEntry NAME = new CareerBeeEntry("name", dominant, "branch",
+  //   col(r, g, b) | 0xRRGGBB [, secondary color])
+  const color = String.raw`(?:col\(\s*\d+\s*,\s*\d+\s*,\s*\d+\s*\)|0x[0-9a-fA-F]+)`;
+  const beePattern = new RegExp(
+    String.raw`public\s+static\s+final\s+CareerBeeEntry\s+(\w+)\s*=\s*new\s+CareerBeeEntry\(\s*"([^"]+)"\s*,\s*(true|false)\s*,\s*"([^"]+)"\s*,\s*(${color})\s*(?:,\s*(${color})\s*)?\)`,
+    "g"
+  );
 
   let match;
   while ((match = beePattern.exec(content)) !== null) {
-    const [, enumName, name, dominant, branch, r, g, b] = match;
+    const [, enumName, name, dominant, branch, primaryColor, secondaryColor] =
+      match;
+    const lineOf = (index) => content.substring(0, index).split("\n").length;
+
+    // Builder chain and instance initializer: everything up to the end of
+    // the field declaration
+    const chainStart = match.index + match[0].length;
+    const chain = content.substring(
+      chainStart,
+      findDeclarationEnd(content, chainStart)
+    );
+    const properties = parseSpeciesProperties(chain);
 
     // Convert to display name format
     const displayName = name
       .split("_")
       .map((part) => part.charAt(0).toUpperCase() + part.slice(1).toLowerCase())
       .join(" ");
-    // Use standardized mod:name format (lowercase, no spaces)
-    const uid = `careerbees:${displayName.toLowerCase().replace(/\s+/g, "")}`;
+    const uid = formatSpeciesUID("careerbees", name);
+
+    // Branches are only declared through the species that use them
+    const beeBranch = parseBranch(branch);
+    result.branches[beeBranch.uid] = {
+      name: beeBranch.name.charAt(0).toUpperCase() + beeBranch.name.slice(1),
+      scientific: beeBranch.scientific,
+      mod: "careerbees",
+    };
 
     result.bees[uid] = {
       mod: "careerbees",
       name: displayName,
+      alleleUid: speciesAlleleUID("careerbees", name),
       binomial: name,
-      branch: parseBranchName(branch),
+      branch: beeBranch.uid,
       dominant: dominant === "true",
       colors: {
-        primary: rgbToHex(parseInt(r), parseInt(g), parseInt(b)),
-        secondary: rgbToHex(parseInt(r), parseInt(g), parseInt(b)),
+        primary: parseColor(primaryColor),
+        secondary: parseColor(secondaryColor || primaryColor),
+      },
+      temperature: properties.temperature,
+      humidity: properties.humidity,
+      hasEffect: properties.hasEffect,
+      isSecret: properties.isSecret,
+      isNocturnal: properties.isNocturnal,
+      products: [
+        ...(/\.removeVanillaProducts\(\s*\)/.test(chain)
+          ? []
+          : VANILLA_PRODUCTS.map((product) => ({
+              ...product,
+              source: { file: filePath, line: lineOf(match.index) },
+            }))),
+        ...parseProducts(chain, uid).map(({ index, ...product }) => ({
+          ...product,
+          source: { file: filePath, line: lineOf(chainStart + index) },
+        })),
+      ],
+      source: {
+        file: filePath,
+        line: lineOf(match.index),
       },
-      temperature: "NORMAL",
-      humidity: "NORMAL",
-      hasEffect: false,
-      isSecret: false,
-      products: [],
     };
 
+    // Species start from their branch template, resolved with the other
+    // mods' templates; the setTemplate*() calls override it
+    result.bees[uid].genome = parseTemplateChain(chain);
+    result.bees[uid].genomeBase = { type: "branch", uid: beeBranch.uid };
+
     // Store enum name for mutation parsing
     result.bees[uid]._enumName = enumName;
   }
@@ -79,23 +136,6 @@ function parseCareerBeesSpecies(filePath) {
   const mutations = parseMutationTree(content, result.bees, filePath);
   result.mutations.push(...mutations);
 
-  // Extract branch names
-  const branches = new Set();
-  Object.values(result.bees).forEach((bee) => {
-    if (bee.branch) {
-      branches.add(bee.branch);
-    }
-  });
-
-  branches.forEach((branchUID) => {
-    const parts = branchUID.split(":");
-    const name = parts[parts.length - 1];
-    result.branches[branchUID] = {
-      name: name.charAt(0).toUpperCase() + name.slice(1),
-      scientific: name,
-    };
-  });
-
   // Clean up temporary fields
   Object.values(result.bees).forEach((bee) => {
     delete bee._enumName;
@@ -105,15 +145,295 @@ function parseCareerBeesSpecies(filePath) {
 }
 
 /**
- * Parse branch name from CareerBees format
+ * Find the end of a field declaration: the first ";" outside of brackets
+ * and string literals (instance initializer blocks contain statements)
+ * @param {string} content - Java source
+ * @param {number} start - Index inside the declaration
+ * @returns {number} Index of the terminating ";"
+ */
+function findDeclarationEnd(content, start) {
+  let depth = 0;
+  for (let i = start; i < content.length; i++) {
+    const char = content[i];
+    if (char === '"') {
+      i = content.indexOf('"', i + 1);
+      if (i === -1) break;
+    } else if ("({[".includes(char)) {
+      depth++;
+    } else if (")}]".includes(char)) {
+      depth--;
+    } else if (char === ";" && depth <= 0) {
+      return i;
+    }
+  }
+  return content.length;
+}
+
+/**
+ * Parse species properties from CareerBeeEntry builder calls
+ * Climate defaults to Forestry's species defaults (NORMAL) when the chain
+ * does not set it.
+ * @param {string} chain - Builder chain following the constructor
+ * @returns {Object} { temperature, humidity, hasEffect, isSecret, isNocturnal }
+ */
+function parseSpeciesProperties(chain) {
+  const temperatureMatch = chain.match(
+    /\.setTemperature\(\s*EnumTemperature\.(\w+)\s*\)/
+  );
+  const humidityMatch = chain.match(
+    /\.setHumidity\(\s*EnumHumidity\.(\w+)\s*\)/
+  );
+
+  return {
+    temperature: temperatureMatch ? temperatureMatch[1] : "NORMAL",
+    humidity: humidityMatch ? humidityMatch[1] : "NORMAL",
+    hasEffect: /\.setHasEffect\(\s*\)/.test(chain),
+    isSecret: /\.setIsSecret\(\s*\)/.test(chain),
+    isNocturnal: /\.setNocturnal\(\s*\)/.test(chain),
+  };
+}
+
+/**
+ * Products the CareerBeeEntry constructor gives every species unless
+ * removeVanillaProducts() drops them: the honey comb of Forestry's common
+ * bees. CareerBeeEntry is not part of the parsed sources.
+ */
+const VANILLA_PRODUCTS = [
+  {
+    item: productRef("forestry", "comb", "HONEY"),
+    chance: 0.3,
+    isSpecialty: false,
+  },
+];
+
+/**
+ * Minecraft EnumDyeColor constants in ordinal order (dye damage is
+ * 15 - ordinal)
+ */
+const DYE_COLORS = [
+  "WHITE",
+  "ORANGE",
+  "MAGENTA",
+  "LIGHT_BLUE",
+  "YELLOW",
+  "LIME",
+  "PINK",
+  "GRAY",
+  "SILVER",
+  "CYAN",
+  "PURPLE",
+  "BLUE",
+  "BROWN",
+  "GREEN",
+  "RED",
+  "BLACK",
+];
+
+/**
+ * Evaluate the dye chances RAINBOW's instance initializer computes: base
+ * weights from probabilities.put(...), mixed dyes weighing the sum of their
+ * ingredients (dyeRecipes.putAll(...), in declaration order), all scaled by
+ * the k solving sum2 / 2 * k^2 - sum * k + ln 2 = 0.
+ * CareerBeeEntry.roundSig is defined outside the parsed source; chances are
+ * kept to 6 significant digits.
+ * @param {string} chain - Instance initializer
+ * @returns {Object|null} Dye color → chance, or null if the initializer does
+ *   not compute dye chances
+ */
+function computeDyeChances(chain) {
+  const probabilities = {};
+  const putPattern =
+    /probabilities\.put\(\s*EnumDyeColor\.(\w+)\s*,\s*([\d.]+)\s*\)/g;
+  let match;
+  while ((match = putPattern.exec(chain)) !== null) {
+    probabilities[match[1]] = parseFloat(match[2]);
+  }
+
+  const recipePattern =
+    /dyeRecipes\.putAll\(\s*EnumDyeColor\.(\w+)\s*,\s*ImmutableList\.of\(([^)]*)\)\s*\)/g;
+  while ((match = recipePattern.exec(chain)) !== null) {
+    probabilities[match[1]] = Array.from(
+      match[2].matchAll(/EnumDyeColor\.(\w+)/g),
+      ([, color]) => probabilities[color]
+    ).reduce((sum, weight) => sum + weight, 0);
+  }
+
+  if (DYE_COLORS.some((color) => probabilities[color] === undefined)) {
+    return null;
+  }
+
+  const weights = DYE_COLORS.map((color) => probabilities[color]);
+  const sum = weights.reduce((total, weight) => total + weight, 0);
+  const sum2 = weights.reduce((total, weight) => total + weight * weight, 0);
+  const a = sum2 / 2;
+  const c = -Math.log(0.5);
+  const k = (sum - Math.sqrt(sum * sum - 4 * a * c)) / (2 * a);
+
+  const chances = {};
+  DYE_COLORS.forEach((color) => {
+    chances[color] = Number(
+      Math.fround(probabilities[color] * k).toPrecision(6)
+    );
+  });
+  return chances;
+}
+
+/**
+ * Parse products and specialties from a builder chain or instance
+ * initializer: addProduct(item, chance), addSpecialty(item, chance)
+ * A dye product inside a loop over EnumDyeColor.values() with computed
+ * chances (RAINBOW) becomes one product per dye color.
+ * @param {string} chain - Builder chain following the constructor
+ * @param {string} uid - Species UID, for warnings
+ * @returns {Array<Object>} [{ index, item, chance, isSpecialty }]
+ */
+function parseProducts(chain, uid) {
+  const products = [];
+  const productPattern =
+    /\badd(Product|Specialty)\(\s*([^;]+?)\s*,\s*([^,;()]+?)\s*\)\s*(?=[.;)\s]|$)/g;
+
+  let match;
+  while ((match = productPattern.exec(chain)) !== null) {
+    const [, type, item, chance] = match;
+
+    // Chances computed at runtime (RAINBOW's dye loop) have no literal value
+    const chanceMatch = chance.match(/^([\d.]+)[fF]?$/);
+    if (!chanceMatch) {
+      const dyeChances = /Items\.DYE\b.*\.getDyeDamage\(\)/.test(item)
+        ? computeDyeChances(chain)
+        : null;
+      if (!dyeChances) {
+        console.warn(
+          `⚠️  ${uid}: skipping product with computed chance (${chance}): ${item}`
+        );
+        continue;
+      }
+      DYE_COLORS.forEach((color, ordinal) =>
+        products.push({
+          index: match.index,
+          item: productRef("minecraft", "item", "dye", 15 - ordinal),
+          chance: dyeChances[color],
+          isSpecialty: type === "Specialty",
+        })
+      );
+      continue;
+    }
+
+    products.push({
+      index: match.index,
+      item: parseItemReference(item),
+      chance: parseFloat(chanceMatch[1]),
+      isSpecialty: type === "Specialty",
+    });
+  }
+
+  return products;
+}
+
+/**
+ * Parse an item expression into a typed product reference
+ * e.g. ItemIngredients.IngredientType.YING.get() → careerbees ingredient ying
  */
-function parseBranchName(branch) {
-  if (branch.startsWith(":")) {
-    // Root branch like ":discipulus"
-    return `careerbees${branch}`;
+function parseItemReference(item) {
+  item = item.trim();
+
+  const ingredientMatch = item.match(/IngredientType\.(\w+)\.get\(/);
+  if (ingredientMatch) {
+    return productRef("careerbees", "ingredient", ingredientMatch[1]);
+  }
+
+  const itemStack = parseItemStack(item);
+  if (itemStack) {
+    return itemStack;
+  }
+
+  return unknownRef(item);
+}
+
+/**
+ * Parse genome alleles from CareerBeeEntry builder calls
+ * (setTemplateEffect, setTemplateAllelleBool, setTemplateAllelleString, setTemplate)
+ * @param {string} chain - Builder chain following the constructor
+ * @returns {Object} Partial genome with the alleles that were set
+ */
+function parseTemplateChain(chain) {
+  const alleles = {};
+  let match;
+
+  // .setTemplateEffect(() -> EffectDigging.INSTANCE_FORTUNE)
+  const effectPattern =
+    /\.setTemplateEffect\(\s*\(\)\s*->\s*Effect(\w+)\.(\w+)\s*\)/g;
+  while ((match = effectPattern.exec(chain)) !== null) {
+    alleles.effect = effectAlleleUID(match[1], match[2]);
   }
-  // Branch with prefix like "consilium:graduati"
-  return `careerbees:${branch}`;
+
+  // .setTemplateAllelleBool(EnumBeeChromosome.CAVE_DWELLING, true)
+  const boolPattern =
+    /\.setTemplateAllelleBool\(\s*EnumBeeChromosome\.(\w+)\s*,\s*(true|false)\s*\)/g;
+  while ((match = boolPattern.exec(chain)) !== null) {
+    const key = CHROMOSOME_KEYS[match[1]];
+    if (key) alleles[key] = match[2] === "true";
+  }
+
+  // .setTemplateAllelleString(EnumBeeChromosome.SPEED, "forestry.speedFast")
+  const stringPattern =
+    /\.setTemplateAllelleString\(\s*EnumBeeChromosome\.(\w+)\s*,\s*"([^"]+)"\s*\)/g;
+  while ((match = stringPattern.exec(chain)) !== null) {
+    const key = CHROMOSOME_KEYS[match[1]];
+    if (key) alleles[key] = forestryAlleleValue(match[2]);
+  }
+
+  // .setTemplate(EnumBeeChromosome.LIFESPAN, () -> SpecialProperties.ETERNAL)
+  const customPattern =
+    /\.setTemplate\(\s*EnumBeeChromosome\.(\w+)\s*,\s*\(\)\s*->\s*SpecialProperties\.(\w+)\s*\)/g;
+  while ((match = customPattern.exec(chain)) !== null) {
+    const key = CHROMOSOME_KEYS[match[1]];
+    if (key) alleles[key] = `careerbees.${toCamelCase(match[2])}`;
+  }
+
+  return alleles;
+}
+
+/**
+ * Build an allele UID for a CareerBees effect singleton
+ * e.g. (Digging, INSTANCE_FORTUNE) → careerbees.effectDiggingFortune,
+ * (Buisness, JUNK) → careerbees.effectBuisnessJunk
+ */
+function effectAlleleUID(effectName, field) {
+  let variant = field.replace(/^INSTANCE_?/, "");
+  // EffectStealMob.MOB - the field only repeats the class name
+  if (effectName.toUpperCase().endsWith(variant)) {
+    variant = "";
+  }
+  const suffix = variant
+    ? toCamelCase(variant).replace(/^./, (c) => c.toUpperCase())
+    : "";
+  return `careerbees.effect${effectName}${suffix}`;
+}
+
+/**
+ * Convert CONSTANT_CASE to camelCase (ROBO_SPEED → roboSpeed)
+ */
+function toCamelCase(name) {
+  return name.toLowerCase().replace(/_(\w)/g, (_, c) => c.toUpperCase());
+}
+
+/**
+ * Parse a CareerBees branch string: "name:scientific", ":scientific" (root
+ * branch like ":discipulus") or a bare "name" used for both
+ * @returns {Object} { uid: "careerbees:name", name, scientific }
+ */
+function parseBranch(branch) {
+  const separator = branch.indexOf(":");
+  const name = separator === -1 ? branch : branch.substring(0, separator);
+  const scientific =
+    separator === -1 ? branch : branch.substring(separator + 1);
+  const branchName = name || scientific;
+  return {
+    uid: formatBranchUID("careerbees", branchName),
+    name: branchName,
+    scientific: scientific || branchName,
+  };
 }
 
 /**
@@ -183,22 +503,11 @@ function parseMutationTree(content, bees, filePath) {
 function parseRequirements(reqStr) {
   const conditions = {};
 
-  // Pattern: v -> v.requireResource(Blocks.BOOKSHELF.getDefaultState())
-  const blockMatch = reqStr.match(/requireResource\(Blocks\.(\w+)/);
+  // Pattern: v -> v.requireResource(Blocks.BOOKSHELF.getDefaultState()),
+  // v -> v.requireResource("blockIron"), v -> v.requireBlock(...)
+  const blockMatch = reqStr.match(/require(?:Resource|Block)\(([^)]+)\)/);
   if (blockMatch) {
-    conditions.block = [`minecraft:${blockMatch[1].toLowerCase()}`];
-  }
-
-  // Pattern: v -> v.requireBlock(...)
-  const blockMatch2 = reqStr.match(/requireBlock\(([^)]+)\)/);
-  if (blockMatch2) {
-    const block = blockMatch2[1].trim();
-    if (block.includes("Blocks.")) {
-      const blockName = block.match(/Blocks\.(\w+)/);
-      if (blockName) {
-        conditions.block = [`minecraft:${blockName[1].toLowerCase()}`];
-      }
-    }
+    conditions.block = parseBlockExpression(blockMatch[1]);
   }
 
   // Pattern: iBeeMutationBuilder -> iBeeMutationBuilder.addMutationCondition(new MutationRecentExplosion()...)
@@ -218,18 +527,13 @@ function resolveSpeciesReference(ref, bees) {
   // Check for getFSpecies("Name") pattern - Forestry bee helper
   const getFSpeciesMatch = ref.match(/getFSpecies\s*\(\s*"([^"]+)"\s*\)/);
   if (getFSpeciesMatch) {
-    const displayName = getFSpeciesMatch[1]
-      .split("_")
-      .map((part) => part.charAt(0).toUpperCase() + part.slice(1).toLowerCase())
-      .join(" ");
-    return `forestry:${displayName.toLowerCase().replace(/\s+/g, "")}`;
+    return formatSpeciesUID("forestry", getFSpeciesMatch[1]);
   }
 
-  // Check for getSpecies("mod:name") pattern
+  // Check for getSpecies("forestry.speciesCommon") pattern - allele UID
   const getSpeciesMatch = ref.match(/getSpecies\s*\(\s*"([^"]+)"\s*\)/);
   if (getSpeciesMatch) {
-    // Already in mod:name format
-    return getSpeciesMatch[1];
+    return resolveAlleleUID(getSpeciesMatch[1]);
   }
 
   // Look up in CareerBees species by enum name
@@ -249,11 +553,7 @@ function resolveSpeciesReference(ref, bees) {
       }
     }
     // Otherwise assume it's a Forestry bee
-    const displayName = ref
-      .split("_")
-      .map((part) => part.charAt(0).toUpperCase() + part.slice(1).toLowerCase())
-      .join(" ");
-    return `forestry:${displayName.toLowerCase().replace(/\s+/g, "")}`;
+    return formatSpeciesUID("forestry", ref);
   }
 
   // If no pattern matched, return as-is (likely will cause a skip warning)
@@ -272,34 +572,73 @@ function rgbToHex(r, g, b) {
 }
 
 /**
- * Parse CareerBees lang file to extract bee names
- * @param {string} langFilePath - Path to en_us.lang file
- * @returns {Object} Map of bee UID to display name
+ * Convert a CareerBeeEntry color argument to hex: col(r, g, b) or an int
+ * literal such as 0x00AFAF (an alpha byte, 0xff463AA5, is ignored)
+ */
+function parseColor(expr) {
+  const colMatch = expr.match(/col\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)\s*\)/);
+  if (colMatch) {
+    return rgbToHex(
+      parseInt(colMatch[1]),
+      parseInt(colMatch[2]),
+      parseInt(colMatch[3])
+    );
+  }
+
+  const rgb = parseInt(expr, 16) & 0xffffff;
+  return rgbToHex((rgb >> 16) & 0xff, (rgb >> 8) & 0xff, rgb & 0xff);
+}
+
+/**
+ * Parse CareerBees lang file to extract species, branch and comb text
+ * @param {string} langFilePath - Path to a lang file (en_us.lang, ...)
+ * @returns {Object} Lang sections { species, descriptions, branches, branchDescriptions, combs }
  */
 function parseCareerBeesLangFile(langFilePath) {
-  const nameMap = {};
+  const lang = {
+    species: {},
+    descriptions: {},
+    branches: {},
+    branchDescriptions: {},
+    combs: {},
+  };
 
   if (!fs.existsSync(langFilePath)) {
     console.warn(`Lang file not found: ${langFilePath}`);
-    return nameMap;
+    return lang;
   }
 
   const content = fs.readFileSync(langFilePath, "utf-8");
   const lines = content.split("\n");
 
-  // Pattern: careerbees.bees.species.careerbees.<bee_name>=<Display Name>
-  const namePattern = /^careerbees\.bees\.species\.careerbees\.(\w+)=(.+)$/;
+  // Patterns (species names may contain dots: digging.fortune):
+  //   careerbees.bees.species.careerbees.<bee_name>=<Display Name>
+  //   careerbees.description.careerbees.<bee_name>=<Lore>
+  const patterns = [
+    [
+      /^careerbees\.bees\.species\.careerbees\.([\w.]+)=(.+)$/,
+      "species",
+      (name) => formatSpeciesUID("careerbees", name),
+    ],
+    [
+      /^careerbees\.description\.careerbees\.([\w.]+)=(.+)$/,
+      "descriptions",
+      (name) => formatSpeciesUID("careerbees", name),
+    ],
+  ];
 
   for (const line of lines) {
-    const match = line.trim().match(namePattern);
-    if (match) {
-      const [, beeName, displayName] = match;
-      const uid = `careerbees:${beeName.toLowerCase()}`;
-      nameMap[uid] = displayName.trim();
+    const trimmed = line.trim();
+    for (const [pattern, section, keyOf] of patterns) {
+      const match = trimmed.match(pattern);
+      if (match) {
+        lang[section][keyOf(match[1])] = match[2].trim();
+        break;
+      }
     }
   }
 
-  return nameMap;
+  return lang;
 }
 
 /**
@@ -310,14 +649,10 @@ function parseCareerBees(javaFilePath, langFilePath = null) {
 
   // If lang file path provided, read names from it
   if (langFilePath) {
-    const nameMap = parseCareerBeesLangFile(langFilePath);
+    applyLangFile(result, parseCareerBeesLangFile(langFilePath));
 
-    // Update bee names from lang file
-    for (const [uid, bee] of Object.entries(result.bees)) {
-      if (nameMap[uid]) {
-        bee.name = nameMap[uid];
-      }
-    }
+    // Names in every locale shipped next to the lang file
+    applyLocalizedNames(result, langFilePath, parseCareerBeesLangFile);
   }
 
   return result;
@@ -0,0 +1,143 @@
+/**
+ * Centrifuge Utilities
+ *
+ * Shared helpers for extracting centrifuge recipes (comb → outputs) from Java
+ * sources. Recipes are returned in the intermediate format:
+ *   { comb: <product ref>, outputs: [{ item: <product ref>, chance }], source }
+ */
+
+/**
+ * Find the index of the parenthesis closing the one opened at openIndex
+ */
+function findClosingParen(code, openIndex) {
+  let depth = 0;
+  for (let i = openIndex; i < code.length; i++) {
+    if (code[i] === "(") depth++;
+    if (code[i] === ")") {
+      depth--;
+      if (depth === 0) return i;
+    }
+  }
+  return code.length;
+}
+
+/**
+ * Split a Java argument list on top-level commas
+ * e.g. "20, get(HONEY, 1), map" → ["20", "get(HONEY, 1)", "map"]
+ */
+function splitArguments(args) {
+  const parts = [];
+  let depth = 0;
+  let current = "";
+
+  for (const char of args) {
+    if (char === "(") depth++;
+    if (char === ")") depth--;
+    if (char === "," && depth === 0) {
+      parts.push(current.trim());
+      current = "";
+    } else {
+      current += char;
+    }
+  }
+  if (current.trim()) parts.push(current.trim());
+
+  return parts;
+}
+
+/**
+ * Parse a Java float literal (0.9f, 1.0F, 1) to a number
+ */
+function parseChance(literal) {
+  return parseFloat(literal.replace(/[fF]$/, ""));
+}
+
+/**
+ * Find every call to a method and return its arguments and source line
+ * @param {string} code - Java code (comments removed, line breaks kept)
+ * @param {RegExp} callPattern - Global pattern ending just before the opening parenthesis
+ * @returns {Array<Object>} [{ match, args: [string], line }]
+ */
+function findCalls(code, callPattern) {
+  const calls = [];
+  let match;
+  while ((match = callPattern.exec(code)) !== null) {
+    const open = code.indexOf("(", match.index + match[0].length - 1);
+    const close = findClosingParen(code, open);
+    calls.push({
+      match,
+      args: splitArguments(code.substring(open + 1, close)),
+      line: code.substring(0, match.index).split("\n").length,
+    });
+  }
+  return calls;
+}
+
+/**
+ * Parse Forestry API centrifuge registrations
+ * Pattern: RecipeManagers.centrifugeManager.addRecipe(20, comb, ImmutableMap.of(item, 1.0f, item, 0.9f))
+ * @param {string} code - Java code (comments removed, line breaks kept)
+ * @param {Function} parseItem - Mod-specific item expression → product ref
+ * @param {string} filePath - Source file for provenance
+ * @returns {Array<Object>} Centrifuge recipes
+ */
+function parseCentrifugeRecipeCalls(code, parseItem, filePath) {
+  return findCalls(code, /centrifugeManager\.addRecipe\s*\(/g)
+    .filter(({ args }) => args.length === 3)
+    .map(({ args, line }) => {
+      const outputs = [];
+      const mapMatch = args[2].match(/^ImmutableMap\.of\(([\s\S]*)\)$/);
+      if (mapMatch) {
+        const entries = splitArguments(mapMatch[1]);
+        for (let i = 0; i + 1 < entries.length; i += 2) {
+          outputs.push({
+            item: parseItem(entries[i]),
+            chance: parseChance(entries[i + 1]),
+          });
+        }
+      }
+
+      return {
+        comb: parseItem(args[1]),
+        outputs,
+        source: { file: filePath, line },
+      };
+    });
+}
+
+/**
+ * Parse comb enum product registrations
+ * Pattern: BARREN.addProduct(Mods.Forestry.stack("beeswax"), 1.00f)
+ * @param {string} code - Java code (comments removed, line breaks kept)
+ * @param {Function} combRef - Enum constant name → comb product ref
+ * @param {Function} parseItem - Mod-specific item expression → product ref
+ * @param {string} filePath - Source file for provenance
+ * @returns {Array<Object>} Centrifuge recipes, one per comb
+ */
+function parseCombEnumProducts(code, combRef, parseItem, filePath) {
+  const recipes = {};
+
+  findCalls(code, /\b([A-Z][A-Z0-9_]*)\.addProduct\s*\(/g)
+    .filter(({ args }) => args.length === 2)
+    .forEach(({ match, args, line }) => {
+      const combName = match[1];
+      if (!recipes[combName]) {
+        recipes[combName] = {
+          comb: combRef(combName),
+          outputs: [],
+          source: { file: filePath, line },
+        };
+      }
+      recipes[combName].outputs.push({
+        item: parseItem(args[0]),
+        chance: parseChance(args[1]),
+      });
+    });
+
+  return Object.values(recipes);
+}
+
+module.exports = {
+  parseCentrifugeRecipeCalls,
+  parseCombEnumProducts,
+};
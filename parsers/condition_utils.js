@@ -0,0 +1,220 @@
+/**
+ * Condition Utilities
+ *
+ * Canonical model of mutation conditions: the keys the output builder copies
+ * into mutations.jsonc and the values each key allows. The output builder
+ * feeds parsed and manual mutations through normalizeConditions, which fixes
+ * the case and aliases of enumerated values and rejects anything outside the
+ * model (the enums in schemas/common.schema.json must match CONDITIONS,
+ * test/schemas.test.js checks them):
+ *   { biome: ["Hell"], temperature: "hot" } → { temperature: ["HOT"], biome: ["NETHER"] }
+ */
+
+/**
+ * Forestry EnumTemperature constants
+ */
+const TEMPERATURES = ["ICY", "COLD", "NORMAL", "WARM", "HOT", "HELLISH"];
+
+/**
+ * Forestry EnumHumidity constants
+ */
+const HUMIDITIES = ["ARID", "NORMAL", "DAMP"];
+
+/**
+ * BiomeDictionary.Type constants (Forge 1.12)
+ */
+const BIOME_TYPES = [
+  "HOT",
+  "COLD",
+  "SPARSE",
+  "DENSE",
+  "WET",
+  "DRY",
+  "SAVANNA",
+  "CONIFEROUS",
+  "JUNGLE",
+  "SPOOKY",
+  "DEAD",
+  "LUSH",
+  "NETHER",
+  "END",
+  "MUSHROOM",
+  "MAGICAL",
+  "RARE",
+  "OCEAN",
+  "RIVER",
+  "WATER",
+  "MESA",
+  "FOREST",
+  "PLAINS",
+  "MOUNTAIN",
+  "HILLS",
+  "SWAMP",
+  "SANDY",
+  "SNOWY",
+  "WASTELAND",
+  "BEACH",
+  "VOID",
+];
+
+const TIMES_OF_DAY = ["DAY", "NIGHT"];
+
+/**
+ * MagicBees MoonPhase constants
+ */
+const MOON_PHASES = [
+  "FULL",
+  "WANING_GIBBOUS",
+  "WANING_HALF",
+  "WANING_CRESCENT",
+  "NEW",
+  "WAXING_CRESCENT",
+  "WAXING_HALF",
+  "WAXING_GIBBOUS",
+];
+
+/**
+ * Canonical condition keys, in output order
+ * list: value is an array (single values are wrapped)
+ * values: allowed values, matched case-insensitively
+ * aliases: other names for allowed values (vanilla biome names)
+ */
+const CONDITIONS = {
+  temperature: { list: true, values: TEMPERATURES },
+  humidity: { list: true, values: HUMIDITIES },
+  biome: {
+    list: true,
+    values: BIOME_TYPES,
+    aliases: { HELL: "NETHER", SKY: "END" },
+  },
+  dateRange: {},
+  timeOfDay: { values: TIMES_OF_DAY },
+  block: { list: true },
+  moonPhase: { list: true, values: MOON_PHASES },
+  moonPhaseBonus: {},
+  thaumcraftVis: {},
+  requireExplosion: {},
+  requirePlayer: { list: true },
+  dimension: {},
+  isSecret: {},
+  runtimeConditions: { list: true },
+};
+
+/**
+ * Map a condition value to its canonical spelling
+ * @returns {string|null} Canonical value, or null if it is not allowed
+ */
+function normalizeValue(spec, value) {
+  const upper = String(value).trim().toUpperCase();
+  const canonical = (spec.aliases && spec.aliases[upper]) || upper;
+  return spec.values.includes(canonical) ? canonical : null;
+}
+
+/**
+ * Normalize the conditions of one mutation to the canonical model
+ * Empty values (false, [], null) are dropped. Unknown keys and values throw:
+ * dropping them would turn a restricted mutation into an unconditional one.
+ * @param {Object} conditions - Conditions as emitted by a parser
+ * @param {string} label - Where the mutation comes from, for errors
+ * @returns {Object} Canonical conditions, keys in CONDITIONS order
+ */
+function normalizeConditions(conditions, label) {
+  const collected = {};
+  Object.entries(conditions || {}).forEach(([key, value]) => {
+    const spec = CONDITIONS[key];
+    if (!spec) {
+      throw new Error(`${label}: unknown mutation condition "${key}"`);
+    }
+    if (value === undefined || value === null || value === false) return;
+
+    let values = spec.list ? [].concat(value) : [value];
+    if (spec.values) {
+      values = values.map((v) => {
+        const canonical = normalizeValue(spec, v);
+        if (!canonical) {
+          throw new Error(
+            `${label}: unknown ${key} "${v}" (expected one of: ${spec.values.join(
+              ", "
+            )})`
+          );
+        }
+        return canonical;
+      });
+    }
+    if (values.length === 0) return;
+
+    collected[key] = spec.list ? Array.from(new Set(values)) : values[0];
+  });
+
+  const normalized = {};
+  Object.keys(CONDITIONS).forEach((key) => {
+    if (collected[key] !== undefined) normalized[key] = collected[key];
+  });
+  return normalized;
+}
+
+/**
+ * Normalize the conditions of every mutation in a parser's intermediate data
+ * Mutations left without conditions lose the conditions property.
+ * @param {Object} data - Intermediate format object (modified in place)
+ * @param {string} sourceKey - Source the data was parsed from, for errors
+ * @returns {Object} The same data
+ */
+function normalizeMutationConditions(data, sourceKey) {
+  (data.mutations || []).forEach((mutation) => {
+    if (!mutation.conditions) return;
+    const conditions = normalizeConditions(
+      mutation.conditions,
+      `${sourceKey}: ${mutation.parent1} + ${mutation.parent2} → ${mutation.offspring}`
+    );
+    if (Object.keys(conditions).length > 0) {
+      mutation.conditions = conditions;
+    } else {
+      delete mutation.conditions;
+    }
+  });
+  return data;
+}
+
+/**
+ * Normalize the conditions of every requirement in mutations.jsonc-format
+ * groups (the manual mutations). Requirements are updated in place, so they
+ * keep their key order; chance overrides are left alone.
+ * @param {Array<Object>} groups - Mutation groups (modified in place)
+ * @param {string} fileName - File the groups were read from, for errors
+ * @returns {Array<Object>} The same groups
+ */
+function normalizeRequirementConditions(groups, fileName) {
+  groups.forEach((group) => {
+    Object.entries(group.children || {}).forEach(([offspring, child]) => {
+      (child.requirements || []).forEach((requirement) => {
+        const conditions = { ...requirement };
+        delete conditions.chance;
+        const normalized = normalizeConditions(
+          conditions,
+          `${fileName}: ${group.parents.join(" + ")} → ${offspring}`
+        );
+        Object.keys(conditions).forEach((key) => {
+          if (normalized[key] === undefined) {
+            delete requirement[key];
+          } else {
+            requirement[key] = normalized[key];
+          }
+        });
+      });
+    });
+  });
+  return groups;
+}
+
+module.exports = {
+  TEMPERATURES,
+  HUMIDITIES,
+  BIOME_TYPES,
+  TIMES_OF_DAY,
+  MOON_PHASES,
+  CONDITIONS,
+  normalizeConditions,
+  normalizeMutationConditions,
+  normalizeRequirementConditions,
+};
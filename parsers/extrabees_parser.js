@@ -7,13 +7,35 @@
 
 const fs = require("fs");
 const path = require("path");
+const {
+  DEFAULT_GENOME,
+  parseAlleleHelperCalls,
+  applyAlleles,
+} = require("./genome_utils");
+const {
+  productRef,
+  unknownRef,
+  parseItemStack,
+  formatProductId,
+} = require("./product_utils");
+const { parseCombEnumProducts } = require("./centrifuge_utils");
+const { parseBlockExpression } = require("./item_utils");
+const { applyLangFile, applyLocalizedNames } = require("./lang_utils");
+const {
+  formatSpeciesUID,
+  formatBranchUID,
+  speciesAlleleUID,
+} = require("./uid_utils");
 
 /**
  * Remove comments from Java content
  */
 function removeComments(content) {
-  // Remove multi-line comments /* */
-  content = content.replace(/\/\*[\s\S]*?\*\//g, "");
+  // Remove multi-line comments /* */, keeping their line breaks so
+  // source lines still match the original file
+  content = content.replace(/\/\*[\s\S]*?\*\//g, (comment) =>
+    comment.replace(/[^\n]/g, "")
+  );
   // Remove single-line comments //
   content = content.replace(/\/\/.*$/gm, "");
   return content;
@@ -37,13 +59,14 @@ function parseExtraBeesDefinition(filePath) {
   // Extract enum constants - match both ExtraBeeBranchDefinition and BeeBranchDefinition
   // Some ExtraBees bees use Forestry branches (e.g., GROWING, THRIVING use BeeBranchDefinition.AGRARIAN)
   const enumPattern =
-    /(\w+)\((?:ExtraBeeBranchDefinition|BeeBranchDefinition)\.(\w+),\s*"([^"]+)",\s*(true|false),\s*new Color\((0x[0-9A-Fa-f]+)\)(?:,\s*new Color\((0x[0-9A-Fa-f]+)\))?\)\s*\{([\s\S]*?)\s*\}\s*[,;]/g;
+    /(\w+)\((ExtraBeeBranchDefinition|BeeBranchDefinition)\.(\w+),\s*"([^"]+)",\s*(true|false),\s*new Color\((0x[0-9A-Fa-f]+)\)(?:,\s*new Color\((0x[0-9A-Fa-f]+)\))?\)\s*\{([\s\S]*?)\s*\}\s*[,;]/g;
 
   let match;
   while ((match = enumPattern.exec(content)) !== null) {
     const [
       ,
       enumName,
+      branchClass,
       branchName,
       binomial,
       dominant,
@@ -57,8 +80,7 @@ function parseExtraBeesDefinition(filePath) {
       .split("_")
       .map((part) => part.charAt(0).toUpperCase() + part.slice(1).toLowerCase())
       .join(" ");
-    // Use standardized mod:name format (lowercase, no spaces)
-    const uid = `extrabees:${displayName.toLowerCase().replace(/\s+/g, "")}`;
+    const uid = formatSpeciesUID("extrabees", enumName);
 
     // Calculate line number where this enum body starts
     const linesBeforeMatch = content
@@ -66,13 +88,17 @@ function parseExtraBeesDefinition(filePath) {
       .split("\n").length;
 
     // Parse the bee body
-    const beeData = parseBeeBody(body);
+    const beeData = parseBeeBody(body, filePath, linesBeforeMatch);
 
     result.bees[uid] = {
-      mod: "ExtraBees",
+      mod: "extrabees",
       name: displayName,
+      alleleUid: speciesAlleleUID("extrabees", enumName),
       binomial: binomial,
-      branch: `extrabees:${branchName.toLowerCase()}`,
+      // Forestry branches keep their Forestry UID
+      branch: `${
+        branchClass === "BeeBranchDefinition" ? "forestry" : "extrabees"
+      }:${branchName.toLowerCase()}`,
       dominant: dominant === "true",
       colors: {
         primary: hexToRGB(primaryColor),
@@ -82,9 +108,29 @@ function parseExtraBeesDefinition(filePath) {
       humidity: beeData.humidity || "NORMAL",
       hasEffect: beeData.hasEffect || false,
       isSecret: beeData.isSecret || false,
+      isNocturnal: beeData.isNocturnal || false,
       products: beeData.products || [],
+      source: { file: filePath, line: linesBeforeMatch },
     };
 
+    if (beeData.productsFrom) {
+      result.bees[uid].productsFrom = beeData.productsFrom;
+    }
+
+    // Species start from branch.getTemplate(). Forestry branch templates are
+    // resolved against the Forestry parser output once all mods are merged;
+    // ExtraBeeBranchDefinition is not part of the sources, so those species
+    // start from the default template.
+    if (branchClass === "BeeBranchDefinition") {
+      result.bees[uid].genome = beeData.alleles;
+      result.bees[uid].genomeBase = {
+        type: "branch",
+        uid: formatBranchUID("forestry", branchName),
+      };
+    } else {
+      result.bees[uid].genome = applyAlleles(DEFAULT_GENOME, beeData.alleles);
+    }
+
     // Extract mutations from registerMutations method
     const mutations = parseMutations(body, uid, filePath, linesBeforeMatch);
     result.mutations.push(...mutations);
@@ -98,10 +144,11 @@ function parseExtraBeesDefinition(filePath) {
   }
 
   branches.forEach((branch) => {
-    const branchUID = `extrabees:${branch.toLowerCase()}`;
+    const branchUID = formatBranchUID("extrabees", branch);
     result.branches[branchUID] = {
       name: branch.charAt(0) + branch.slice(1).toLowerCase(),
       scientific: branch,
+      mod: "extrabees",
     };
   });
 
@@ -110,47 +157,46 @@ function parseExtraBeesDefinition(filePath) {
 
 /**
  * Parse bee enum body to extract properties
+ * Products record the source line they were declared on.
  */
-function parseBeeBody(body) {
+function parseBeeBody(body, filePath, bodyStartLine) {
   const data = {
     products: [],
     temperature: "NORMAL",
     humidity: "NORMAL",
     hasEffect: false,
     isSecret: false,
+    isNocturnal: false,
   };
 
-  // Extract products - ExtraBees uses EnumHoneyComb.TYPE.get(1) pattern
-  const productPattern =
-    /addProduct\(EnumHoneyComb\.(\w+)\.get\(1\),\s*([\d.]+)f\)/g;
+  // Extract products and specialties
+  // Item arguments may contain commas (new ItemStack(Items.X, 1, 0)), so
+  // match lazily up to the chance argument
+  const productPattern = /add(Product|Specialty)\(([^;]+?),\s*([\d.]+)[fF]\)/g;
   let match;
   while ((match = productPattern.exec(body)) !== null) {
-    const [, combType, chance] = match;
+    const [, type, item, chance] = match;
     data.products.push({
-      item: combType,
-      chance: parseFloat(chance),
-    });
-  }
-
-  // Also match vanilla comb pattern
-  const vanillaPattern =
-    /addProduct\(ItemHoneyComb\.VanillaComb\.(\w+)\.get\(\),\s*([\d.]+)f\)/g;
-  while ((match = vanillaPattern.exec(body)) !== null) {
-    const [, combType, chance] = match;
-    data.products.push({
-      item: combType,
+      item: parseProductReference(item),
       chance: parseFloat(chance),
+      isSpecialty: type === "Specialty",
+      source: {
+        file: filePath,
+        line:
+          bodyStartLine + body.substring(0, match.index).split("\n").length - 1,
+      },
     });
   }
 
-  // Extract specialties
-  const specialtyPattern = /addSpecialty\(([^,]+),\s*([\d.]+)f\)/g;
-  while ((match = specialtyPattern.exec(body)) !== null) {
-    const [, item, chance] = match;
-    data.products.push({
-      item: cleanItemReference(item),
-      chance: parseFloat(chance),
-    });
+  // Products copied from a Forestry species at runtime
+  // Pattern: BeeDefinition.NOBLE.getGenome().getPrimary().getProductChances()
+  const copiedMatch = body.match(
+    /BeeDefinition\.(\w+)\.getGenome\(\)\.getPrimary\(\)\.getProductChances\(\)/
+  );
+  if (copiedMatch) {
+    data.productsFrom = resolveSpeciesReference(
+      `BeeDefinition.${copiedMatch[1]}`
+    );
   }
 
   // Extract temperature
@@ -171,9 +217,33 @@ function parseBeeBody(body) {
   // Check for secret
   data.isSecret = body.includes("setIsSecret()");
 
+  // Check for night activity
+  data.isNocturnal = body.includes("setNocturnal()");
+
+  // Extract genome alleles from setAlleles()
+  data.alleles = parseAlleleHelperCalls(body, resolveAlleleReference);
+
   return data;
 }
 
+/**
+ * Resolve ExtraBees allele references to allele UIDs
+ * e.g. AlleleHelper.getAllele(ExtraBeesEffect.HUNGER.getUID()) → extrabees.effect.hunger
+ */
+function resolveAlleleReference(expr) {
+  const effectMatch = expr.match(/ExtraBeesEffect\.(\w+)\.getUID\(\)/);
+  if (effectMatch) {
+    return `extrabees.effect.${effectMatch[1].toLowerCase()}`;
+  }
+
+  const flowerMatch = expr.match(/ExtraBeesFlowers\.(\w+)\.getUID\(\)/);
+  if (flowerMatch) {
+    return `extrabees.flower.${flowerMatch[1].toLowerCase()}`;
+  }
+
+  return null;
+}
+
 /**
  * Parse mutations from registerMutations method
  */
@@ -251,7 +321,7 @@ function parseConditions(conditionsStr) {
   // Block requirement
   const blockMatch = conditionsStr.match(/requireResource\(([^)]+)\)/);
   if (blockMatch) {
-    conditions.block = [cleanItemReference(blockMatch[1])];
+    conditions.block = parseBlockExpression(blockMatch[1]);
   }
 
   // Player name requirement (ConditionPerson easter egg)
@@ -272,65 +342,55 @@ function resolveSpeciesReference(ref) {
   // ExtraBees reference: ExtraBeeDefinition.NAME
   const extraMatch = ref.match(/ExtraBeeDefinition\.(\w+)/);
   if (extraMatch) {
-    const displayName = extraMatch[1]
-      .split("_")
-      .map((part) => part.charAt(0).toUpperCase() + part.slice(1).toLowerCase())
-      .join(" ");
-    return `extrabees:${displayName.toLowerCase().replace(/\s+/g, "")}`;
+    return formatSpeciesUID("extrabees", extraMatch[1]);
   }
 
   // Forestry bee reference: BeeDefinition.NAME
   const forestryMatch = ref.match(/^BeeDefinition\.(\w+)$/);
   if (forestryMatch) {
-    const displayName = forestryMatch[1]
-      .split("_")
-      .map((part) => part.charAt(0).toUpperCase() + part.slice(1).toLowerCase())
-      .join(" ");
-    return `forestry:${displayName.toLowerCase().replace(/\s+/g, "")}`;
+    return formatSpeciesUID("forestry", forestryMatch[1]);
   }
 
   // ExtraBees bee reference (bare ALL_CAPS in same file)
   if (ref.match(/^[A-Z_]+$/)) {
-    const displayName = ref
-      .split("_")
-      .map((part) => part.charAt(0).toUpperCase() + part.slice(1).toLowerCase())
-      .join(" ");
-    return `extrabees:${displayName.toLowerCase().replace(/\s+/g, "")}`;
+    return formatSpeciesUID("extrabees", ref);
   }
 
   return ref;
 }
 
 /**
- * Clean item reference for readability
+ * Parse a product item expression into a typed product reference
+ * e.g. EnumHoneyComb.BARREN.get(1) → extrabees comb barren
  */
-function cleanItemReference(item) {
-  // Extract comb types
-  const combMatch = item.match(/EnumHoneyComb\.(\w+)/);
-  if (combMatch) {
-    return combMatch[1];
-  }
+function parseProductReference(item) {
+  item = item.trim();
 
-  // Extract vanilla comb
+  // Vanilla combs are Forestry's own combs. QUARTZ shares its damage value
+  // with Forestry's MELLOW comb.
   const vanillaMatch = item.match(/VanillaComb\.(\w+)/);
   if (vanillaMatch) {
-    return vanillaMatch[1];
+    const variant = vanillaMatch[1] === "QUARTZ" ? "MELLOW" : vanillaMatch[1];
+    return productRef("forestry", "comb", variant);
   }
 
-  // Extract Minecraft items
-  const itemMatch = item.match(/Items\.(\w+)/);
-  if (itemMatch) {
-    return `minecraft:${itemMatch[1].toLowerCase()}`;
+  const combMatch = item.match(/EnumHoneyComb\.(\w+)/);
+  if (combMatch) {
+    return productRef("extrabees", "comb", combMatch[1]);
   }
 
-  // Extract blocks
-  const blockMatch = item.match(/Blocks\.(\w+)/);
-  if (blockMatch) {
-    return `minecraft:${blockMatch[1].toLowerCase()}`;
+  const itemStack = parseItemStack(item);
+  if (itemStack) {
+    return itemStack;
+  }
+
+  // Forestry items by registry name: Mods.Forestry.stack("royal_jelly")
+  const forestryMatch = item.match(/Mods\.Forestry\.stack\(\s*"(\w+)"/);
+  if (forestryMatch) {
+    return productRef("forestry", "item", forestryMatch[1]);
   }
 
-  // Return as-is if not recognized
-  return item;
+  return unknownRef(item);
 }
 
 /**
@@ -345,34 +405,92 @@ function hexToRGB(hex) {
 }
 
 /**
- * Parse ExtraBees lang file to extract bee names
- * @param {string} langFilePath - Path to en_US.lang file
- * @returns {Object} Map of bee UID to display name
+ * Parse ExtraBees lang file to extract species, branch and comb text
+ * @param {string} langFilePath - Path to a lang file (en_US.lang, ru_RU.lang, ...)
+ * @returns {Object} Lang sections { species, descriptions, branches, branchDescriptions, combs }
  */
 function parseExtraBeesLangFile(langFilePath) {
-  const nameMap = {};
+  const lang = {
+    species: {},
+    descriptions: {},
+    branches: {},
+    branchDescriptions: {},
+    combs: {},
+  };
 
   if (!fs.existsSync(langFilePath)) {
     console.warn(`Lang file not found: ${langFilePath}`);
-    return nameMap;
+    return lang;
   }
 
   const content = fs.readFileSync(langFilePath, "utf-8");
   const lines = content.split("\n");
 
-  // Pattern: extrabees.species.<bee_name>.name=<Display Name>
-  const namePattern = /^extrabees\.species\.(\w+)\.name=(.+)$/;
+  // Patterns:
+  //   extrabees.species.<bee_name>.name=<Display Name>
+  //   extrabees.species.<bee_name>.desc=<Lore>|<Authority>
+  //   extrabees.branch.<branch>.name=<Branch Name>
+  //   extrabees.branch.<branch>.desc=<Branch Lore>
+  //   extrabees.item.comb.<comb>=<Comb Name>
+  const patterns = [
+    [
+      /^extrabees\.species\.(\w+)\.name=(.+)$/,
+      "species",
+      (name) => formatSpeciesUID("extrabees", name),
+    ],
+    [
+      /^extrabees\.species\.(\w+)\.desc=(.+)$/,
+      "descriptions",
+      (name) => formatSpeciesUID("extrabees", name),
+    ],
+    [
+      /^extrabees\.branch\.(\w+)\.name=(.+)$/,
+      "branches",
+      (name) => formatBranchUID("extrabees", name),
+    ],
+    [
+      /^extrabees\.branch\.(\w+)\.desc=(.+)$/,
+      "branchDescriptions",
+      (name) => formatBranchUID("extrabees", name),
+    ],
+    [
+      /^extrabees\.item\.comb\.(\w+)=(.+)$/,
+      "combs",
+      (name) => formatProductId(productRef("extrabees", "comb", name)),
+    ],
+  ];
 
   for (const line of lines) {
-    const match = line.trim().match(namePattern);
-    if (match) {
-      const [, beeName, displayName] = match;
-      const uid = `extrabees:${beeName.toLowerCase()}`;
-      nameMap[uid] = displayName.trim();
+    const trimmed = line.trim();
+    for (const [pattern, section, keyOf] of patterns) {
+      const match = trimmed.match(pattern);
+      if (match) {
+        lang[section][keyOf(match[1])] = match[2].trim();
+        break;
+      }
     }
   }
 
-  return nameMap;
+  return lang;
+}
+
+/**
+ * Parse ExtraBees comb centrifuge products from EnumHoneyComb.java
+ * @param {string} filePath - Path to EnumHoneyComb.java
+ * @returns {Array<Object>} Centrifuge recipes (empty if the file is not available)
+ */
+function parseCombCentrifugeRecipes(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return [];
+  }
+
+  const content = removeComments(fs.readFileSync(filePath, "utf-8"));
+  return parseCombEnumProducts(
+    content,
+    (combName) => productRef("extrabees", "comb", combName),
+    parseProductReference,
+    filePath
+  );
 }
 
 /**
@@ -381,16 +499,19 @@ function parseExtraBeesLangFile(langFilePath) {
 function parseExtraBees(javaFilePath, langFilePath = null) {
   const result = parseExtraBeesDefinition(javaFilePath);
 
-  // If lang file path provided, read names from it
+  // Comb products are declared on the comb enum next to the species file
+  const combEnumPath = path.join(
+    path.dirname(javaFilePath),
+    "EnumHoneyComb.java"
+  );
+  result.centrifuge = parseCombCentrifugeRecipes(combEnumPath);
+
+  // If lang file path provided, read names, descriptions and comb names from it
   if (langFilePath) {
-    const nameMap = parseExtraBeesLangFile(langFilePath);
+    applyLangFile(result, parseExtraBeesLangFile(langFilePath));
 
-    // Update bee names from lang file
-    for (const [uid, bee] of Object.entries(result.bees)) {
-      if (nameMap[uid]) {
-        bee.name = nameMap[uid];
-      }
-    }
+    // Names in every locale shipped next to the lang file
+    applyLocalizedNames(result, langFilePath, parseExtraBeesLangFile);
   }
 
   return result;
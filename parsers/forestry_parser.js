@@ -7,13 +7,37 @@
 
 const fs = require("fs");
 const path = require("path");
+const {
+  DEFAULT_GENOME,
+  parseAlleleHelperCalls,
+  applyAlleles,
+} = require("./genome_utils");
+const {
+  FORESTRY_SUBTYPED_ITEMS,
+  productRef,
+  unknownRef,
+  parseItemStack,
+  toSnakeCase,
+  formatProductId,
+} = require("./product_utils");
+const { parseCentrifugeRecipeCalls } = require("./centrifuge_utils");
+const { parseBlockExpression } = require("./item_utils");
+const { applyLangFile, applyLocalizedNames } = require("./lang_utils");
+const {
+  formatSpeciesUID,
+  formatBranchUID,
+  speciesAlleleUID,
+} = require("./uid_utils");
 
 /**
  * Remove comments from Java content
  */
 function removeComments(content) {
-  // Remove multi-line comments /* */
-  content = content.replace(/\/\*[\s\S]*?\*\//g, "");
+  // Remove multi-line comments /* */, keeping their line breaks so
+  // mutation source lines still match the original file
+  content = content.replace(/\/\*[\s\S]*?\*\//g, (comment) =>
+    comment.replace(/[^\n]/g, "")
+  );
   // Remove single-line comments //
   content = content.replace(/\/\/.*$/gm, "");
   return content;
@@ -34,6 +58,14 @@ function parseForestryBeeDefinition(filePath) {
     branches: {},
   };
 
+  // Branch templates live in BeeBranchDefinition.java next to BeeDefinition.java
+  const branchDefinitions = parseForestryBranchDefinition(
+    path.join(path.dirname(filePath), "BeeBranchDefinition.java")
+  );
+
+  // Species sets iterated by registerMutations() loops (e.g. overworldHiveBees)
+  const speciesSets = parseSpeciesSets(content);
+
   // Extract enum constants - match until closing brace followed by comma or semicolon
   const enumPattern =
     /(\w+)\(BeeBranchDefinition\.(\w+),\s*"([^"]+)",\s*(true|false),\s*new Color\((0x[0-9A-Fa-f]+)\)(?:,\s*new Color\((0x[0-9A-Fa-f]+)\))?\)\s*\{([\s\S]*?)\s*\}\s*[,;]/g;
@@ -56,8 +88,7 @@ function parseForestryBeeDefinition(filePath) {
       .split("_")
       .map((part) => part.charAt(0).toUpperCase() + part.slice(1).toLowerCase())
       .join(" ");
-    // Use standardized mod:name format (lowercase, no spaces)
-    const uid = `forestry:${displayName.toLowerCase().replace(/\s+/g, "")}`;
+    const uid = formatSpeciesUID("forestry", enumName);
 
     // Calculate line number where this enum body starts
     const linesBeforeMatch = content
@@ -65,13 +96,22 @@ function parseForestryBeeDefinition(filePath) {
       .split("\n").length;
 
     // Parse the bee body
-    const beeData = parseBeeBody(body);
+    const beeData = parseBeeBody(body, filePath, linesBeforeMatch);
+
+    // Resolve genome: default template → branch template → species setAlleles()
+    const branchDefinition = branchDefinitions.branches[branchName];
+    const genome = applyAlleles(
+      branchDefinitions.defaultGenome,
+      branchDefinition ? branchDefinition.alleles : {},
+      beeData.alleles
+    );
 
     result.bees[uid] = {
-      mod: "Forestry",
+      mod: "forestry",
       name: displayName,
+      alleleUid: speciesAlleleUID("forestry", enumName),
       binomial: binomial,
-      branch: `forestry:${branchName.toLowerCase()}`,
+      branch: formatBranchUID("forestry", branchName),
       dominant: dominant === "true",
       colors: {
         primary: hexToRGB(primaryColor),
@@ -81,11 +121,20 @@ function parseForestryBeeDefinition(filePath) {
       humidity: beeData.humidity || "NORMAL",
       hasEffect: beeData.hasEffect || false,
       isSecret: beeData.isSecret || false,
+      isNocturnal: beeData.isNocturnal || false,
       products: beeData.products || [],
+      genome: genome,
+      source: { file: filePath, line: linesBeforeMatch },
     };
 
     // Extract mutations from registerMutations method
-    const mutations = parseMutations(body, uid, filePath, linesBeforeMatch);
+    const mutations = parseMutations(
+      body,
+      uid,
+      filePath,
+      linesBeforeMatch,
+      speciesSets
+    );
     result.mutations.push(...mutations);
   }
 
@@ -97,46 +146,102 @@ function parseForestryBeeDefinition(filePath) {
   }
 
   branches.forEach((branch) => {
-    const branchUID = `forestry:${branch.toLowerCase()}`;
+    const branchUID = formatBranchUID("forestry", branch);
+    const branchDefinition = branchDefinitions.branches[branch];
+    // The Latin name stands in for branches without an English genus key in
+    // the lang file (forestry:honey)
     result.branches[branchUID] = {
-      name: branch.charAt(0) + branch.slice(1).toLowerCase(),
-      scientific: branch,
+      name: branchDefinition
+        ? branchDefinition.scientific
+        : branch.charAt(0) + branch.slice(1).toLowerCase(),
+      scientific: branchDefinition ? branchDefinition.scientific : branch,
+      mod: "forestry",
     };
+    // Branch-level alleles are needed by addon bees that use Forestry branches
+    if (branchDefinition && Object.keys(branchDefinition.alleles).length > 0) {
+      result.branches[branchUID].alleles = branchDefinition.alleles;
+    }
   });
 
   return result;
 }
 
+/**
+ * Parse Forestry BeeBranchDefinition.java for the default and branch templates
+ * @param {string} filePath - Path to BeeBranchDefinition.java
+ * @returns {Object} { defaultGenome, branches: { ENUM_NAME: { scientific, alleles } } }
+ *   (DEFAULT_GENOME and no branches if the file is not available)
+ */
+function parseForestryBranchDefinition(filePath) {
+  const definitions = {
+    defaultGenome: DEFAULT_GENOME,
+    branches: {},
+  };
+
+  if (!fs.existsSync(filePath)) {
+    return definitions;
+  }
+
+  const content = removeComments(fs.readFileSync(filePath, "utf-8"));
+
+  // Default template: getDefaultTemplate() { ... set(defaultTemplate, ...) ... }
+  const defaultMatch = content.match(
+    /getDefaultTemplate\s*\(\s*\)\s*\{([\s\S]*?)\n\s*return\b/
+  );
+  if (defaultMatch) {
+    definitions.defaultGenome = applyAlleles(
+      DEFAULT_GENOME,
+      parseAlleleHelperCalls(defaultMatch[1])
+    );
+  }
+
+  // Branch constants: HONEY("Apis"), INFERNAL("Diapis") { setBranchProperties(...) { ... } },
+  const branchPattern =
+    /\b([A-Z_]+)\(\s*"([^"]+)"\s*\)\s*(?:\{([\s\S]*?)\}\s*\}\s*)?[,;]/g;
+
+  let match;
+  while ((match = branchPattern.exec(content)) !== null) {
+    const [, enumName, scientific, body] = match;
+    definitions.branches[enumName] = {
+      scientific: scientific,
+      alleles: body ? parseAlleleHelperCalls(body) : {},
+    };
+  }
+
+  return definitions;
+}
+
 /**
  * Parse bee enum body to extract properties
+ * Products record the source line they were declared on.
  */
-function parseBeeBody(body) {
+function parseBeeBody(body, filePath, bodyStartLine) {
   const data = {
     products: [],
     temperature: "NORMAL",
     humidity: "NORMAL",
     hasEffect: false,
     isSecret: false,
+    isNocturnal: false,
+    alleles: {},
   };
 
-  // Extract products
-  const productPattern = /addProduct\(([^,]+),\s*([\d.]+)f\)/g;
+  // Extract products and specialties
+  // Item arguments contain commas (beeComb.get(EnumHoneyComb.HONEY, 1)), so
+  // match lazily up to the chance argument
+  const productPattern = /add(Product|Specialty)\(([^;]+?),\s*([\d.]+)f\)/g;
   let match;
   while ((match = productPattern.exec(body)) !== null) {
-    const [, item, chance] = match;
+    const [, type, item, chance] = match;
     data.products.push({
-      item: cleanItemReference(item),
-      chance: parseFloat(chance),
-    });
-  }
-
-  // Extract specialties
-  const specialtyPattern = /addSpecialty\(([^,]+),\s*([\d.]+)f\)/g;
-  while ((match = specialtyPattern.exec(body)) !== null) {
-    const [, item, chance] = match;
-    data.products.push({
-      item: cleanItemReference(item),
+      item: parseProductReference(item),
       chance: parseFloat(chance),
+      isSpecialty: type === "Specialty",
+      source: {
+        file: filePath,
+        line:
+          bodyStartLine + body.substring(0, match.index).split("\n").length - 1,
+      },
     });
   }
 
@@ -158,14 +263,152 @@ function parseBeeBody(body) {
   // Check for secret
   data.isSecret = body.includes("setIsSecret()");
 
+  // Check for night activity
+  data.isNocturnal = body.includes("setNocturnal()");
+
+  // Extract genome overrides from setAlleles(IAllele[] template)
+  data.alleles = parseAlleleHelperCalls(body);
+
   return data;
 }
 
+/**
+ * Parse species sets used by mutation loops
+ * Pattern: EnumSet<BeeDefinition> overworldHiveBees = EnumSet.of(FOREST, MARSHY, ...);
+ * @param {string} content - BeeDefinition.java content (comments removed)
+ * @returns {Object} { sets: {name: [ENUM, ...]}, ordinals: {ENUM: index} }
+ */
+function parseSpeciesSets(content) {
+  const sets = {};
+  const ordinals = {};
+
+  const setPattern =
+    /EnumSet<BeeDefinition>\s+(\w+)\s*=\s*EnumSet\.of\(([^)]*)\)\s*;/g;
+  let match;
+  while ((match = setPattern.exec(content)) !== null) {
+    sets[match[1]] = splitEnumList(match[2]);
+  }
+
+  // Declaration order gives ordinal() and EnumSet iteration order
+  const constantPattern = /^\s{4}(\w+)\(BeeBranchDefinition\./gm;
+  while ((match = constantPattern.exec(content)) !== null) {
+    ordinals[match[1]] = Object.keys(ordinals).length;
+  }
+
+  return { sets, ordinals };
+}
+
+/**
+ * Split an EnumSet.of() argument list into enum constant names
+ */
+function splitEnumList(list) {
+  return list
+    .split(",")
+    .map((name) => name.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Find the index of the brace closing the block opened at openIndex
+ */
+function findClosingBrace(code, openIndex) {
+  let depth = 0;
+  for (let i = openIndex; i < code.length; i++) {
+    if (code[i] === "{") depth++;
+    if (code[i] === "}") {
+      depth--;
+      if (depth === 0) return i;
+    }
+  }
+  return code.length;
+}
+
+/**
+ * Find the for-each loops and ordinal() guards enclosing each position in the body
+ * Pattern: for (BeeDefinition hiveBee : overworldHiveBees) { ... }
+ *          if (hiveBee0.ordinal() < hiveBee1.ordinal()) { ... }
+ * @returns {Object} { loops: [{variable, species, start, end}], guards: [{left, right, start, end}] }
+ */
+function parseLoopBlocks(body, speciesSets) {
+  const loops = [];
+  const guards = [];
+
+  const loopPattern =
+    /for\s*\(\s*BeeDefinition\s+(\w+)\s*:\s*(EnumSet\.of\(([^)]*)\)|\w+)\s*\)\s*\{/g;
+  let match;
+  while ((match = loopPattern.exec(body)) !== null) {
+    const [, variable, collection, inlineList] = match;
+    const species = inlineList
+      ? splitEnumList(inlineList)
+      : speciesSets.sets[collection];
+
+    if (!species) {
+      console.warn(`Unknown species set in mutation loop: ${collection}`);
+      continue;
+    }
+
+    const end = findClosingBrace(body, match.index + match[0].length - 1);
+    loops.push({
+      variable,
+      species: [...species].sort(
+        (a, b) => speciesSets.ordinals[a] - speciesSets.ordinals[b]
+      ),
+      start: match.index,
+      end,
+    });
+  }
+
+  const guardPattern =
+    /if\s*\(\s*(\w+)\.ordinal\(\)\s*<\s*(\w+)\.ordinal\(\)\s*\)\s*\{/g;
+  while ((match = guardPattern.exec(body)) !== null) {
+    guards.push({
+      left: match[1],
+      right: match[2],
+      start: match.index,
+      end: findClosingBrace(body, match.index + match[0].length - 1),
+    });
+  }
+
+  return { loops, guards };
+}
+
+/**
+ * Expand the loop variables enclosing a registerMutation() call into every
+ * combination of concrete species that passes the enclosing ordinal() guards
+ * @returns {Array<Object>} Variable bindings ({hiveBee0: "FOREST", ...}); a
+ *   single empty binding when the call is not inside a loop
+ */
+function expandLoopBindings(index, loopBlocks, ordinals) {
+  const encloses = (block) => block.start < index && index < block.end;
+
+  let bindings = [{}];
+  loopBlocks.loops.filter(encloses).forEach((loop) => {
+    bindings = bindings.flatMap((binding) =>
+      loop.species.map((species) => ({
+        ...binding,
+        [loop.variable]: species,
+      }))
+    );
+  });
+
+  loopBlocks.guards.filter(encloses).forEach((guard) => {
+    bindings = bindings.filter(
+      (binding) =>
+        ordinals[binding[guard.left]] < ordinals[binding[guard.right]]
+    );
+  });
+
+  return bindings;
+}
+
 /**
  * Parse mutations from registerMutations method
+ * Mutations inside for-each loops over species sets are unrolled into one
+ * mutation per species combination, all pointing at the registerMutation() line.
  */
-function parseMutations(body, offspring, filePath, bodyStartLine) {
+function parseMutations(body, offspring, filePath, bodyStartLine, speciesSets) {
   const mutations = [];
+  const loopBlocks = parseLoopBlocks(body, speciesSets);
 
   // Pattern: registerMutation(PARENT1, PARENT2, chance)
   const mutationPattern =
@@ -180,24 +423,32 @@ function parseMutations(body, offspring, filePath, bodyStartLine) {
       body.substring(0, match.index).split("\n").length - 1;
     const lineNumber = bodyStartLine + linesBeforeMatch;
 
-    const mutation = {
-      parent1: resolveSpeciesReference(parent1),
-      parent2: resolveSpeciesReference(parent2),
-      offspring: offspring,
-      chance: parseInt(chance),
-      source: {
-        file: filePath,
-        line: lineNumber,
-      },
-    };
-
     // Parse conditions
     const parsedConditions = parseConditions(conditions);
-    if (Object.keys(parsedConditions).length > 0) {
-      mutation.conditions = parsedConditions;
-    }
 
-    mutations.push(mutation);
+    const bindings = expandLoopBindings(
+      match.index,
+      loopBlocks,
+      speciesSets.ordinals
+    );
+    bindings.forEach((binding) => {
+      const mutation = {
+        parent1: resolveSpeciesReference(binding[parent1] || parent1),
+        parent2: resolveSpeciesReference(binding[parent2] || parent2),
+        offspring: offspring,
+        chance: parseInt(chance),
+        source: {
+          file: filePath,
+          line: lineNumber,
+        },
+      };
+
+      if (Object.keys(parsedConditions).length > 0) {
+        mutation.conditions = { ...parsedConditions };
+      }
+
+      mutations.push(mutation);
+    });
   }
 
   return mutations;
@@ -258,7 +509,7 @@ function parseConditions(conditionsStr) {
   // Resource block requirement
   const resourceMatch = conditionsStr.match(/requireResource\(([^)]+)\)/);
   if (resourceMatch) {
-    conditions.requiredBlock = cleanItemReference(resourceMatch[1]);
+    conditions.block = parseBlockExpression(resourceMatch[1]);
   }
 
   // Secret mutation flag
@@ -271,49 +522,69 @@ function parseConditions(conditionsStr) {
 
 /**
  * Resolve species reference (enum name to UID)
- * Returns null for loop variables or invalid references
+ * Loop variables are substituted by parseMutations() before this is called
  */
 function resolveSpeciesReference(ref) {
   if (ref === "BeeDefinition") return null; // Skip class name
 
-  // Skip loop variables and dynamic references
-  const loopVariables = /^(hiveBee\d*|parent\d+|bee\d*)$/i;
-  if (loopVariables.test(ref)) {
-    return null; // Cannot resolve dynamic loop variables
+  // Forestry bee reference - convert to mod:name format
+  return formatSpeciesUID("forestry", ref);
+}
+
+/**
+ * Parse Forestry's comb centrifuge recipes from ModuleApiculture.java
+ * @param {string} filePath - Path to ModuleApiculture.java
+ * @returns {Array<Object>} Centrifuge recipes (empty if the file is not available)
+ */
+function parseForestryCentrifugeRecipes(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return [];
   }
 
-  // Forestry bee reference - convert to mod:name format
-  const displayName = ref
-    .split("_")
-    .map((part) => part.charAt(0).toUpperCase() + part.slice(1).toLowerCase())
-    .join(" ");
-  return `forestry:${displayName.toLowerCase().replace(/\s+/g, "")}`;
+  const content = removeComments(fs.readFileSync(filePath, "utf-8"));
+  return parseCentrifugeRecipeCalls(content, parseProductReference, filePath);
 }
 
 /**
- * Clean item reference for readability
+ * Parse a product item expression into a typed product reference
+ * e.g. ModuleApiculture.getItems().beeComb.get(EnumHoneyComb.HONEY, 1) → forestry comb honey
  */
-function cleanItemReference(item) {
-  // Extract comb types
-  const combMatch = item.match(/EnumHoneyComb\.(\w+)/);
-  if (combMatch) {
-    return combMatch[1];
+function parseProductReference(item) {
+  item = item.trim();
+
+  // Subtyped items: beeComb.get(EnumHoneyComb.HONEY, 1), honeyDrop.get(...), ...
+  const subtypeMatch = item.match(
+    /\b(beeComb|honeyDrop|propolis|pollenCluster)\.get\(\s*Enum\w+\.(\w+)/
+  );
+  if (subtypeMatch) {
+    return productRef(
+      "forestry",
+      FORESTRY_SUBTYPED_ITEMS[subtypeMatch[1]],
+      subtypeMatch[2]
+    );
   }
 
-  // Extract Minecraft items
-  const itemMatch = item.match(/Items\.(\w+)/);
-  if (itemMatch) {
-    return `minecraft:${itemMatch[1].toLowerCase()}`;
+  const itemStack = parseItemStack(item);
+  if (itemStack) {
+    return itemStack;
   }
 
-  // Extract blocks
-  const blockMatch = item.match(/Blocks\.(\w+)/);
-  if (blockMatch) {
-    return `minecraft:${blockMatch[1].toLowerCase()}`;
+  // Crafting materials: craftingMaterial.getIceShard(1) → ice_shard
+  const materialMatch = item.match(/craftingMaterial\.get(\w+)\(/);
+  if (materialMatch) {
+    return productRef("forestry", "item", toSnakeCase(materialMatch[1]));
   }
 
-  // Return as-is if not recognized
-  return item;
+  // Other Forestry items: ModuleCore.getItems().peat.getItemStack() → peat,
+  // items.honeyDrop.getItemStack() → honey_drop
+  const moduleMatch = item.match(
+    /(?:getItems\(\)|\b\w*[iI]tems)\.(\w+)\.getItemStack\(/
+  );
+  if (moduleMatch) {
+    return productRef("forestry", "item", toSnakeCase(moduleMatch[1]));
+  }
+
+  return unknownRef(item);
 }
 
 /**
@@ -328,34 +599,67 @@ function hexToRGB(hex) {
 }
 
 /**
- * Parse Forestry lang file to extract bee names
- * @param {string} langFilePath - Path to en_us.lang file
- * @returns {Object} Map of bee UID to display name
+ * Parse Forestry lang file to extract species, branch and comb text
+ * @param {string} langFilePath - Path to a lang file (en_us.lang, de_de.lang, ...)
+ * @returns {Object} Lang sections { species, descriptions, branches, branchDescriptions, combs }
  */
 function parseForestryLangFile(langFilePath) {
-  const nameMap = {};
+  const lang = {
+    species: {},
+    descriptions: {},
+    branches: {},
+    branchDescriptions: {},
+    combs: {},
+  };
 
   if (!fs.existsSync(langFilePath)) {
     console.warn(`Lang file not found: ${langFilePath}`);
-    return nameMap;
+    return lang;
   }
 
   const content = fs.readFileSync(langFilePath, "utf-8");
   const lines = content.split("\n");
 
-  // Pattern: for.bees.species.<bee_name>=<Display Name>
-  const namePattern = /^for\.bees\.species\.(\w+)=(.+)$/;
+  // Patterns:
+  //   for.bees.species.<bee_name>=<Display Name>
+  //   for.description.species<BeeName>=<Lore>|<Authority>
+  //   for.genus.bees.<branch>=<Branch Name>
+  //   item.for.bee_combs.<comb>.name=<Comb Name>
+  const patterns = [
+    [
+      /^for\.bees\.species\.(\w+)=(.+)$/,
+      "species",
+      (name) => formatSpeciesUID("forestry", name),
+    ],
+    [
+      /^for\.description\.species(\w+)=(.+)$/,
+      "descriptions",
+      (name) => formatSpeciesUID("forestry", name),
+    ],
+    [
+      /^for\.genus\.bees\.(\w+)=(.+)$/,
+      "branches",
+      (name) => formatBranchUID("forestry", name),
+    ],
+    [
+      /^item\.for\.bee_combs\.(\w+)\.name=(.+)$/,
+      "combs",
+      (name) => formatProductId(productRef("forestry", "comb", name)),
+    ],
+  ];
 
   for (const line of lines) {
-    const match = line.trim().match(namePattern);
-    if (match) {
-      const [, beeName, displayName] = match;
-      const uid = `forestry:${beeName.toLowerCase()}`;
-      nameMap[uid] = displayName.trim();
+    const trimmed = line.trim();
+    for (const [pattern, section, keyOf] of patterns) {
+      const match = trimmed.match(pattern);
+      if (match) {
+        lang[section][keyOf(match[1])] = match[2].trim();
+        break;
+      }
     }
   }
 
-  return nameMap;
+  return lang;
 }
 
 /**
@@ -364,16 +668,17 @@ function parseForestryLangFile(langFilePath) {
 function parseForestry(javaFilePath, langFilePath = null) {
   const result = parseForestryBeeDefinition(javaFilePath);
 
-  // If lang file path provided, read names from it
+  // Comb centrifuge recipes are registered in ModuleApiculture.java
+  result.centrifuge = parseForestryCentrifugeRecipes(
+    path.join(path.dirname(javaFilePath), "ModuleApiculture.java")
+  );
+
+  // If lang file path provided, read names, descriptions and comb names from it
   if (langFilePath) {
-    const nameMap = parseForestryLangFile(langFilePath);
+    applyLangFile(result, parseForestryLangFile(langFilePath));
 
-    // Update bee names from lang file
-    for (const [uid, bee] of Object.entries(result.bees)) {
-      if (nameMap[uid]) {
-        bee.name = nameMap[uid];
-      }
-    }
+    // Names in every locale shipped next to the lang file
+    applyLocalizedNames(result, langFilePath, parseForestryLangFile);
   }
 
   return result;
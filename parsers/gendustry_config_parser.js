@@ -10,13 +10,36 @@
 
 const fs = require("fs");
 const path = require("path");
+const {
+  CHROMOSOME_KEYS,
+  DEFAULT_GENOME,
+  forestryAlleleValue,
+  applyAlleles,
+} = require("./genome_utils");
+const {
+  FORESTRY_COMBS,
+  productRef,
+  oreDictRef,
+  unknownRef,
+  toSnakeCase,
+  formatProductId,
+} = require("./product_utils");
+const { applyLangFile, applyLocalizedNames } = require("./lang_utils");
+const {
+  formatSpeciesUID,
+  speciesAlleleUID,
+  resolveAlleleUID,
+} = require("./uid_utils");
 
 /**
  * Remove comments from BACON contente
  */
 function removeComments(content) {
-  // Remove multi-line comments /* */
-  content = content.replace(/\/\*[\s\S]*?\*\//g, "");
+  // Remove multi-line comments /* */, keeping their line breaks so
+  // source lines still match the original file
+  content = content.replace(/\/\*[\s\S]*?\*\//g, (comment) =>
+    comment.replace(/[^\n]/g, "")
+  );
   // Remove single-line comments //
   content = content.replace(/\/\/.*$/gm, "");
   return content;
@@ -25,10 +48,9 @@ function removeComments(content) {
 /**
  * Parse a Gendustry .cfg file using BACON format
  * @param {string} filePath - Path to the .cfg file
- * @param {string} modName - Name of the mod (e.g., "Gendustry", "MeatballCraft")
  * @returns {Object} Intermediate format object with bees, mutations, and branches
  */
-function parseGendustryConfigFile(filePath, modName = "Gendustry") {
+function parseGendustryConfigFile(filePath) {
   let content = fs.readFileSync(filePath, "utf-8");
   content = removeComments(content);
 
@@ -36,7 +58,8 @@ function parseGendustryConfigFile(filePath, modName = "Gendustry") {
     bees: {},
     mutations: [],
     branches: {},
-    modName: modName, // Store mod name for use in bee processing
+    centrifuge: [],
+    itemSubtypes: {},
   };
 
   // Simple approach: just find each section and extract it
@@ -54,20 +77,39 @@ function parseGendustryConfigFile(filePath, modName = "Gendustry") {
     parseMutationsSection(sections.Mutations, result);
   }
 
-  // Parse inline mutations from recipes section
-  if (sections.recipes) {
-    parseRecipesMutations(sections.recipes, result, filePath);
+  // Custom combs and drops with their damage values
+  if (sections.HoneyCombs) {
+    parseSubtypeIDs(sections.HoneyCombs, "comb", result);
+  }
+  if (sections.HoneyDrops) {
+    parseSubtypeIDs(sections.HoneyDrops, "drop", result);
+  }
+
+  // Parse inline mutations from recipes sections
+  for (const recipes of sections.recipes) {
+    parseRecipesMutations(recipes, result, filePath);
   }
 
+  // Parse centrifuge recipes (scans the whole file so source lines stay exact)
+  parseCentrifugeRecipes(content, result, filePath);
+
   return result;
 }
 
 /**
- * Extract all top-level cfg sections and recipes section
+ * Extract all top-level cfg sections and recipes sections
+ * @returns {Object} Section name → content; recipes is a list of
+ *   { content, line }, line being the file line of each "recipes {"
  */
 function extractAllSections(content) {
   const sections = {};
-  const sectionNames = ["Branches", "Bees", "Mutations"];
+  const sectionNames = [
+    "Branches",
+    "Bees",
+    "Mutations",
+    "HoneyCombs",
+    "HoneyDrops",
+  ];
 
   for (const sectionName of sectionNames) {
     const regex = new RegExp(`cfg\\s+${sectionName}\\s*\\{`, "i");
@@ -92,10 +134,10 @@ function extractAllSections(content) {
     sections[sectionName] = content.substring(startIndex, endIndex);
   }
 
-  // Extract all recipes sections (there may be multiple)
-  // We need to merge them all together
+  // Extract all recipes sections (there may be multiple), each with its own
+  // start line
   const recipesRegex = /recipes\s*\{/gi;
-  let recipesContent = "";
+  sections.recipes = [];
   let match;
 
   while ((match = recipesRegex.exec(content)) !== null) {
@@ -114,11 +156,10 @@ function extractAllSections(content) {
       }
     }
 
-    recipesContent += content.substring(startIndex, endIndex) + "\n";
-  }
-
-  if (recipesContent) {
-    sections.recipes = recipesContent;
+    sections.recipes.push({
+      content: content.substring(startIndex, endIndex),
+      line: content.substring(0, match.index).split("\n").length,
+    });
   }
 
   return sections;
@@ -137,20 +178,40 @@ function parseBranchesSection(content, result) {
     const branchContent = match[2];
 
     const branchData = parseKeyValuePairs(branchContent);
-    const uid = branchData.UID || `gendustry.${branchName.toLowerCase()}`;
+    const uid = parseBranchUID(
+      branchData.UID || `gendustry.${branchName.toLowerCase()}`
+    );
 
     result.branches[uid] = {
       name: branchName,
       scientific: branchData.Scientific || branchName,
-      parent: branchData.Parent || "apidae",
+      parent: parseBranchUID(branchData.Parent || "apidae"),
+      // Mod ID: the namespace of the branch UID ("gendustry")
+      mod: uid.split(":")[0],
     };
   }
 }
 
+/**
+ * Convert a Gendustry branch UID to mod:name format
+ * "gendustry.meatball" → "gendustry:meatball"; "apidae" (the family) is kept
+ */
+function parseBranchUID(uid) {
+  const normalized = uid.toLowerCase();
+  return normalized.includes(":") ? normalized : normalized.replace(".", ":");
+}
+
 /**
  * Parse the Bees section
  */
 function parseBeesSection(content, result, filePath) {
+  // Calculate the starting line of the Bees section in the file
+  const fullContent = fs.readFileSync(filePath, "utf-8");
+  const sectionMatch = fullContent.match(/cfg\s+Bees\s*\{/i);
+  const sectionStartLine = sectionMatch
+    ? fullContent.substring(0, sectionMatch.index).split("\n").length
+    : 0;
+
   // Split into individual bee blocks by looking for "cfg BeeName {"
   const lines = content.split("\n");
   let i = 0;
@@ -161,6 +222,7 @@ function parseBeesSection(content, result, filePath) {
 
     if (cfgMatch) {
       const beeName = cfgMatch[1];
+      const blockStartLine = sectionStartLine + i;
       // Extract this bee's block
       let braceDepth = 1;
       let beeContent = "";
@@ -181,13 +243,28 @@ function parseBeesSection(content, result, filePath) {
         i++;
       }
 
-      processBeeBlock(beeName, beeContent, result, filePath);
+      processBeeBlock(beeName, beeContent, result, filePath, blockStartLine);
     } else {
       i++;
     }
   }
 }
 
+/**
+ * Parse the HoneyCombs or HoneyDrops section: the ID of each entry is the
+ * damage value of gendustry:honey_comb / gendustry:honey_drop
+ * Entries may be written on one line: cfg red { ID = 11 PrimaryColor = ... }
+ */
+function parseSubtypeIDs(content, kind, result) {
+  const entryPattern = /cfg\s+(\w+)\s*\{[^}]*?\bID\s*=\s*(\d+)/g;
+  let match;
+
+  while ((match = entryPattern.exec(content)) !== null) {
+    const id = formatProductId(productRef("gendustry", kind, match[1]));
+    result.itemSubtypes[id] = parseInt(match[2]);
+  }
+}
+
 /**
  * Parse key-value pairs from BACON content
  */
@@ -241,17 +318,22 @@ function parseValue(value) {
 
 /**
  * Process a bee definition block
+ * @param {number} blockStartLine - File line of the "cfg BeeName {" line
  */
-function processBeeBlock(beeName, content, result, filePath) {
+function processBeeBlock(beeName, content, result, filePath, blockStartLine) {
   const data = {};
+  const dropsLines = {};
   let traitsContent = "";
 
   // Extract cfg Traits block if present
   const traitsMatch = content.match(/cfg\s+Traits\s*\{([^}]*)\}/);
   if (traitsMatch) {
     traitsContent = traitsMatch[1];
-    // Remove it from content so we don't parse it again
-    content = content.replace(/cfg\s+Traits\s*\{[^}]*\}/, "");
+    // Remove it from content so we don't parse it again (keeping its line
+    // breaks so line numbers still match the file)
+    content = content.replace(traitsMatch[0], (block) =>
+      block.replace(/[^\n]/g, "")
+    );
   }
 
   // Parse main bee properties
@@ -270,6 +352,7 @@ function processBeeBlock(beeName, content, result, filePath) {
       const keyMatch = line.match(/^(\w+)\s*=/);
       if (keyMatch) {
         const key = keyMatch[1];
+        dropsLines[key] = blockStartLine + 1 + i;
         let dropsStr = line;
 
         // Collect multi-line DropsList
@@ -308,8 +391,7 @@ function processBeeBlock(beeName, content, result, filePath) {
   const isMeatballCraft = beeName.charAt(0) === beeName.charAt(0).toUpperCase();
   const modPrefix = isMeatballCraft ? "meatballcraft" : "gendustry";
 
-  // Create standardized UID: mod:name (all lowercase, no spaces)
-  const uid = `${modPrefix}:${displayName.toLowerCase().replace(/\s+/g, "")}`;
+  const uid = formatSpeciesUID(modPrefix, beeName);
 
   // Combine products and mark specialty products
   const products = [];
@@ -320,6 +402,7 @@ function processBeeBlock(beeName, content, result, filePath) {
       products.push({
         ...product,
         isSpecialty: false,
+        source: { file: filePath, line: dropsLines.Products },
       });
     });
   }
@@ -330,15 +413,17 @@ function processBeeBlock(beeName, content, result, filePath) {
       products.push({
         ...product,
         isSpecialty: true,
+        source: { file: filePath, line: dropsLines.Specialty },
       });
     });
   }
 
   result.bees[uid] = {
-    mod: result.modName || "MeatballCraft",
+    mod: modPrefix,
     name: displayName,
+    alleleUid: speciesAlleleUID("gendustry", beeName),
     binomial: data.Binominal || beeName,
-    branch: data.Branch || "",
+    branch: data.Branch ? parseBranchUID(data.Branch) : "",
     dominant: data.Dominant === true,
     colors: {
       primary: data.PrimaryColor || "#FFFFFF",
@@ -350,7 +435,43 @@ function processBeeBlock(beeName, content, result, filePath) {
     isSecret: data.Secret === true,
     isNocturnal: data.Nocturnal === true,
     products: products,
-    traits: traits,
+    source: { file: filePath, line: blockStartLine },
+  };
+
+  Object.assign(result.bees[uid], parseTraits(traits));
+}
+
+/**
+ * Convert a cfg Traits block into genome fields
+ *
+ * Base = "forestry.speciesForest" copies another species' genome; it is
+ * resolved once all mods are merged. The remaining keys are chromosome
+ * overrides (Never_Sleeps = "forestry.boolFalse") applied on top.
+ * @param {Object} traits - Key-value pairs from the cfg Traits block
+ * @returns {Object} { genome, genomeBase? }
+ */
+function parseTraits(traits) {
+  const overrides = {};
+
+  Object.entries(traits).forEach(([name, value]) => {
+    if (name === "Base") return;
+
+    const key = CHROMOSOME_KEYS[name.toUpperCase()];
+    if (!key) {
+      console.warn(`Unknown Gendustry trait: ${name}`);
+      return;
+    }
+    overrides[key] =
+      typeof value === "string" ? forestryAlleleValue(value) : value;
+  });
+
+  if (!traits.Base) {
+    return { genome: applyAlleles(DEFAULT_GENOME, overrides) };
+  }
+
+  return {
+    genome: overrides,
+    genomeBase: { type: "species", uid: resolveAlleleUID(traits.Base) },
   };
 }
 
@@ -378,7 +499,7 @@ function parseDropsList(dropsListStr) {
       const item = dropMatch[2].trim();
 
       drops.push({
-        item: item,
+        item: parseDropItem(item),
         chance: chance,
       });
     }
@@ -387,6 +508,38 @@ function parseDropsList(dropsListStr) {
   return drops;
 }
 
+/**
+ * Parse a DropsList item specifier into a typed product reference
+ * Formats: HoneyComb:name, HoneyDrop:name, I:mod:item@meta
+ */
+function parseDropItem(item) {
+  // Gendustry custom combs and drops defined in cfg Combs / cfg Drops
+  const customMatch = item.match(/^Honey(Comb|Drop):(\w+)$/);
+  if (customMatch) {
+    return productRef(
+      "gendustry",
+      customMatch[1].toLowerCase(),
+      customMatch[2]
+    );
+  }
+
+  const itemMatch = item.match(/^I:(\w+):(\w+)(?:@(\d+))?$/);
+  if (itemMatch) {
+    const mod = itemMatch[1].toLowerCase();
+    const name = toSnakeCase(itemMatch[2]);
+    const meta = itemMatch[3] !== undefined ? parseInt(itemMatch[3]) : null;
+
+    // Forestry combs are one item with the comb type as damage value
+    if (mod === "forestry" && name === "bee_combs" && FORESTRY_COMBS[meta]) {
+      return productRef("forestry", "comb", FORESTRY_COMBS[meta]);
+    }
+
+    return productRef(mod, "item", name, meta);
+  }
+
+  return unknownRef(item);
+}
+
 /**
  * Parse the Mutations section (if present)
  */
@@ -431,7 +584,9 @@ function parseMutationsSection(content, result) {
 
     if (mutationData.RequireBlock || mutationData.Block) {
       const block = mutationData.RequireBlock || mutationData.Block;
-      conditions.block = Array.isArray(block) ? block : [block];
+      conditions.block = (Array.isArray(block) ? block : [block]).map(
+        parseBlockSpec
+      );
     }
 
     if (Object.keys(conditions).length > 0) {
@@ -443,18 +598,13 @@ function parseMutationsSection(content, result) {
 }
 
 /**
- * Parse inline mutations from recipes section
+ * Parse inline mutations from a recipes section
  * Format: mutation: CHANCE% "parent1" + "parent2" => "offspring" Req Condition Value
+ * @param {Object} recipes - { content, line } from extractAllSections
  */
-function parseRecipesMutations(content, result, filePath) {
-  // Calculate the starting line of the recipes section in the file
-  const fullContent = fs.readFileSync(filePath, "utf-8");
-  const recipesMatch = fullContent.match(/recipes\s*\{/);
-  const recipesStartLine = recipesMatch
-    ? fullContent.substring(0, recipesMatch.index).split("\n").length
-    : 0;
-
-  const lines = content.split("\n");
+function parseRecipesMutations(recipes, result, filePath) {
+  // The content starts right after "recipes {", on the section's first line
+  const lines = recipes.content.split("\n");
 
   for (let i = 0; i < lines.length; i++) {
     const line = lines[i].trim();
@@ -468,35 +618,17 @@ function parseRecipesMutations(content, result, filePath) {
       const [, chance, parent1, parent2, offspring, requirementsStr] =
         mutationMatch;
 
-      // Normalize offspring UID to proper format based on config type
-      // For MeatballCraft config: "gendustry.bee.Meatball" -> "MeatballCraft:Meatball"
-      // For Gendustry config: "gendustry.bee.lightblue" -> "Gendustry:lightblue"
-      const offspringRaw = offspring.trim().replace(/\.bee\./, ".");
-      const offspringParts = offspringRaw.split(".");
-      const offspringName = offspringParts[offspringParts.length - 1];
-
-      // Determine mod name and normalize bee name format
-      const isMeatballCraft =
-        offspringName.charAt(0) === offspringName.charAt(0).toUpperCase();
-      const modName = isMeatballCraft ? "meatballcraft" : "gendustry";
-      const displayName = offspringName
-        .split("_")
-        .map(
-          (part) => part.charAt(0).toUpperCase() + part.slice(1).toLowerCase()
-        )
-        .join(" ");
-      const normalizedOffspring = `${modName}:${displayName
-        .toLowerCase()
-        .replace(/\s+/g, "")}`;
-
+      // Allele UIDs to canonical UIDs:
+      // "gendustry.bee.Meatball" → "meatballcraft:meatball",
+      // "gendustry.bee.lightblue" → "gendustry:lightblue"
       const mutation = {
-        parent1: normalizeParentUID(parent1.trim()),
-        parent2: normalizeParentUID(parent2.trim()),
-        offspring: normalizedOffspring,
+        parent1: resolveAlleleUID(parent1.trim()),
+        parent2: resolveAlleleUID(parent2.trim()),
+        offspring: resolveAlleleUID(offspring.trim()),
         chance: parseInt(chance),
         source: {
           file: filePath,
-          line: recipesStartLine + i + 1,
+          line: recipes.line + i,
         },
       };
 
@@ -514,88 +646,41 @@ function parseRecipesMutations(content, result, filePath) {
 }
 
 /**
- * Normalize parent UID from Gendustry format to standard format
- * Examples:
- *   forestry.speciesIndustrious → forestry:Industrious
- *   extrabees.species.acidic → extrabees:Acidic
- *   magicbees.speciesForlorn → magicbees:Forlorn
- *   careerbees.acceleration → careerbees:Acceleration
+ * Parse centrifuge recipes from recipes sections
+ * Format:
+ *   centrifuge: HoneyComb:black, 10 cycles => {
+ *     100% HoneyDrop:black
+ *     30% I:forestry:honey_drop
+ *   }
  */
-function normalizeParentUID(uid) {
-  // Map of mod prefixes to proper mod names
-  const modMap = {
-    forestry: "forestry",
-    extrabees: "extrabees",
-    magicbees: "magicbees",
-    careerbees: "careerbees",
-    gendustry: "meatballcraft",
-  };
-
-  // Parse the UID
-  const parts = uid.split(".");
-
-  if (parts.length < 2) {
-    return uid; // Not a valid format
-  }
-
-  const modPrefix = parts[0].toLowerCase();
-  const modName = modMap[modPrefix];
-
-  if (!modName) {
-    return uid; // Unknown mod
-  }
-
-  // Extract species name
-  let speciesName = "";
-
-  if (parts[1].toLowerCase() === "bee" && parts.length === 3) {
-    // Handle: gendustry.bee.UniversalConstellation → UniversalConstellation
-    speciesName = parts[2];
-  } else if (parts[1].toLowerCase().startsWith("species")) {
-    // Handle: forestry.speciesIndustrious or extrabees.species.acidic
-    if (parts.length === 2) {
-      // forestry.speciesIndustrious → Industrious
-      speciesName = parts[1].substring(7); // Remove "species" prefix
-    } else if (parts.length === 3) {
-      // extrabees.species.acidic → Acidic
-      speciesName = parts[2];
-    }
-  } else {
-    // Handle: careerbees.acceleration → Acceleration
-    speciesName = parts[1];
-  }
+function parseCentrifugeRecipes(content, result, filePath) {
+  const centrifugePattern =
+    /centrifuge:\s*([^,\s]+)\s*,\s*(\d+)\s*cycles\s*=>\s*\{([^}]*)\}/g;
 
-  // Determine if this is a Gendustry built-in bee (all lowercase AND from gendustry mod)
-  if (speciesName) {
-    // Only treat as Gendustry built-in if modPrefix is "gendustry" AND species is all lowercase
-    const isGendustryBuiltIn =
-      modPrefix === "gendustry" && speciesName === speciesName.toLowerCase();
-
-    if (isGendustryBuiltIn) {
-      // This is a Gendustry built-in bee referenced from MeatballCraft config
-      return `gendustry:${speciesName}`;
-    }
-
-    // Handle MagicBees TE/AE prefixes and convert to display format
-    if (modName === "magicbees" && /^[A-Z]{2}[A-Z][a-z]/.test(speciesName)) {
-      speciesName = speciesName.replace(/^([A-Z]{2})([A-Z][a-z])/, "$1_$2");
+  let match;
+  while ((match = centrifugePattern.exec(content)) !== null) {
+    const [, comb, cycles, outputsStr] = match;
+
+    const outputs = [];
+    const outputPattern = /(\d+)%\s+(\S+)/g;
+    let outputMatch;
+    while ((outputMatch = outputPattern.exec(outputsStr)) !== null) {
+      outputs.push({
+        item: parseDropItem(outputMatch[2]),
+        chance: parseInt(outputMatch[1]) / 100,
+      });
     }
 
-    // Convert to display name format (title case with spaces), then to lowercase no-spaces
-    // Always normalize for non-gendustry mods, regardless of case
-    const displayName = speciesName
-      .split("_")
-      .map((part) => {
-        if (part.length === 2 && /^[A-Z]{2}$/.test(part)) {
-          return part;
-        }
-        return part.charAt(0).toUpperCase() + part.slice(1).toLowerCase();
-      })
-      .join(" ");
-    speciesName = displayName.toLowerCase().replace(/\s+/g, "");
+    result.centrifuge.push({
+      comb: parseDropItem(comb),
+      cycles: parseInt(cycles),
+      outputs,
+      source: {
+        file: filePath,
+        line: content.substring(0, match.index).split("\n").length,
+      },
+    });
   }
-
-  return `${modName}:${speciesName}`;
 }
 
 /**
@@ -626,71 +711,110 @@ function parseInlineRequirements(reqStr) {
   // Match: Req Block B:wool@1
   const blockMatch = reqStr.match(/Req\s+Block\s+(\S+)/i);
   if (blockMatch) {
-    conditions.block = [blockMatch[1]];
+    conditions.block = [parseBlockSpec(blockMatch[1])];
   }
 
   return conditions;
 }
 
 /**
- * Parse Gendustry lang file to extract bee names
- * @param {string} langFilePath - Path to en_US.lang file
- * @returns {Object} Map of bee UID to display name
+ * Parse a block specifier into a typed product reference
+ * Formats: B:wool@1 (vanilla), B:mod:name@meta, OD:oreName
+ */
+function parseBlockSpec(spec) {
+  const oreMatch = spec.match(/^OD:(\w+)$/);
+  if (oreMatch) {
+    return oreDictRef(oreMatch[1]);
+  }
+
+  const blockMatch = spec.match(/^B:(?:(\w+):)?(\w+)(?:@(\d+))?$/);
+  if (blockMatch) {
+    const [, mod = "minecraft", name, meta] = blockMatch;
+    return productRef(
+      mod.toLowerCase(),
+      "block",
+      name,
+      meta !== undefined ? parseInt(meta) : null
+    );
+  }
+
+  return unknownRef(spec);
+}
+
+/**
+ * Parse Gendustry lang file to extract species, branch and comb text
+ * @param {string} langFilePath - Path to a lang file (en_US.lang, meatball_bees.en_US.lang, ...)
+ * @returns {Object} Lang sections { species, descriptions, branches, branchDescriptions, combs }
  */
 function parseGendustryLangFile(langFilePath) {
-  const nameMap = {};
+  const lang = {
+    species: {},
+    descriptions: {},
+    branches: {},
+    branchDescriptions: {},
+    combs: {},
+  };
 
   if (!fs.existsSync(langFilePath)) {
     console.warn(`Lang file not found: ${langFilePath}`);
-    return nameMap;
+    return lang;
   }
 
   const content = fs.readFileSync(langFilePath, "utf-8");
   const lines = content.split("\n");
 
-  // Pattern: gendustry.bees.species.<bee_name>=<Display Name>
-  const namePattern = /^gendustry\.bees\.species\.(\w+)=(.+)$/;
+  // Patterns:
+  //   gendustry.bees.species.<bee_name>=<Display Name>
+  //   gendustry.bees.species.<bee_name>.description=<Lore>|<Authority>
+  //   gendustry.honeycomb.<comb>.name=<Comb Name>
+  const patterns = [
+    [
+      /^gendustry\.bees\.species\.(\w+)=(.+)$/,
+      "species",
+      (name) => formatSpeciesUID("gendustry", name),
+    ],
+    [
+      /^gendustry\.bees\.species\.(\w+)\.description=(.+)$/,
+      "descriptions",
+      (name) => formatSpeciesUID("gendustry", name),
+    ],
+    [
+      /^gendustry\.honeycomb\.(\w+)\.name=(.+)$/,
+      "combs",
+      (name) => formatProductId(productRef("gendustry", "comb", name)),
+    ],
+  ];
 
   for (const line of lines) {
-    const match = line.trim().match(namePattern);
-    if (match) {
-      const [, beeName, displayName] = match;
-      const uid = `gendustry:${beeName.toLowerCase()}`;
-      nameMap[uid] = displayName.trim();
+    const trimmed = line.trim();
+    for (const [pattern, section, keyOf] of patterns) {
+      const match = trimmed.match(pattern);
+      if (match) {
+        lang[section][keyOf(match[1])] = match[2].trim();
+        break;
+      }
     }
   }
 
-  return nameMap;
+  return lang;
 }
 
 /**
  * Main export function
  * @param {string} configPath - Path to the config file
- * @param {string} modName - Name of the mod (default: auto-detect from path)
  * @param {string} langFilePath - Optional path to lang file for names
  */
-function parseGendustryConfig(configPath, modName = null, langFilePath = null) {
-  // Auto-detect mod name from file path if not provided
-  if (!modName) {
-    if (configPath.includes("meatball_bees.cfg")) {
-      modName = "MeatballCraft";
-    } else {
-      modName = "Gendustry";
-    }
-  }
-
-  const result = parseGendustryConfigFile(configPath, modName);
+function parseGendustryConfig(configPath, langFilePath = null) {
+  const result = parseGendustryConfigFile(configPath);
 
-  // If lang file path provided, read names from it
+  // If lang file path provided, read names, descriptions and comb names from it.
+  // Custom bees are registered as gendustry species too (gendustry.bees.species.Meatball)
   if (langFilePath) {
-    const nameMap = parseGendustryLangFile(langFilePath);
+    const keyOf = (uid) => `gendustry:${uid.split(":")[1]}`;
+    applyLangFile(result, parseGendustryLangFile(langFilePath), keyOf);
 
-    // Update bee names from lang file (only for Gendustry built-in bees)
-    for (const [uid, bee] of Object.entries(result.bees)) {
-      if (nameMap[uid]) {
-        bee.name = nameMap[uid];
-      }
-    }
+    // Names in every locale shipped next to the lang file
+    applyLocalizedNames(result, langFilePath, parseGendustryLangFile, keyOf);
   }
 
   return result;
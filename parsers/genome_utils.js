@@ -0,0 +1,229 @@
+/**
+ * Genome Utilities
+ *
+ * Shared helpers for turning Forestry allele template code into the genome
+ * fields written to bees.jsonc (speed, lifespan, fertility, tolerances, ...).
+ */
+
+/**
+ * Map of EnumBeeChromosome names to genome field names
+ */
+const CHROMOSOME_KEYS = {
+  SPEED: "speed",
+  LIFESPAN: "lifespan",
+  FERTILITY: "fertility",
+  TEMPERATURE_TOLERANCE: "temperatureTolerance",
+  HUMIDITY_TOLERANCE: "humidityTolerance",
+  NEVER_SLEEPS: "neverSleeps",
+  CAVE_DWELLING: "caveDwelling",
+  TOLERATES_RAIN: "tolerantFlyer",
+  FLOWER_PROVIDER: "flowerProvider",
+  FLOWERING: "flowering",
+  TERRITORY: "territory",
+  EFFECT: "effect",
+};
+
+/**
+ * Forestry's EnumAllele.Fertility values (number of drones per princess)
+ */
+const FERTILITY_VALUES = {
+  LOW: 1,
+  NORMAL: 2,
+  HIGH: 3,
+  MAXIMUM: 4,
+};
+
+/**
+ * Default template every Forestry branch starts from
+ * Mirrors BeeBranchDefinition.getDefaultTemplate() in Forestry
+ */
+const DEFAULT_GENOME = {
+  speed: "SLOWEST",
+  lifespan: "SHORTER",
+  fertility: 2,
+  temperatureTolerance: "NONE",
+  humidityTolerance: "NONE",
+  neverSleeps: false,
+  caveDwelling: false,
+  tolerantFlyer: false,
+  flowerProvider: "forestry.flowersVanilla",
+  flowering: "SLOWEST",
+  territory: "AVERAGE",
+  effect: "forestry.effectNone",
+};
+
+/**
+ * Convert an EnumAllele constant (e.g. EnumAllele.Fertility.HIGH) to a genome value
+ * @param {string} category - EnumAllele inner enum name (Speed, Fertility, Flowers, ...)
+ * @param {string} value - Constant name (SLOWER, HIGH, VANILLA, ...)
+ * @returns {string|number} Genome value
+ */
+function enumAlleleValue(category, value) {
+  if (category === "Fertility") {
+    return FERTILITY_VALUES[value] !== undefined
+      ? FERTILITY_VALUES[value]
+      : value;
+  }
+
+  // Flower providers are stored as allele UIDs (forestry.flowersVanilla)
+  if (category === "Flowers") {
+    return `forestry.flowers${value.charAt(0)}${value.slice(1).toLowerCase()}`;
+  }
+
+  return value;
+}
+
+/**
+ * Parse the value expression of an AlleleHelper.set() call
+ * @param {string} expr - Java expression (EnumAllele.Speed.FAST, true, AlleleEffects.effectBeatific, ...)
+ * @param {Function} [resolveReference] - Optional mod-specific resolver for unknown expressions
+ * @returns {string|number|boolean|null} Genome value, or null if unrecognized
+ */
+function parseAlleleValue(expr, resolveReference = null) {
+  expr = expr.trim();
+
+  if (expr === "true") return true;
+  if (expr === "false") return false;
+
+  const enumMatch = expr.match(/EnumAllele\.(\w+)\.(\w+)/);
+  if (enumMatch) {
+    return enumAlleleValue(enumMatch[1], enumMatch[2]);
+  }
+
+  // Forestry effects: AlleleEffects.effectBeatific → forestry.effectBeatific
+  const effectMatch = expr.match(/AlleleEffects\.(\w+)/);
+  if (effectMatch) {
+    return `forestry.${effectMatch[1]}`;
+  }
+
+  // Registry lookups: AlleleHelper.getAllele("forestry.effectDrunkard")
+  const uidMatch = expr.match(/getAllele\(\s*"([^"]+)"\s*\)/);
+  if (uidMatch) {
+    return uidMatch[1];
+  }
+
+  return resolveReference ? resolveReference(expr) : null;
+}
+
+/**
+ * Parse AlleleHelper.getInstance().set(template, EnumBeeChromosome.X, value) calls
+ * @param {string} code - Java code containing the set() calls
+ * @param {Function} [resolveReference] - Optional mod-specific resolver passed to parseAlleleValue
+ * @returns {Object} Partial genome with the alleles that were set
+ */
+function parseAlleleHelperCalls(code, resolveReference = null) {
+  const alleles = {};
+
+  const setPattern =
+    /AlleleHelper\.getInstance\(\)\.set\(\s*\w+\s*,\s*EnumBeeChromosome\.(\w+)\s*,\s*([\s\S]+?)\)\s*;/g;
+
+  let match;
+  while ((match = setPattern.exec(code)) !== null) {
+    const [, chromosome, valueExpr] = match;
+    const key = CHROMOSOME_KEYS[chromosome];
+    if (!key) continue; // SPECIES and unknown chromosomes
+
+    const value = parseAlleleValue(valueExpr, resolveReference);
+    if (value !== null) {
+      alleles[key] = value;
+    }
+  }
+
+  return alleles;
+}
+
+/**
+ * Convert a Forestry allele UID (forestry.speedFast, forestry.toleranceUp1, ...)
+ * to a genome value. Effect and flower UIDs are returned unchanged.
+ * @param {string} uid - Allele UID
+ * @returns {string|number|boolean} Genome value
+ */
+function forestryAlleleValue(uid) {
+  const match = uid.match(
+    /^forestry\.(speed|lifespan|fertility|tolerance|bool|flowering|territory)(\w+)$/
+  );
+  if (!match) return uid;
+
+  const [, category, name] = match;
+  if (category === "bool") return name === "True";
+
+  // Forestry registers the normal speed as speedNorm
+  const value =
+    name === "Norm" ? "NORMAL" : name.replace(/(\d)/, "_$1").toUpperCase();
+
+  return category === "fertility" ? enumAlleleValue("Fertility", value) : value;
+}
+
+/**
+ * Resolve cross-mod genome inheritance on merged parser output
+ *
+ * Bees with a genomeBase start from another mod's template instead of the
+ * default one:
+ *   { type: "branch", uid: "forestry:agrarian" } - default + branch alleles
+ *   { type: "species", uid: "forestry:forest" }  - copy of a species genome
+ * The bee's own genome holds the partial overrides and is replaced in place
+ * by the full genome. genomeBase is removed once resolved.
+ * @param {Object} bees - Map of bee UID to bee data (all mods)
+ * @param {Object} branches - Map of branch UID to branch data (all mods)
+ */
+function resolveGenomes(bees, branches) {
+  const resolving = new Set();
+
+  function resolve(uid) {
+    const bee = bees[uid];
+    if (!bee || !bee.genomeBase) return bee ? bee.genome : null;
+
+    if (resolving.has(uid)) {
+      console.warn(`Circular genome template reference: ${uid}`);
+      return bee.genome;
+    }
+    resolving.add(uid);
+
+    const { type, uid: baseUID } = bee.genomeBase;
+    let base = DEFAULT_GENOME;
+    let branchAlleles = {};
+
+    if (type === "branch") {
+      if (branches[baseUID]) {
+        branchAlleles = branches[baseUID].alleles || {};
+      } else {
+        console.warn(`Unknown genome template branch ${baseUID} for ${uid}`);
+      }
+    } else if (type === "species") {
+      const baseGenome = resolve(baseUID);
+      if (baseGenome) {
+        base = baseGenome;
+      } else {
+        console.warn(`Unknown genome template species ${baseUID} for ${uid}`);
+      }
+    }
+
+    bee.genome = applyAlleles(base, branchAlleles, bee.genome);
+    delete bee.genomeBase;
+    resolving.delete(uid);
+    return bee.genome;
+  }
+
+  Object.keys(bees).forEach(resolve);
+}
+
+/**
+ * Build a full genome by applying partial allele sets over a base genome
+ * @param {Object} base - Base genome (defaults to DEFAULT_GENOME)
+ * @param {...Object} overrides - Partial genomes applied in order
+ * @returns {Object} New genome object
+ */
+function applyAlleles(base = DEFAULT_GENOME, ...overrides) {
+  return Object.assign({}, base, ...overrides);
+}
+
+module.exports = {
+  CHROMOSOME_KEYS,
+  DEFAULT_GENOME,
+  enumAlleleValue,
+  parseAlleleValue,
+  parseAlleleHelperCalls,
+  forestryAlleleValue,
+  applyAlleles,
+  resolveGenomes,
+};
@@ -0,0 +1,348 @@
+/**
+ * Item Utilities
+ *
+ * Resolves product references (see product_utils) to the in-game item they
+ * name: { registryName, meta, oreDict? }.
+ * Subtyped mod items (combs, drops, propolis, ...) share one registry name
+ * and are told apart by damage value, the ordinal of the mod's enum constant:
+ *   forestry:comb.honey → { registryName: "forestry:bee_combs", meta: 0 }
+ * Ore dictionary references name no single item:
+ *   ore:dustBlizz → { registryName: null, meta: null, oreDict: "dustBlizz" }
+ * Subtypes whose damage value no source declares keep a null meta:
+ *   careerbees:ingredient.ying → { registryName: "careerbees:ingredients", meta: null }
+ */
+
+const {
+  FORESTRY_COMBS,
+  productRef,
+  oreDictRef,
+  unknownRef,
+  formatProductId,
+} = require("./product_utils");
+
+/**
+ * ExtraBees EnumHoneyComb constants in ordinal (item damage) order, as
+ * listed in the mod's lang file
+ */
+const EXTRABEES_COMBS = [
+  "BARREN",
+  "ROTTEN",
+  "BONE",
+  "OIL",
+  "COAL",
+  "FUEL",
+  "WATER",
+  "MILK",
+  "FRUIT",
+  "SEED",
+  "ALCOHOL",
+  "STONE",
+  "REDSTONE",
+  "RESIN",
+  "IC2ENERGY",
+  "IRON",
+  "GOLD",
+  "COPPER",
+  "TIN",
+  "SILVER",
+  "URANIUM",
+  "CLAY",
+  "OLD",
+  "FUNGAL",
+  "CREOSOTE",
+  "LATEX",
+  "ACIDIC",
+  "VENOMOUS",
+  "SLIME",
+  "BLAZE",
+  "COFFEE",
+  "GLACIAL",
+  "MINT",
+  "CITRUS",
+  "PEAT",
+  "SHADOW",
+  "LEAD",
+  "ZINC",
+  "TITANIUM",
+  "TUNGSTEN",
+  "PLATINUM",
+  "LAPIS",
+  "EMERALD",
+  "RUBY",
+  "SAPPHIRE",
+  "DIAMOND",
+  "RED",
+  "YELLOW",
+  "BLUE",
+  "GREEN",
+  "BLACK",
+  "WHITE",
+  "BROWN",
+  "ORANGE",
+  "CYAN",
+  "PURPLE",
+  "GRAY",
+  "LIGHTBLUE",
+  "PINK",
+  "LIMEGREEN",
+  "MAGENTA",
+  "LIGHTGRAY",
+  "NICKEL",
+  "GLOWSTONE",
+  "SALTPETER",
+  "COMPOST",
+  "SAWDUST",
+  "CERTUS",
+  "ENDERPEARL",
+  "YELLORIUM",
+  "CYANITE",
+  "BLUTONIUM",
+  "SODALITE",
+  "PYRITE",
+  "BAUXITE",
+  "CINNABAR",
+  "SPHALERITE",
+];
+
+/**
+ * MagicBees EnumCombType constants in ordinal (item damage) order, as
+ * listed in the mod's lang file
+ */
+const MAGICBEES_COMBS = [
+  "MUNDANE",
+  "MOLTEN",
+  "OCCULT",
+  "OTHERWORLDLY",
+  "TRANSMUTED",
+  "PAPERY",
+  "SOUL",
+  "FURTIVE",
+  "INTELLECT",
+  "TEMPORAL",
+  "FORGOTTEN",
+  "AIRY",
+  "FIREY",
+  "WATERY",
+  "EARTHY",
+  "TC_AIR",
+  "TC_FIRE",
+  "TC_WATER",
+  "TC_EARTH",
+  "TC_ORDER",
+  "TC_ENTROPY",
+  "ESSENCE",
+  "POTENT",
+  "TE_CARBON",
+  "TE_DESTABILIZED",
+  "TE_LUX",
+  "TE_ENDEARING",
+];
+
+/**
+ * MagicBees EnumResourceType constants in ordinal (item damage) order, in
+ * the order of their lang keys (fragment, lump, fertilizer, ...)
+ */
+const MAGICBEES_RESOURCES = [
+  "LORE_FRAGMENT",
+  "AROMATIC_LUMP",
+  "CONCENTRATED_COMPOUND",
+  "SKULL_CHIP",
+  "SKULL_FRAGMENT",
+  "DRAGON_DUST",
+  "DRAGON_CHUNK",
+  "ESSENCE_FALSE_LIFE",
+  "ESSENCE_SHALLOW_GRAVE",
+  "ESSENCE_LOST_TIME",
+  "ESSENCE_EVERLASTING_DURABILITY",
+  "ESSENCE_SCORNFUL_OBLIVION",
+  "ESSENCE_FICKLE_PERMANENCE",
+  "TC_DUST_AIR",
+  "TC_DUST_FIRE",
+  "TC_DUST_WATER",
+  "TC_DUST_EARTH",
+];
+
+/**
+ * Registry names of subtyped mod items by mod and item kind.
+ * variants lists the enum constants in ordinal order; items without
+ * variants take their damage values from the sources themselves (Gendustry
+ * cfg IDs), see the itemSubtypes of the intermediate format.
+ */
+const SUBTYPED_ITEMS = {
+  forestry: {
+    comb: { registryName: "forestry:bee_combs", variants: FORESTRY_COMBS },
+    drop: {
+      registryName: "forestry:honey_drop",
+      variants: ["HONEY", "CHARGED", "OMEGA"],
+    },
+    pollen: {
+      registryName: "forestry:pollen",
+      variants: ["NORMAL", "CRYSTALLINE"],
+    },
+    propolis: {
+      registryName: "forestry:propolis",
+      variants: ["NORMAL", "STICKY", "PULSATING", "SILKY"],
+    },
+  },
+  extrabees: {
+    comb: { registryName: "extrabees:honey_comb", variants: EXTRABEES_COMBS },
+    drop: { registryName: "extrabees:honey_drop" },
+    propolis: { registryName: "extrabees:propolis" },
+  },
+  magicbees: {
+    comb: { registryName: "magicbees:beecomb", variants: MAGICBEES_COMBS },
+    drop: {
+      registryName: "magicbees:drop",
+      variants: [
+        "ENCHANTED",
+        "INTELLECT",
+        "DESTABILIZED",
+        "CARBON",
+        "LUX",
+        "ENDEARING",
+      ],
+    },
+    pollen: {
+      registryName: "magicbees:pollen",
+      variants: ["UNUSUAL", "PHASED"],
+    },
+    propolis: {
+      registryName: "magicbees:propolis",
+      variants: [
+        "ORDER",
+        "AIR",
+        "FIRE",
+        "WATER",
+        "EARTH",
+        "ENTROPY",
+        "UNSTABLE",
+      ],
+    },
+    wax: {
+      registryName: "magicbees:wax",
+      variants: ["MAGIC", "SOUL", "AMNESIC"],
+    },
+    resource: {
+      registryName: "magicbees:miscresources",
+      variants: MAGICBEES_RESOURCES,
+    },
+  },
+  // ItemIngredients.IngredientType is not part of the sources, so the
+  // damage values of ingredients are unknown
+  careerbees: {
+    ingredient: { registryName: "careerbees:ingredients" },
+  },
+  gendustry: {
+    comb: { registryName: "gendustry:honey_comb" },
+    drop: { registryName: "gendustry:honey_drop" },
+  },
+};
+
+/**
+ * Forestry crafting materials (craftingMaterial.getSilkWisp(), ...) are
+ * subtypes of forestry:crafting_material, in EnumCraftingMaterial order
+ */
+const FORESTRY_CRAFTING_MATERIALS = [
+  "pulsating_dust",
+  "pulsating_mesh",
+  "silk_wisp",
+  "woven_silk",
+  "dissipation_charge",
+  "ice_shard",
+  "scented_paneling",
+  "camouflaged_paneling",
+];
+
+/**
+ * Resolve a product reference to the item it names
+ * @param {Object} ref - Product reference
+ * @param {Object} [subtypes] - Item ID without meta → damage value, declared
+ *   by the sources (itemSubtypes of the intermediate format)
+ * @returns {Object|null} { registryName, meta, oreDict? } (meta null if the
+ *   damage value is unknown), or null if the reference cannot be resolved
+ */
+function resolveItem(ref, subtypes = {}) {
+  if (ref.kind === "unknown") return null;
+  if (ref.kind === "oredict") {
+    return { registryName: null, meta: null, oreDict: ref.variant };
+  }
+
+  if (ref.kind === "item" || ref.kind === "block") {
+    const material =
+      ref.mod === "forestry"
+        ? FORESTRY_CRAFTING_MATERIALS.indexOf(ref.variant)
+        : -1;
+    if (material !== -1) {
+      return { registryName: "forestry:crafting_material", meta: material };
+    }
+    return {
+      registryName: `${ref.mod}:${ref.variant}`,
+      meta: ref.meta !== undefined ? ref.meta : 0,
+    };
+  }
+
+  const subtyped = SUBTYPED_ITEMS[ref.mod] && SUBTYPED_ITEMS[ref.mod][ref.kind];
+  if (!subtyped) return null;
+
+  let meta = ref.meta;
+  if (meta === undefined) {
+    const declared = subtypes[formatProductId(ref)];
+    if (declared !== undefined) {
+      meta = declared;
+    } else if (subtyped.variants) {
+      const ordinal = subtyped.variants.indexOf(ref.variant.toUpperCase());
+      if (ordinal !== -1) meta = ordinal;
+    }
+  }
+  return {
+    registryName: subtyped.registryName,
+    meta: meta !== undefined ? meta : null,
+  };
+}
+
+/**
+ * Whether a resolved item (an items.jsonc entry) names no item: neither a
+ * registry name nor an ore dictionary entry
+ */
+function isUnresolvedItem(item) {
+  return item.registryName === null && !item.oreDict;
+}
+
+/**
+ * Whether a resolved item names a subtyped item without its damage value
+ */
+function hasUnknownMeta(item) {
+  return item.registryName !== null && item.meta === null;
+}
+
+/**
+ * Parse the block argument of a Java requireResource(...) call
+ * Patterns: "blockIron" (ore dictionary), Blocks.WATER.getDefaultState(),
+ * Blocks.ANVIL.getBlockState().getValidStates()...,
+ * BlockStateList.of(Blocks.FURNACE, Blocks.LIT_FURNACE)
+ * @param {string} expr - Java expression
+ * @returns {Array<Object>} Product references of the accepted blocks (an
+ *   unknown reference if no block is recognized)
+ */
+function parseBlockExpression(expr) {
+  const oreMatch = expr.trim().match(/^"([^"]+)"$/);
+  if (oreMatch) return [oreDictRef(oreMatch[1])];
+
+  const blocks = [];
+  const blockPattern = /\bBlocks\.(\w+)/g;
+  let match;
+  while ((match = blockPattern.exec(expr)) !== null) {
+    if (!blocks.includes(match[1])) blocks.push(match[1]);
+  }
+  // Keep unrecognized expressions on one line: Foo\n    .getBlockState()
+  if (blocks.length === 0) return [unknownRef(expr.replace(/\s*\n\s*/g, ""))];
+  return blocks.map((name) => productRef("minecraft", "block", name));
+}
+
+module.exports = {
+  SUBTYPED_ITEMS,
+  resolveItem,
+  isUnresolvedItem,
+  hasUnknownMeta,
+  parseBlockExpression,
+};
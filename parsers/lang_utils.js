@@ -0,0 +1,168 @@
+/**
+ * Lang File Utilities
+ *
+ * Shared helpers for applying .lang files to parsed data. Each parser keeps
+ * its own parse*LangFile for the key format of its mod, returning sections:
+ *   {
+ *     species: { key: name },
+ *     descriptions: { key: "Lore text|Authority" },
+ *     branches: { branchUID: name },
+ *     branchDescriptions: { branchUID: "Lore text|Authority" },
+ *     combs: { combId: name }
+ *   }
+ * Species keys are bee UIDs unless the parser passes its own keyOf.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Locale English names fall back to
+ */
+const FALLBACK_LOCALE = "en_us";
+
+/**
+ * Locale suffix of a lang file name: "en_US.lang", "meatball_bees.en_US.lang"
+ */
+const LOCALE_FILE_PATTERN = /(?:^|\.)([a-z]{2,3}_[a-z]{2})\.lang$/i;
+
+/**
+ * Locale of a lang file, normalized to lowercase: "en_US.lang" → "en_us"
+ */
+function localeOf(langFilePath) {
+  const match = path.basename(langFilePath).match(LOCALE_FILE_PATTERN);
+  return match ? match[1].toLowerCase() : null;
+}
+
+/**
+ * Find the lang files for every locale shipped alongside a lang file
+ * Files in the same directory with the same prefix count as the same mod:
+ * lang/en_US.lang → lang/de_DE.lang, meatball_bees.en_US.lang → meatball_bees.de_DE.lang
+ * @param {string} langFilePath - Path to one lang file (usually en_US.lang)
+ * @returns {Object} Map of locale to lang file path
+ */
+function findLocaleFiles(langFilePath) {
+  const langDir = path.dirname(langFilePath);
+  const baseName = path.basename(langFilePath);
+  const localeFiles = {};
+
+  const match = baseName.match(LOCALE_FILE_PATTERN);
+  if (!match || !fs.existsSync(langDir)) {
+    return localeFiles;
+  }
+  const prefix = baseName.substring(0, match.index);
+
+  fs.readdirSync(langDir)
+    .filter((file) => {
+      const fileMatch = file.match(LOCALE_FILE_PATTERN);
+      return (
+        fileMatch &&
+        fileMatch.index === prefix.length &&
+        file.startsWith(prefix)
+      );
+    })
+    .sort()
+    .forEach((file) => {
+      localeFiles[localeOf(file)] = path.join(langDir, file);
+    });
+
+  return localeFiles;
+}
+
+/**
+ * Split a lang description into its text and the authority after "|"
+ * "Fond of dry landscapes.|Apiarist Manual" → { description, authority }
+ */
+function splitDescription(value) {
+  const separator = value.lastIndexOf("|");
+  if (separator === -1) {
+    return { description: value.trim() };
+  }
+
+  const description = value.substring(0, separator).trim();
+  const authority = value.substring(separator + 1).trim();
+  return authority ? { description, authority } : { description };
+}
+
+/**
+ * Apply a mod's (English) lang file to its parsed data
+ * Sets bee names, descriptions and authorities, branch names and descriptions,
+ * and adds result.combNames ({ combId: { name } }) for the output builder.
+ * @param {Object} result - Intermediate format object from the parser
+ * @param {Object} lang - Sections returned by the parser's parse*LangFile
+ * @param {Function} keyOf - Species lang key for a bee UID (default: the UID)
+ */
+function applyLangFile(result, lang, keyOf = (uid) => uid) {
+  for (const [uid, bee] of Object.entries(result.bees)) {
+    const key = keyOf(uid);
+    if (lang.species[key]) {
+      bee.name = lang.species[key];
+    }
+    if (lang.descriptions[key]) {
+      Object.assign(bee, splitDescription(lang.descriptions[key]));
+    }
+  }
+
+  for (const [uid, branch] of Object.entries(result.branches)) {
+    if (lang.branches[uid]) {
+      branch.name = lang.branches[uid];
+    }
+    if (lang.branchDescriptions[uid]) {
+      branch.description = splitDescription(
+        lang.branchDescriptions[uid]
+      ).description;
+    }
+  }
+
+  result.combNames = {};
+  Object.entries(lang.combs).forEach(([combId, name]) => {
+    result.combNames[combId] = { name };
+  });
+}
+
+/**
+ * Add names maps ({ locale: name }) to bees, branches and combs from every
+ * locale's lang file
+ * Locales without an entry are left out; consumers fall back to the English
+ * name field.
+ * @param {Object} result - Intermediate format object (after applyLangFile)
+ * @param {string} langFilePath - Path to one lang file of the mod
+ * @param {Function} parseLangFile - The parser's lang reader (path) → sections
+ * @param {Function} keyOf - Species lang key for a bee UID (default: the UID)
+ */
+function applyLocalizedNames(
+  result,
+  langFilePath,
+  parseLangFile,
+  keyOf = (uid) => uid
+) {
+  const localeFiles = findLocaleFiles(langFilePath);
+  const addName = (entry, locale, name) => {
+    if (!name) return;
+    if (!entry.names) entry.names = {};
+    entry.names[locale] = name;
+  };
+
+  Object.entries(localeFiles).forEach(([locale, localeFile]) => {
+    const lang = parseLangFile(localeFile);
+
+    for (const [uid, bee] of Object.entries(result.bees)) {
+      addName(bee, locale, lang.species[keyOf(uid)]);
+    }
+    for (const [uid, branch] of Object.entries(result.branches)) {
+      addName(branch, locale, lang.branches[uid]);
+    }
+    for (const [combId, comb] of Object.entries(result.combNames || {})) {
+      addName(comb, locale, lang.combs[combId]);
+    }
+  });
+}
+
+module.exports = {
+  FALLBACK_LOCALE,
+  localeOf,
+  findLocaleFiles,
+  splitDescription,
+  applyLangFile,
+  applyLocalizedNames,
+};
@@ -9,13 +9,34 @@
 
 const fs = require("fs");
 const path = require("path");
+const { enumAlleleValue } = require("./genome_utils");
+const {
+  FORESTRY_SUBTYPED_ITEMS,
+  productRef,
+  oreDictRef,
+  unknownRef,
+  parseItemStack,
+  toSnakeCase,
+  formatProductId,
+} = require("./product_utils");
+const { parseCombEnumProducts } = require("./centrifuge_utils");
+const { parseBlockExpression } = require("./item_utils");
+const { applyLangFile, applyLocalizedNames } = require("./lang_utils");
+const {
+  formatSpeciesUID,
+  formatBranchUID,
+  speciesAlleleUID,
+} = require("./uid_utils");
 
 /**
  * Remove comments from Java content
  */
 function removeComments(content) {
-  // Remove multi-line comments /* */
-  content = content.replace(/\/\*[\s\S]*?\*\//g, "");
+  // Remove multi-line comments /* */, keeping their line breaks so
+  // source lines still match the original file
+  content = content.replace(/\/\*[\s\S]*?\*\//g, (comment) =>
+    comment.replace(/[^\n]/g, "")
+  );
   // Remove single-line comments //
   content = content.replace(/\/\/.*$/gm, "");
   return content;
@@ -36,6 +57,13 @@ function parseMagicBeesSpecies(filePath) {
     branches: {},
   };
 
+  // Branch templates live in EnumBeeBranches.java next to EnumBeeSpecies.java
+  const branchDefinitions = parseMagicBeesBranchDefinition(
+    path.join(path.dirname(filePath), "EnumBeeBranches.java")
+  );
+  // Branch UID → EnumBeeBranches constant
+  const branchEnumNames = {};
+
   // Extract enum constants with their full bodies including registerMutations()
   // Pattern: ENUMNAME("binomial", EnumBeeBranches.BRANCH, dominant, new Color(0xHEX)) { ... },
   const enumPattern =
@@ -57,7 +85,8 @@ function parseMagicBeesSpecies(filePath) {
     // Create UID directly from enum name (lowercase, no underscores)
     // This ensures consistent IDs regardless of display name formatting
     // e.g., "AE_SKYSTONE" → "magicbees:aeskystone"
-    const uid = `magicbees:${enumName.toLowerCase().replace(/_/g, "")}`;
+    const uid = formatSpeciesUID("magicbees", enumName);
+    branchEnumNames[formatBranchUID("magicbees", branch)] = branch;
 
     // Create display name for the name field (will be overridden by lang file if available)
     const displayName = enumName
@@ -77,31 +106,41 @@ function parseMagicBeesSpecies(filePath) {
       .split("\n").length;
 
     const bee = {
-      mod: "MagicBees",
+      mod: "magicbees",
       name: displayName,
+      alleleUid: speciesAlleleUID("magicbees", enumName),
       binomial: binomial,
-      branch: `magicbees.${branch.toLowerCase()}`,
+      branch: formatBranchUID("magicbees", branch),
       dominant: dominant === "true",
       colors: {
-        primary: `#${primaryColor.toUpperCase()}`,
-        secondary: secondaryColor
-          ? `#${secondaryColor.toUpperCase()}`
-          : `#${primaryColor.toUpperCase()}`,
+        primary: hexToRGB(primaryColor),
+        secondary: hexToRGB(secondaryColor || primaryColor),
       },
       temperature: "NORMAL",
       humidity: "NORMAL",
       hasEffect: false,
       isSecret: false,
+      isNocturnal: false,
       products: [],
+      source: { file: filePath, line: linesBeforeMatch },
     };
 
     // Parse bee body for details
-    const bodyDetails = parseBeeBody(body);
+    const bodyDetails = parseBeeBody(body, filePath, linesBeforeMatch);
     if (bodyDetails.temperature) bee.temperature = bodyDetails.temperature;
     if (bodyDetails.humidity) bee.humidity = bodyDetails.humidity;
     if (bodyDetails.hasEffect) bee.hasEffect = bodyDetails.hasEffect;
     if (bodyDetails.isSecret) bee.isSecret = bodyDetails.isSecret;
+    if (bodyDetails.isNocturnal) bee.isNocturnal = bodyDetails.isNocturnal;
     if (bodyDetails.products.length > 0) bee.products = bodyDetails.products;
+    if (bodyDetails.runtimeConditions.length > 0) {
+      bee.runtimeConditions = bodyDetails.runtimeConditions;
+    }
+
+    // Species start from their branch template (EnumBeeBranches), resolved
+    // with the other mods' templates before modifyGenomeTemplate() is applied
+    bee.genome = bodyDetails.alleles;
+    bee.genomeBase = { type: "branch", uid: bee.branch };
 
     result.bees[uid] = bee;
 
@@ -138,12 +177,39 @@ function parseMagicBeesSpecies(filePath) {
   });
 
   branches.forEach((branchUID) => {
-    const parts = branchUID.split(".");
+    const parts = branchUID.split(":");
     const name = parts[parts.length - 1];
+    const branchDefinition = branchDefinitions[branchEnumNames[branchUID]];
     result.branches[branchUID] = {
       name: name.charAt(0).toUpperCase() + name.slice(1),
-      scientific: name,
+      scientific: branchDefinition ? branchDefinition.scientific : name,
+      mod: "magicbees",
     };
+    if (branchDefinition && Object.keys(branchDefinition.alleles).length > 0) {
+      result.branches[branchUID].alleles = branchDefinition.alleles;
+    }
+  });
+
+  // Mutations involving a mod-gated species only exist with that mod present
+  result.mutations.forEach((mutation) => {
+    const modConditions = [];
+    [mutation.parent1, mutation.parent2, mutation.offspring].forEach((uid) => {
+      const bee = result.bees[uid];
+      (bee && bee.runtimeConditions ? bee.runtimeConditions : []).forEach(
+        (condition) => {
+          if (!modConditions.some((c) => c.target === condition.target)) {
+            modConditions.push(condition);
+          }
+        }
+      );
+    });
+    if (modConditions.length === 0) return;
+
+    mutation.conditions = mutation.conditions || {};
+    mutation.conditions.runtimeConditions = [
+      ...modConditions,
+      ...(mutation.conditions.runtimeConditions || []),
+    ];
   });
 
   // Clean up temporary fields
@@ -156,13 +222,15 @@ function parseMagicBeesSpecies(filePath) {
 
 /**
  * Parse bee body for additional details
+ * Products record the source line they were declared on.
  */
-function parseBeeBody(body) {
+function parseBeeBody(body, filePath, bodyStartLine) {
   const details = {
     temperature: null,
     humidity: null,
     hasEffect: false,
     isSecret: false,
+    isNocturnal: false,
     products: [],
   };
 
@@ -188,55 +256,451 @@ function parseBeeBody(body) {
     details.isSecret = true;
   }
 
-  // Products: addProduct(item, chance)
-  const productPattern = /addProduct\s*\(\s*([^,]+)\s*,\s*([\\d.]+)f?\s*\)/g;
+  // Night activity: setNocturnal()
+  if (body.includes("setNocturnal()")) {
+    details.isNocturnal = true;
+  }
+
+  // Products and specialties, in source order
+  details.products = parseProducts(body).map(
+    ({ index, item, chance, isSpecialty, runtimeConditions }) => ({
+      item,
+      chance,
+      isSpecialty,
+      ...(runtimeConditions && { runtimeConditions }),
+      source: {
+        file: filePath,
+        line: bodyStartLine + body.substring(0, index).split("\n").length - 1,
+      },
+    })
+  );
+
+  // Genome: template.setX(value) calls in modifyGenomeTemplate()
+  details.alleles = parseGenomeTemplate(body);
+
+  // Integration species: isActive() overrides checking Loader.isModLoaded()
+  details.runtimeConditions = parseRuntimeConditions(body);
+
+  return details;
+}
+
+/**
+ * Map of MagicBees ModNames constants to mod IDs
+ */
+const MOD_NAMES = {
+  AE2: "appliedenergistics2",
+  BLOODMAGIC: "bloodmagic",
+  BOTANIA: "botania",
+  RSA: "redstonearsenal",
+  THAUMCRAFT: "thaumcraft",
+  THERMALEXPANSION: "thermalexpansion",
+  THERMALFOUNDATION: "thermalfoundation",
+};
+
+/**
+ * Parse mod gating from an isActive() override
+ * Pattern: return super.isActive() && Loader.isModLoaded(ModNames.THAUMCRAFT);
+ * @param {string} body - Enum constant body
+ * @returns {Array<Object>} Runtime conditions [{ type: "MOD", target, active }]
+ */
+function parseRuntimeConditions(body) {
+  const activeMatch = body.match(
+    /boolean\s+isActive\s*\(\s*\)\s*\{([\s\S]*?)\}/
+  );
+  return activeMatch ? parseModChecks(activeMatch[1]) : [];
+}
+
+/**
+ * Parse the Loader.isModLoaded() checks of a Java expression
+ * @param {string} expr - Java expression
+ * @returns {Array<Object>} Runtime conditions [{ type: "MOD", target, active }]
+ */
+function parseModChecks(expr) {
+  const conditions = [];
+  const modPattern =
+    /(!?)\s*Loader\.isModLoaded\s*\(\s*(?:ModNames\.(\w+)|"([^"]+)")\s*\)/g;
+  let match;
+  while ((match = modPattern.exec(expr)) !== null) {
+    const [, negated, constant, literal] = match;
+    const modId = constant ? MOD_NAMES[constant] : literal;
+    if (!modId) {
+      console.warn(`Unknown MagicBees ModNames constant: ${constant}`);
+      continue;
+    }
+    conditions.push({ type: "MOD", target: modId, active: negated !== "!" });
+  }
+
+  return conditions;
+}
+
+/**
+ * Find the blocks of a species body that only run with a mod present
+ * Pattern: if (Loader.isModLoaded(ModNames.THAUMCRAFT)) { ... }
+ * @param {string} body - Enum constant body
+ * @returns {Array<Object>} [{ start, end, runtimeConditions }], body indices
+ */
+function parseModGatedBlocks(body) {
+  const blocks = [];
+  const ifPattern = /\bif\s*\(/g;
+  let match;
+  while ((match = ifPattern.exec(body)) !== null) {
+    const open = match.index + match[0].length - 1;
+    const close = findClosingParen(body, open);
+    const runtimeConditions = parseModChecks(body.substring(open + 1, close));
+    const braceMatch = body.substring(close + 1).match(/^\s*\{/);
+    if (runtimeConditions.length === 0 || !braceMatch) continue;
+
+    const start = close + braceMatch[0].length;
+    blocks.push({
+      start,
+      end: findClosingBrace(body, start),
+      runtimeConditions,
+    });
+  }
+  return blocks;
+}
+
+/**
+ * Parse MagicBees EnumBeeBranches.java for the branch templates
+ * @param {string} filePath - Path to EnumBeeBranches.java
+ * @returns {Object} { ENUM_NAME: { scientific, alleles } }
+ *   (empty if the file is not available)
+ */
+function parseMagicBeesBranchDefinition(filePath) {
+  const branches = {};
+
+  if (!fs.existsSync(filePath)) {
+    return branches;
+  }
+
+  const content = removeComments(fs.readFileSync(filePath, "utf-8"));
+
+  // Branch constants: VEILED("Velatapis") { setBranchProperties(...) { template.setX(...); } },
+  const branchPattern =
+    /\b([A-Z_]+)\(\s*"([^"]+)"\s*\)\s*(?:\{([\s\S]*?)\}\s*\}\s*)?[,;]/g;
+
+  let match;
+  while ((match = branchPattern.exec(content)) !== null) {
+    const [, enumName, scientific, body] = match;
+    branches[enumName] = {
+      scientific: scientific,
+      alleles: body ? parseGenomeTemplate(body) : {},
+    };
+  }
+
+  return branches;
+}
+
+/**
+ * Map of BeeGenomeTemplate setters to genome field names
+ */
+const TEMPLATE_SETTERS = {
+  setSpeed: "speed",
+  setLifeSpan: "lifespan",
+  setFertility: "fertility",
+  setTemperatureTolerance: "temperatureTolerance",
+  setHumidityTolerance: "humidityTolerance",
+  setNeverSleeps: "neverSleeps",
+  setCaveDwelling: "caveDwelling",
+  setToleratesRain: "tolerantFlyer",
+  setFlowerProvider: "flowerProvider",
+  setFloweringSpeed: "flowering",
+  setTerritory: "territory",
+  setEffect: "effect",
+};
+
+/**
+ * Parse template.setX(value) calls from modifyGenomeTemplate()
+ * @param {string} body - Enum constant body
+ * @returns {Object} Partial genome with the alleles that were set
+ */
+function parseGenomeTemplate(body) {
+  const alleles = {};
+
+  const setterPattern = /template\.(set\w+)\s*\(\s*([\s\S]+?)\s*\)\s*;/g;
+  let match;
+  while ((match = setterPattern.exec(body)) !== null) {
+    const [, setter, valueExpr] = match;
+    const key = TEMPLATE_SETTERS[setter];
+    if (!key) continue;
+
+    const value = parseTemplateValue(valueExpr);
+    if (value !== null) {
+      alleles[key] = value;
+    }
+  }
+
+  return alleles;
+}
+
+/**
+ * Parse a BeeGenomeTemplate setter argument to a genome value
+ * e.g. SPEED_FAST → FAST, FERTILITY_HIGH → 3, TRUE_RECESSIVE → true,
+ * AlleleRegister.effectCleansing → magicbees.effectCleansing
+ */
+function parseTemplateValue(expr) {
+  expr = expr.replace(/^ForestryAlleles\./, "");
+
+  if (expr === "TRUE_RECESSIVE") return true;
+  if (expr === "FALSE_RECESSIVE") return false;
+
+  // ForestryAlleles constants: SPEED_FAST, TOLERANCE_DOWN_2, FLOWERS_SNOW, ...
+  const constantMatch = expr.match(
+    /^(SPEED|LIFESPAN|FERTILITY|TOLERANCE|FLOWERING|TERRITORY|FLOWERS)_(\w+)$/
+  );
+  if (constantMatch) {
+    const [, category, value] = constantMatch;
+    if (category === "FERTILITY") return enumAlleleValue("Fertility", value);
+    if (category === "FLOWERS") return enumAlleleValue("Flowers", value);
+    return value;
+  }
+
+  // Forestry alleles looked up by name: getForestryAllele("effectDrunkard")
+  const forestryMatch = expr.match(/getForestryAllele\(\s*"(\w+)"\s*\)/);
+  if (forestryMatch) {
+    return `forestry.${forestryMatch[1]}`;
+  }
+
+  // MagicBees alleles: AlleleRegister.x and BeeIntegrationInterface.x
+  const magicMatch = expr.match(
+    /^(?:AlleleRegister|BeeIntegrationInterface)\.(\w+)$/
+  );
+  if (magicMatch) {
+    return `magicbees.${magicMatch[1]}`;
+  }
+
+  return null;
+}
+
+/**
+ * Ore dictionary entries of MagicBees EnumOreResourceType constants (the
+ * enum is not part of the parsed sources): the item getStack() returns and
+ * the storage block requireResource(...) accepts
+ */
+const ORE_RESOURCES = {
+  IRON: { product: "nuggetIron", block: "blockIron" },
+  GOLD: { product: "nuggetGold", block: "blockGold" },
+  COPPER: { product: "nuggetCopper", block: "blockCopper" },
+  TIN: { product: "nuggetTin", block: "blockTin" },
+  SILVER: { product: "nuggetSilver", block: "blockSilver" },
+  LEAD: { product: "nuggetLead", block: "blockLead" },
+  ALUMINIUM: { product: "nuggetAluminum", block: "blockAluminum" },
+  ARDITE: { product: "nuggetArdite", block: "blockArdite" },
+  COBALT: { product: "nuggetCobalt", block: "blockCobalt" },
+  MANYULLYN: { product: "nuggetManyullyn", block: "blockManyullyn" },
+  OSMIUM: { product: "nuggetOsmium", block: "blockOsmium" },
+  ELECTRUM: { product: "nuggetElectrum", block: "blockElectrum" },
+  PLATINUM: { product: "nuggetPlatinum", block: "blockPlatinum" },
+  NICKEL: { product: "nuggetNickel", block: "blockNickel" },
+  INVAR: { product: "nuggetInvar", block: "blockInvar" },
+  BRONZE: { product: "nuggetBronze", block: "blockBronze" },
+  DIAMOND: { product: "nuggetDiamond", block: "blockDiamond" },
+  EMERALD: { product: "nuggetEmerald", block: "blockEmerald" },
+  APATITE: { product: "gemApatite", block: "blockApatite" },
+  SILICON: { product: "itemSilicon", block: "blockSilicon" },
+  CERTUS: { product: "crystalCertusQuartz", block: "blockCertusQuartz" },
+  FLUIX: { product: "crystalFluix", block: "blockFluix" },
+};
+
+/**
+ * Ore dictionary reference for an EnumOreResourceType constant
+ * @param {string} resource - Constant name (IRON, CERTUS, ...)
+ * @param {string} part - "product" or "block"
+ * @throws {Error} For constants missing from ORE_RESOURCES, rather than
+ *   emitting the Java expression as an item
+ */
+function oreResourceRef(resource, part) {
+  if (!ORE_RESOURCES[resource]) {
+    throw new Error(
+      `Unknown EnumOreResourceType.${resource}: add its ore dictionary entries to ORE_RESOURCES`
+    );
+  }
+  return oreDictRef(ORE_RESOURCES[resource][part]);
+}
+
+/**
+ * Items of other mods that MagicBees looks up in BeeIntegrationInterface
+ */
+const INTEGRATION_ITEMS = {
+  aeSkyStone: productRef("appliedenergistics2", "block", "sky_stone_block"),
+  blockTCAirShard: productRef("thaumcraft", "block", "crystal_aer"),
+  blockTCFireShard: productRef("thaumcraft", "block", "crystal_ignis"),
+  blockTCWaterShard: productRef("thaumcraft", "block", "crystal_aqua"),
+  blockTCEarthShard: productRef("thaumcraft", "block", "crystal_terra"),
+  blockTCOrderShard: productRef("thaumcraft", "block", "crystal_ordo"),
+  blockTCEntropyShard: productRef("thaumcraft", "block", "crystal_perditio"),
+  nuggetBeef: productRef("thaumcraft", "item", "chunk", 0),
+  nuggetChicken: productRef("thaumcraft", "item", "chunk", 1),
+  nuggetPork: productRef("thaumcraft", "item", "chunk", 2),
+  voidMetalNugget: oreDictRef("nuggetVoid"),
+  zombieBrain: productRef("thaumcraft", "item", "brain"),
+  itemRSAFluxedElectrumNugget: oreDictRef("nuggetElectrumFlux"),
+  livingWood: productRef("botania", "block", "livingwood"),
+  // One specialty per seed type in game (for i < seedTypes); listed once
+  itemPastureSeed: productRef("botania", "item", "grassseeds"),
+};
+
+/**
+ * Parse the products and specialties a species body registers
+ * - addProduct(item, chance) / addSpecialty(item, chance)
+ * - addOreProduct(EnumOreResourceType.X, builder, chance): a honey comb
+ *   product plus the ore resource as specialty
+ * - addRequiredOreDictSpeciality("oreName", builder, chance): the first item
+ *   in the ore dictionary as specialty
+ * @param {string} body - Species enum constant body
+ * @returns {Array<Object>} [{ index, item, chance, isSpecialty,
+ *   runtimeConditions? }] sorted by index
+ */
+function parseProducts(body) {
+  const products = [];
+
+  // Item arguments may contain commas and span lines, so match lazily up to
+  // the chance argument (float literals always carry the f suffix)
+  const productPattern =
+    /\badd(Product|Specialty)\s*\(\s*([^;]+?)\s*,\s*([\d.]+)[fF]\s*\)/g;
   let productMatch;
   while ((productMatch = productPattern.exec(body)) !== null) {
-    const [, item, chance] = productMatch;
-    details.products.push({
+    const [, type, item, chance] = productMatch;
+    products.push({
+      index: productMatch.index,
       item: parseItemReference(item),
       chance: parseFloat(chance),
+      isSpecialty: type === "Specialty",
     });
   }
 
-  // Specialties: addSpecialty(item, chance)
-  const specialtyPattern =
-    /addSpecialty\s*\(\s*([^,]+)\s*,\s*([\\d.]+)f?\s*\)/g;
-  let specialtyMatch;
-  while ((specialtyMatch = specialtyPattern.exec(body)) !== null) {
-    const [, item, chance] = specialtyMatch;
-    details.products.push({
-      item: parseItemReference(item),
-      chance: parseFloat(chance),
+  const orePattern =
+    /\baddOreProduct\s*\(\s*EnumOreResourceType\.(\w+)\s*,\s*\w+\s*,\s*([\d.]+)[fF]\s*\)/g;
+  let oreMatch;
+  while ((oreMatch = orePattern.exec(body)) !== null) {
+    const [, resource, chance] = oreMatch;
+    products.push(
+      {
+        index: oreMatch.index,
+        item: productRef("forestry", "comb", "HONEY"),
+        chance: 0.1,
+        isSpecialty: false,
+      },
+      {
+        index: oreMatch.index,
+        item: oreResourceRef(resource, "product"),
+        chance: parseFloat(chance),
+        isSpecialty: true,
+      }
+    );
+  }
+
+  const oreDictPattern =
+    /\baddRequiredOreDictSpeciality\s*\(\s*"(\w+)"\s*,\s*\w+\s*,\s*([\d.]+)[fF]\s*\)/g;
+  let oreDictMatch;
+  while ((oreDictMatch = oreDictPattern.exec(body)) !== null) {
+    products.push({
+      index: oreDictMatch.index,
+      item: oreDictRef(oreDictMatch[1]),
+      chance: parseFloat(oreDictMatch[2]),
+      isSpecialty: true,
     });
   }
 
-  return details;
+  // Products registered inside if (Loader.isModLoaded(...)) { ... }
+  const gatedBlocks = parseModGatedBlocks(body);
+  products.forEach((product) => {
+    const runtimeConditions = gatedBlocks
+      .filter(({ start, end }) => product.index > start && product.index < end)
+      .flatMap((block) => block.runtimeConditions);
+    if (runtimeConditions.length > 0) {
+      product.runtimeConditions = runtimeConditions;
+    }
+  });
+
+  return products.sort((a, b) => a.index - b.index);
 }
 
 /**
- * Parse item reference to a readable format
+ * Parse item reference into a typed product reference
  */
 function parseItemReference(itemRef) {
   itemRef = itemRef.trim();
 
-  // MagicBees combs: Config.combs.get(EnumCombType.TYPE)
-  const combMatch = itemRef.match(
-    /Config\.combs\.get\s*\(\s*EnumCombType\.(\w+)/
+  // MagicBees combs, drops and pollen: EnumBeeSpecies.getComb(EnumCombType.TYPE),
+  // getDrop(EnumDropType.TYPE), getPollen(EnumPollenType.TYPE)
+  const helperMatch = itemRef.match(
+    /get(Comb|Drop|Pollen)\s*\(\s*Enum\w+Type\.(\w+)/
+  );
+  if (helperMatch) {
+    return productRef(
+      "magicbees",
+      helperMatch[1].toLowerCase(),
+      helperMatch[2]
+    );
+  }
+
+  // Other MagicBees subtyped items:
+  // ItemRegister.propolisItem.getStackFromType(EnumPropolisType.FIRE)
+  const registerMatch = itemRef.match(
+    /ItemRegister\.(\w+)Item\.getStackFromType\s*\(\s*Enum\w+Type\.(\w+)/
+  );
+  if (registerMatch) {
+    return productRef("magicbees", registerMatch[1], registerMatch[2]);
+  }
+
+  // Forestry subtyped items by damage value:
+  // new ItemStack(Utils.getApicultureItems().propolis, 1, EnumPropolis.STICKY.ordinal())
+  const apicultureMatch = itemRef.match(
+    /getApicultureItems\(\)\.(\w+)\s*,\s*\d+\s*,\s*Enum\w+\.(\w+)\.ordinal\(\)/
+  );
+  if (apicultureMatch && FORESTRY_SUBTYPED_ITEMS[apicultureMatch[1]]) {
+    return productRef(
+      "forestry",
+      FORESTRY_SUBTYPED_ITEMS[apicultureMatch[1]],
+      apicultureMatch[2]
+    );
+  }
+
+  // Forestry crafting materials: craftingMaterial.getSilkWisp() → silk_wisp
+  const materialMatch = itemRef.match(/craftingMaterial\.get(\w+)\(/);
+  if (materialMatch) {
+    return productRef("forestry", "item", toSnakeCase(materialMatch[1]));
+  }
+
+  // MagicBees items: new ItemStack(ItemRegister.jellyBaby) → jelly_baby
+  const magicItemMatch = itemRef.match(
+    /new\s+ItemStack\(\s*ItemRegister\.(\w+)\s*(?:,\s*\d+\s*(?:,\s*(\d+)\s*)?)?\)/
+  );
+  if (magicItemMatch) {
+    return productRef(
+      "magicbees",
+      "item",
+      toSnakeCase(magicItemMatch[1]),
+      magicItemMatch[2] !== undefined ? parseInt(magicItemMatch[2]) : null
+    );
+  }
+
+  // Other mods' items: BeeIntegrationInterface.zombieBrain,
+  // new ItemStack(BeeIntegrationInterface.aeSkyStone.getBlock())
+  const integrationMatch = itemRef.match(/BeeIntegrationInterface\.(\w+)/);
+  if (integrationMatch && INTEGRATION_ITEMS[integrationMatch[1]]) {
+    return INTEGRATION_ITEMS[integrationMatch[1]];
+  }
+
+  // Forestry combs: EnumBeeSpecies.getForestryComb(EnumHoneyComb.TYPE)
+  const forestryCombMatch = itemRef.match(
+    /getForestryComb\s*\(\s*EnumHoneyComb\.(\w+)/
   );
-  if (combMatch) {
-    return `magicbees:comb.${combMatch[1].toLowerCase()}`;
+  if (forestryCombMatch) {
+    return productRef("forestry", "comb", forestryCombMatch[1]);
   }
 
-  // Vanilla items: Items.XXX
-  const itemMatch = itemRef.match(/Items\.(\w+)/);
-  if (itemMatch) {
-    return `minecraft:${itemMatch[1].toLowerCase()}`;
+  // Vanilla items: new ItemStack(Items.XXX)
+  const itemStack = parseItemStack(itemRef);
+  if (itemStack) {
+    return itemStack;
   }
 
   // Direct item references
-  return itemRef;
+  return unknownRef(itemRef);
 }
+
 /**
  * Parse mutations from a specific bee's registerMutations() method body
  */
@@ -258,11 +722,38 @@ function parseBeeMutations(body, enumName, bees, filePath, bodyStartLine) {
   // Pattern: registerMutation(PARENT1, PARENT2, CHANCE)...
   // Can be chained with .restrictBiomeType(), .requireResource(), .addMutationCondition(), etc.
   const mutationPattern =
-    /registerMutation\s*\(\s*([^,]+)\s*,\s*([^,]+)\s*,\s*([\d.]+)f?\s*\)((?:\.(?:restrictBiomeType|requireResource|requireNight|requireDay|addMutationCondition)\s*\([^)]*\))*)/g;
+    /registerMutation\s*\(\s*([^,]+)\s*,\s*([^,]+)\s*,\s*([\d.]+)[fF]?\s*\)/g;
+
+  // Local parent variables: EnumBeeSpecies bee1 = LEAD.isActive() ? LEAD : IRON;
+  const locals = {};
+  const localPattern =
+    /\b(?:EnumBeeSpecies|IAlleleBeeSpecies)\s+(\w+)\s*=\s*([^;]+);/g;
+  let localMatch;
+  while ((localMatch = localPattern.exec(mutationBody)) !== null) {
+    locals[localMatch[1]] = localMatch[2];
+  }
+
+  // Block sets filled from the ore dictionary:
+  //   for (String oreDictName : new String[] { "blockAluminium", "blockAluminum" }) {
+  //       ... acceptedBlockStates.addAll(...)
+  const blockSets = {};
+  const oreLoopMatch = mutationBody.match(
+    /for\s*\(\s*String\s+\w+\s*:\s*new\s+String\[\]\s*\{([^}]*)\}\s*\)[\s\S]*?\b(\w+)\.addAll\(/
+  );
+  if (oreLoopMatch) {
+    blockSets[oreLoopMatch[2]] = Array.from(
+      oreLoopMatch[1].matchAll(/"(\w+)"/g),
+      ([, name]) => oreDictRef(name)
+    );
+  }
 
   let match;
   while ((match = mutationPattern.exec(mutationBody)) !== null) {
-    const [, parent1, parent2, chance, chainedMethods] = match;
+    const [, parent1, parent2, chance] = match;
+    const chainedMethods = readMethodChain(
+      mutationBody,
+      match.index + match[0].length
+    );
 
     // Calculate line number: bodyStartLine + lines in body before mutationBody + lines in mutationBody before match
     const linesBeforeMethodStart =
@@ -272,32 +763,177 @@ function parseBeeMutations(body, enumName, bees, filePath, bodyStartLine) {
     const lineNumber =
       bodyStartLine + linesBeforeMethodStart + linesInMethodBeforeMatch;
 
-    // Create offspring UID directly from enum name (lowercase, no underscores)
-    const mutation = {
-      parent1: resolveSpeciesReference(parent1.trim(), bees),
-      parent2: resolveSpeciesReference(parent2.trim(), bees),
-      offspring: `magicbees:${enumName.toLowerCase().replace(/_/g, "")}`,
-      chance: parseFloat(chance),
-      source: {
-        file: filePath,
-        line: lineNumber,
-      },
-    };
-
     // Parse chained mutation conditions
-    if (chainedMethods) {
-      const parsedConditions = parseChainedConditions(chainedMethods);
-      if (Object.keys(parsedConditions).length > 0) {
-        mutation.conditions = parsedConditions;
-      }
-    }
+    const parsedConditions = chainedMethods
+      ? parseChainedConditions(chainedMethods, blockSets)
+      : {};
+
+    // One mutation per combination of runtime parent fallbacks
+    const choices1 = expandSpeciesChoices(parent1, locals, bees);
+    const choices2 = expandSpeciesChoices(parent2, locals, bees);
+    choices1.forEach((choice1) => {
+      choices2.forEach((choice2) => {
+        const mutation = {
+          parent1: choice1.uid,
+          parent2: choice2.uid,
+          offspring: formatSpeciesUID("magicbees", enumName),
+          chance: parseFloat(chance),
+          source: {
+            file: filePath,
+            line: lineNumber,
+          },
+        };
+
+        const conditions = { ...parsedConditions };
+        const runtimeConditions = [
+          ...choice1.runtimeConditions,
+          ...choice2.runtimeConditions,
+        ];
+        if (runtimeConditions.length > 0) {
+          conditions.runtimeConditions = runtimeConditions;
+        }
+        if (Object.keys(conditions).length > 0) {
+          mutation.conditions = conditions;
+        }
 
-    mutations.push(mutation);
+        mutations.push(mutation);
+      });
+    });
   }
 
   return mutations;
 }
 
+/**
+ * Expand a mutation parent expression into every species it can resolve to
+ * MagicBees falls back to other parents when a species is disabled:
+ *   LEAD.isActive() ? LEAD : IRON
+ *   TIN.isActive() ? TIN : (COPPER.isActive() ? COPPER : IRON)
+ * @param {string} expr - Parent expression or local variable name
+ * @param {Object} locals - Map of local variable names to their initializers
+ * @param {Object} bees - Bees parsed so far
+ * @returns {Array<Object>} [{ uid, runtimeConditions }], one per outcome
+ */
+function expandSpeciesChoices(expr, locals, bees) {
+  expr = expr.replace(/\s+/g, " ").trim();
+  while (
+    expr.startsWith("(") &&
+    findClosingParen(expr, 0) === expr.length - 1
+  ) {
+    expr = expr.slice(1, -1).trim();
+  }
+
+  if (locals[expr]) {
+    return expandSpeciesChoices(locals[expr], locals, bees);
+  }
+
+  const ternaryMatch = expr.match(/^(\w+)\.isActive\(\)\s*\?\s*/);
+  if (!ternaryMatch) {
+    const ref = expr.replace(/\.getSpecies\(\)$/, "");
+    return [{ uid: resolveSpeciesReference(ref, bees), runtimeConditions: [] }];
+  }
+
+  // Split "IF_ACTIVE : IF_INACTIVE" on the first top-level colon
+  const rest = expr.substring(ternaryMatch[0].length);
+  let depth = 0;
+  let colon = -1;
+  for (let i = 0; i < rest.length && colon === -1; i++) {
+    if (rest[i] === "(") depth++;
+    if (rest[i] === ")") depth--;
+    if (rest[i] === ":" && depth === 0) colon = i;
+  }
+  if (colon === -1) {
+    console.warn(`Could not parse MagicBees parent expression: ${expr}`);
+    return [{ uid: null, runtimeConditions: [] }];
+  }
+
+  const target = resolveSpeciesReference(ternaryMatch[1], bees);
+  const withCondition = (choiceExpr, active) =>
+    expandSpeciesChoices(choiceExpr, locals, bees).map((choice) => ({
+      uid: choice.uid,
+      runtimeConditions: [
+        { type: "BEE", target, active },
+        ...choice.runtimeConditions,
+      ],
+    }));
+
+  return [
+    ...withCondition(rest.substring(0, colon), true),
+    ...withCondition(rest.substring(colon + 1), false),
+  ];
+}
+
+/**
+ * Parse the argument of requireResource(...): MagicBees ore resources,
+ * integration blocks and local block sets, then the patterns of
+ * parseBlockExpression
+ * @param {Object} [blockSets] - Local block set variable → block references
+ * @returns {Array<Object>} Product references of the accepted blocks
+ */
+function parseResourceExpression(expr, blockSets = {}) {
+  // acceptedBlockStates.toArray(new IBlockState[0])
+  const setMatch = expr.trim().match(/^(\w+)\.toArray\(/);
+  if (setMatch && blockSets[setMatch[1]]) return blockSets[setMatch[1]];
+
+  const oreMatch = expr.trim().match(/^EnumOreResourceType\.(\w+)$/);
+  if (oreMatch) return [oreResourceRef(oreMatch[1], "block")];
+
+  // BeeIntegrationInterface.blockTCAirShard.getBlockState().getValidStates()...
+  const integrationMatch = expr.match(/BeeIntegrationInterface\.(\w+)/);
+  if (integrationMatch && INTEGRATION_ITEMS[integrationMatch[1]]) {
+    return [INTEGRATION_ITEMS[integrationMatch[1]]];
+  }
+
+  return parseBlockExpression(expr);
+}
+
+/**
+ * Find the index of the parenthesis closing the one opened at openIndex
+ */
+function findClosingParen(code, openIndex) {
+  let depth = 0;
+  for (let i = openIndex; i < code.length; i++) {
+    if (code[i] === "(") depth++;
+    if (code[i] === ")") {
+      depth--;
+      if (depth === 0) return i;
+    }
+  }
+  return code.length;
+}
+
+/**
+ * Read the method calls chained onto an expression that ends at index
+ * Calls may span lines and nest parentheses:
+ *   .addMutationCondition(
+ *           new MoonPhaseMutationBonus(MoonPhase.FULL, MoonPhase.FULL, 1.2F))
+ * @returns {string} The chained calls (empty if there are none)
+ */
+function readMethodChain(code, index) {
+  const callPattern = /^\s*\.\s*\w+\s*\(/;
+  let end = index;
+  let call;
+  while ((call = code.substring(end).match(callPattern)) !== null) {
+    end = findClosingParen(code, end + call[0].length - 1) + 1;
+  }
+  return code.substring(index, end);
+}
+
+/**
+ * Find the index of the brace closing the one opened at openIndex
+ */
+function findClosingBrace(code, openIndex) {
+  let depth = 0;
+  for (let i = openIndex; i < code.length; i++) {
+    if (code[i] === "{") depth++;
+    if (code[i] === "}") {
+      depth--;
+      if (depth === 0) return i;
+    }
+  }
+  return code.length;
+}
+
 /**
  * Parse mutations from registerMutations() or similar method
  */
@@ -368,7 +1004,7 @@ function createMundaneMutations(beeUID, filePath, lineNumber) {
   for (const forestryBee of forestryMundane) {
     mutations.push({
       parent1: beeUID,
-      parent2: `forestry:${forestryBee.toLowerCase()}`,
+      parent2: formatSpeciesUID("forestry", forestryBee),
       offspring: "forestry:common",
       chance: 15,
       source: {
@@ -410,8 +1046,9 @@ function createMundaneMutations(beeUID, filePath, lineNumber) {
 
 /**
  * Parse chained mutation conditions from method calls
+ * @param {Object} [blockSets] - Local block set variable → block references
  */
-function parseChainedConditions(chainStr) {
+function parseChainedConditions(chainStr, blockSets = {}) {
   const conditions = {};
 
   // restrictBiomeType(BiomeDictionary.Type.XXX) or restrictBiomeType(BiomeDictionary.Type.XXX, BiomeDictionary.Type.YYY)
@@ -424,30 +1061,25 @@ function parseChainedConditions(chainStr) {
     conditions.biome = biomes;
   }
 
-  // requireResource(block) or requireResource("oreDict")
-  const resourceMatch = chainStr.match(/requireResource\s*\(\s*([^)]+)\s*\)/);
+  // requireResource(Blocks.WATER.getDefaultState()), requireResource("oreDict"),
+  // requireResource(EnumOreResourceType.IRON)
+  const resourceMatch = chainStr.match(/requireResource\s*\(/);
   if (resourceMatch) {
-    const resource = resourceMatch[1].trim();
-    if (resource.startsWith('"')) {
-      // Ore dictionary string
-      conditions.block = [resource.replace(/"/g, "")];
-    } else if (resource.includes(".getDefaultState()")) {
-      // Block reference like Blocks.WATER.getDefaultState()
-      const blockMatch = resource.match(/Blocks\.(\w+)/);
-      if (blockMatch) {
-        conditions.block = [`minecraft:${blockMatch[1].toLowerCase()}`];
-      }
-    }
+    const open = resourceMatch.index + resourceMatch[0].length - 1;
+    conditions.block = parseResourceExpression(
+      chainStr.substring(open + 1, findClosingParen(chainStr, open)),
+      blockSets
+    );
   }
 
   // requireNight()
   if (chainStr.includes("requireNight()")) {
-    conditions.time = "night";
+    conditions.timeOfDay = "NIGHT";
   }
 
   // requireDay()
   if (chainStr.includes("requireDay()")) {
-    conditions.time = "day";
+    conditions.timeOfDay = "DAY";
   }
 
   // addMutationCondition(new MoonPhaseMutationRestriction(MoonPhase.XXX, MoonPhase.YYY))
@@ -465,7 +1097,7 @@ function parseChainedConditions(chainStr) {
 
   // addMutationCondition(new MoonPhaseMutationBonus(MoonPhase.XXX, MoonPhase.YYY, multiplier))
   const moonBonusMatch = chainStr.match(
-    /MoonPhaseMutationBonus\s*\(\s*MoonPhase\.(\w+)\s*,\s*MoonPhase\.(\w+)\s*,\s*([\d.]+)f?\s*\)/
+    /MoonPhaseMutationBonus\s*\(\s*MoonPhase\.(\w+)\s*,\s*MoonPhase\.(\w+)\s*,\s*([\d.]+)[fF]?\s*\)/
   );
   if (moonBonusMatch) {
     const [, phase1, phase2, multiplier] = moonBonusMatch;
@@ -502,79 +1134,121 @@ function resolveSpeciesReference(ref, bees) {
   // Pattern: EnumBeeSpecies.getForestrySpecies("Name")
   const forestryMatch = ref.match(/getForestrySpecies\s*\(\s*"(\w+)"/);
   if (forestryMatch) {
-    return `forestry:${forestryMatch[1].toLowerCase()}`;
+    return formatSpeciesUID("forestry", forestryMatch[1]);
   }
 
   // Pattern: ExtraBeeDefinition.XXX
   const extraBeesMatch = ref.match(/ExtraBeeDefinition\.(\w+)/);
   if (extraBeesMatch) {
-    const name =
-      extraBeesMatch[1].charAt(0).toUpperCase() +
-      extraBeesMatch[1].slice(1).toLowerCase();
-    return `extrabees:${name.toLowerCase()}`;
+    return formatSpeciesUID("extrabees", extraBeesMatch[1]);
   }
 
   // Pattern: Bare ALL_CAPS reference - assume MagicBees if not found in dictionary yet
   // This handles forward references to bees defined later in the file
   if (ref.match(/^[A-Z_]+$/)) {
-    // Remove underscores for consistent UID format (e.g., "AE_SKYSTONE" → "aeskystone")
-    return `magicbees:${ref.toLowerCase().replace(/_/g, "")}`;
+    return formatSpeciesUID("magicbees", ref);
   }
 
   return ref;
 }
 
 /**
- * Parse MagicBees lang file to extract bee names
- * @param {string} langFilePath - Path to en_US.lang file
- * @returns {Object} Map of bee UID to display name
+ * Convert a Java hex literal to an RGB string
+ * new Color(0xEAF79) and new Color(0x0888888) are both valid 24-bit colors
+ */
+function hexToRGB(hex) {
+  const rgb = parseInt(hex, 16) & 0xffffff;
+  return "#" + rgb.toString(16).padStart(6, "0").toUpperCase();
+}
+
+/**
+ * Parse MagicBees lang file to extract species, branch and comb text
+ * @param {string} langFilePath - Path to a lang file (en_US.lang, de_DE.lang, ...)
+ * @returns {Object} Lang sections { species, descriptions, branches, branchDescriptions, combs }
  */
 function parseMagicBeesLangFile(langFilePath) {
-  const nameMap = {};
+  const lang = {
+    species: {},
+    descriptions: {},
+    branches: {},
+    branchDescriptions: {},
+    combs: {},
+  };
 
   if (!fs.existsSync(langFilePath)) {
     console.warn(`Lang file not found: ${langFilePath}`);
-    return nameMap;
+    return lang;
   }
 
   const content = fs.readFileSync(langFilePath, "utf-8");
   const lines = content.split("\n");
 
-  // Pattern: magicbees.species<EnumName>=<Display Name>
-  // EnumName matches the Java enum (e.g., AESkystone, TEBlizzy)
-  const namePattern = /^magicbees\.species([A-Z]\w+)=(.+)$/;
+  // Patterns (EnumName matches the Java enum, e.g. AESkystone, TEBlizzy;
+  // species are keyed by the lowercased name: "AESkystone" → "aeskystone"):
+  //   magicbees.species<EnumName>=<Display Name>
+  //   magicbees.species<EnumName>.description=<Lore>|<Authority>
+  //   classification.<branch>=<Branch Name>
+  //   classification.<branch>.description=<Branch Lore>|<Authority>
+  //   item.magicbees.beecomb.<comb>.name=<Comb Name>
+  const patterns = [
+    [
+      /^magicbees\.species([A-Z]\w+)=(.+)$/,
+      "species",
+      (name) => name.toLowerCase(),
+    ],
+    [
+      /^magicbees\.species([A-Z]\w+)\.description=(.+)$/,
+      "descriptions",
+      (name) => name.toLowerCase(),
+    ],
+    [
+      /^classification\.(\w+)=(.+)$/,
+      "branches",
+      (name) => formatBranchUID("magicbees", name),
+    ],
+    [
+      /^classification\.(\w+)\.description=(.+)$/,
+      "branchDescriptions",
+      (name) => formatBranchUID("magicbees", name),
+    ],
+    [
+      /^item\.magicbees\.beecomb\.(\w+)\.name=(.+)$/,
+      "combs",
+      (name) => formatProductId(productRef("magicbees", "comb", name)),
+    ],
+  ];
 
   for (const line of lines) {
-    const match = line.trim().match(namePattern);
-    if (match) {
-      const [, langEnumName, displayName] = match;
-      // Convert langEnumName to normalized UID format for lookup
-      // Lang file uses CamelCase: "AESkystone" → "aeskystone"
-      // But we need to match UIDs that preserve underscores from Java enums
-      // e.g., Java "AE_SKYSTONE" → UID "ae_skystone", Lang "AESkystone" → "aeskystone"
-      // Store both with and without underscores to handle matching
-      const normalizedName = langEnumName.toLowerCase();
-      nameMap[normalizedName] = displayName.trim();
+    const trimmed = line.trim();
+    for (const [pattern, section, keyOf] of patterns) {
+      const match = trimmed.match(pattern);
+      if (match) {
+        lang[section][keyOf(match[1])] = match[2].trim();
+        break;
+      }
     }
   }
 
-  return nameMap;
+  return lang;
 }
 
 /**
- * Apply lang names to parsed bees using normalized key matching
- * @param {Object} bees - Parsed bees object
- * @param {Object} nameMap - Map of normalized names to display names
+ * Parse MagicBees comb centrifuge products from EnumCombType.java
+ * @param {string} filePath - Path to EnumCombType.java
+ * @returns {Array<Object>} Centrifuge recipes (empty if the file is not available)
  */
-function applyLangNames(bees, nameMap) {
-  for (const [uid, bee] of Object.entries(bees)) {
-    // Extract the bee name part from UID (e.g., "magicbees:aeskystone" → "aeskystone")
-    const beeId = uid.split(":")[1];
-    // UIDs are already normalized (lowercase, no underscores)
-    if (nameMap[beeId]) {
-      bee.name = nameMap[beeId];
-    }
+function parseCombCentrifugeRecipes(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return [];
   }
+
+  const content = removeComments(fs.readFileSync(filePath, "utf-8"));
+  return parseCombEnumProducts(
+    content,
+    (combName) => productRef("magicbees", "comb", combName),
+    parseItemReference,
+    filePath
+  );
 }
 
 /**
@@ -583,11 +1257,22 @@ function applyLangNames(bees, nameMap) {
 function parseMagicBees(javaFilePath, langFilePath = null) {
   const result = parseMagicBeesSpecies(javaFilePath);
 
-  // If lang file path provided, read names from it
+  // Comb products are declared on the comb enum next to the species file
+  const combEnumPath = path.join(
+    path.dirname(javaFilePath),
+    "EnumCombType.java"
+  );
+  result.centrifuge = parseCombCentrifugeRecipes(combEnumPath);
+
+  // If lang file path provided, read names, descriptions and comb names from it.
+  // Species are matched by the normalized name part of the UID
+  // ("magicbees:aeskystone" → "aeskystone")
   if (langFilePath) {
-    const nameMap = parseMagicBeesLangFile(langFilePath);
-    // Apply names using normalized key matching
-    applyLangNames(result.bees, nameMap);
+    const keyOf = (uid) => uid.split(":")[1];
+    applyLangFile(result, parseMagicBeesLangFile(langFilePath), keyOf);
+
+    // Names in every locale shipped next to the lang file
+    applyLocalizedNames(result, langFilePath, parseMagicBeesLangFile, keyOf);
   }
 
   return result;
@@ -0,0 +1,114 @@
+/**
+ * Parse Cache
+ *
+ * Keeps the intermediate data of each source on disk so unchanged sources
+ * are not parsed again. An entry is keyed by a hash of every file the
+ * parser reads (see parserInputFiles) and of the parser version, and is
+ * stored as <cache-dir>/<source key>.json: { key, data }.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const { runParser, parserInputFiles } = require("./parser_registry");
+
+/**
+ * Default cache directory
+ */
+const DEFAULT_CACHE_DIR = path.join(__dirname, "..", ".cache", "parsers");
+
+/**
+ * Version of the cache entry layout; bump when { key, data } changes
+ */
+const CACHE_FORMAT = 1;
+
+let parserVersion = null;
+
+/**
+ * Parser version: hash of the code in parsers/, so a change to any parser
+ * or shared helper invalidates the cache
+ */
+function getParserVersion() {
+  if (!parserVersion) {
+    const hash = crypto.createHash("sha256");
+    fs.readdirSync(__dirname)
+      .filter((file) => file.endsWith(".js"))
+      .sort()
+      .forEach((file) => {
+        hash.update(`${file}\0`);
+        hash.update(fs.readFileSync(path.join(__dirname, file)));
+      });
+    parserVersion = hash.digest("hex");
+  }
+  return parserVersion;
+}
+
+/**
+ * Hash of a file's contents, or "missing"
+ */
+function hashFile(filePath) {
+  if (!fs.existsSync(filePath)) return "missing";
+  return crypto
+    .createHash("sha256")
+    .update(fs.readFileSync(filePath))
+    .digest("hex");
+}
+
+/**
+ * Cache key of a source entry
+ * @param {Object} source - Source entry from sources.jsonc (paths resolved)
+ * @returns {string} Hash of the parser version, source settings and inputs
+ */
+function cacheKey(source) {
+  const hash = crypto.createHash("sha256");
+  hash.update(
+    JSON.stringify({
+      format: CACHE_FORMAT,
+      parserVersion: getParserVersion(),
+      parser: source.parser,
+      name: source.name,
+    })
+  );
+  parserInputFiles(source).forEach((file) => {
+    const relativePath = path.relative(path.join(__dirname, ".."), file);
+    hash.update(`\0${relativePath}\0${hashFile(file)}`);
+  });
+  return hash.digest("hex");
+}
+
+/**
+ * Run the parser of a source entry, or load its output from the cache
+ * @param {Object} source - Source entry from sources.jsonc (paths resolved)
+ * @param {Object} [options]
+ * @param {boolean} [options.useCache] - Read and write the cache (default: true)
+ * @param {string} [options.cacheDir] - Cache directory
+ * @returns {Object} { data, cached } - Intermediate data and whether it was
+ *   loaded from the cache
+ */
+function runCachedParser(source, options = {}) {
+  const { useCache = true, cacheDir = DEFAULT_CACHE_DIR } = options;
+  if (!useCache) {
+    return { data: runParser(source), cached: false };
+  }
+
+  const key = cacheKey(source);
+  const entryPath = path.join(cacheDir, `${source.key}.json`);
+  if (fs.existsSync(entryPath)) {
+    try {
+      const entry = JSON.parse(fs.readFileSync(entryPath, "utf-8"));
+      if (entry.key === key) {
+        return { data: entry.data, cached: true };
+      }
+    } catch (error) {
+      console.warn(`⚠️  Ignoring unreadable cache entry ${entryPath}`);
+    }
+  }
+
+  const data = runParser(source);
+  fs.mkdirSync(cacheDir, { recursive: true });
+  fs.writeFileSync(entryPath, JSON.stringify({ key, data }));
+  return { data, cached: false };
+}
+
+module.exports = { DEFAULT_CACHE_DIR, cacheKey, runCachedParser };
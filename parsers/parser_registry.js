@@ -0,0 +1,105 @@
+/**
+ * Parser Registry
+ *
+ * Maps the parser types used in sources.jsonc to the mod parsers. Every
+ * parser is called the same way, with the source entry from the manifest:
+ *   { key, name, parser, sourceFile, langFile }
+ * and returns the intermediate format { bees, mutations, branches, centrifuge }.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const { findLocaleFiles } = require("./lang_utils");
+const { parseForestry } = require("./forestry_parser");
+const { parseExtraBees } = require("./extrabees_parser");
+const { parseCareerBees } = require("./careerbees_parser");
+const { parseMagicBees } = require("./magicbees_parser");
+const { parseGendustryConfig } = require("./gendustry_config_parser");
+
+/**
+ * Map of parser type to parse function (source) → intermediate data
+ */
+const PARSERS = {
+  forestry: (source) => parseForestry(source.sourceFile, source.langFile),
+  extrabees: (source) => parseExtraBees(source.sourceFile, source.langFile),
+  careerbees: (source) => parseCareerBees(source.sourceFile, source.langFile),
+  magicbees: (source) => parseMagicBees(source.sourceFile, source.langFile),
+  gendustry: (source) =>
+    parseGendustryConfig(source.sourceFile, source.langFile),
+};
+
+/**
+ * Files each parser type reads next to the source file, besides lang files.
+ * Parsers leave out what a missing companion file declares (branch templates,
+ * centrifuge recipes); callers warn about it, see missingCompanionFiles.
+ */
+const COMPANION_FILES = {
+  forestry: ["BeeBranchDefinition.java", "ModuleApiculture.java"],
+  extrabees: ["EnumHoneyComb.java"],
+  careerbees: [],
+  magicbees: ["EnumBeeBranches.java", "EnumCombType.java"],
+  gendustry: [],
+};
+
+/**
+ * Companion files of a source entry, next to its source file
+ * @param {Object} source - Source entry from sources.jsonc (paths resolved)
+ * @returns {Array<string>} File paths (some may not exist)
+ */
+function companionFiles(source) {
+  const sourceDir = path.dirname(source.sourceFile);
+  return (COMPANION_FILES[source.parser] || []).map((file) =>
+    path.join(sourceDir, file)
+  );
+}
+
+/**
+ * Companion files of a source entry that do not exist
+ * @param {Object} source - Source entry from sources.jsonc (paths resolved)
+ * @returns {Array<string>} Missing file paths
+ */
+function missingCompanionFiles(source) {
+  return companionFiles(source).filter((file) => !fs.existsSync(file));
+}
+
+/**
+ * Every file the parser of a source entry reads: the source file, its
+ * companion files and the lang file with the other locales next to it
+ * @param {Object} source - Source entry from sources.jsonc (paths resolved)
+ * @returns {Array<string>} File paths (some may not exist)
+ */
+function parserInputFiles(source) {
+  const files = [source.sourceFile, ...companionFiles(source)];
+  if (source.langFile) {
+    files.push(
+      source.langFile,
+      ...Object.values(findLocaleFiles(source.langFile))
+    );
+  }
+  return Array.from(new Set(files));
+}
+
+/**
+ * Run the parser registered for a source entry
+ * @param {Object} source - Source entry from sources.jsonc (paths resolved)
+ * @returns {Object} Intermediate format object
+ */
+function runParser(source) {
+  const parse = PARSERS[source.parser];
+  if (!parse) {
+    throw new Error(
+      `Unknown parser type "${source.parser}" (expected one of: ${Object.keys(
+        PARSERS
+      ).join(", ")})`
+    );
+  }
+  return parse(source);
+}
+
+module.exports = {
+  PARSERS,
+  runParser,
+  parserInputFiles,
+  missingCompanionFiles,
+};
@@ -0,0 +1,134 @@
+/**
+ * Product Utilities
+ *
+ * Shared helpers for the typed product references emitted by the parsers.
+ * A product reference identifies an item by mod, item kind and variant:
+ *   { mod: "forestry", kind: "comb", variant: "honey" }
+ *   { mod: "minecraft", kind: "item", variant: "skull", meta: 4 }
+ * Ore dictionary entries keep their case: { mod: "ore", kind: "oredict", variant: "dustBlizz" }
+ */
+
+/**
+ * Forestry EnumHoneyComb constants in ordinal (item damage) order
+ */
+const FORESTRY_COMBS = [
+  "HONEY",
+  "COCOA",
+  "SIMMERING",
+  "STRINGY",
+  "FROZEN",
+  "DRIPPING",
+  "SILKY",
+  "PARCHED",
+  "MYSTERIOUS",
+  "IRRADIATED",
+  "POWDERY",
+  "REDDENED",
+  "DARKENED",
+  "OMEGA",
+  "WHEATEN",
+  "MOSSY",
+  "MELLOW",
+];
+
+/**
+ * Item kinds of Forestry's subtyped items by item field name
+ * (beeComb.get(EnumHoneyComb.HONEY, 1), new ItemStack(propolis, 1, meta), ...)
+ */
+const FORESTRY_SUBTYPED_ITEMS = {
+  beeComb: "comb",
+  honeyDrop: "drop",
+  propolis: "propolis",
+  pollenCluster: "pollen",
+};
+
+/**
+ * Create a product reference
+ * @param {string} mod - Mod ID (forestry, extrabees, minecraft, ...)
+ * @param {string} kind - Item kind (comb, drop, pollen, propolis, wax, resource, item, block)
+ * @param {string} variant - Variant name, lowercased (honey, skull, ...)
+ * @param {number} [meta] - Item damage value, when it matters
+ * @returns {Object} Product reference
+ */
+function productRef(mod, kind, variant, meta = null) {
+  const ref = { mod, kind, variant: variant.toLowerCase() };
+  if (meta !== null) {
+    ref.meta = meta;
+  }
+  return ref;
+}
+
+/**
+ * Create a reference to any item registered under an ore dictionary name
+ * @param {string} name - Ore dictionary name (dustBlizz, nuggetEnderium, ...)
+ * @returns {Object} Product reference of kind "oredict"
+ */
+function oreDictRef(name) {
+  return { mod: "ore", kind: "oredict", variant: name };
+}
+
+/**
+ * Create a reference for an expression no parser pattern recognized
+ * @param {string} expr - Original Java/config expression
+ * @returns {Object} Product reference of kind "unknown"
+ */
+function unknownRef(expr) {
+  return { mod: null, kind: "unknown", variant: expr.trim() };
+}
+
+/**
+ * Format a product reference as the item ID used in the output files
+ * e.g. forestry:comb.honey, minecraft:skull@4, magicbees:drop.arcane, ore:dustBlizz
+ * @param {Object} ref - Product reference
+ * @returns {string} Item ID
+ */
+function formatProductId(ref) {
+  if (ref.kind === "unknown") return ref.variant;
+  if (ref.kind === "oredict") return `ore:${ref.variant}`;
+
+  const name =
+    ref.kind === "item" || ref.kind === "block"
+      ? ref.variant
+      : `${ref.kind}.${ref.variant}`;
+  const meta = ref.meta !== undefined ? `@${ref.meta}` : "";
+  return `${ref.mod}:${name}${meta}`;
+}
+
+/**
+ * Parse vanilla ItemStack constructors
+ * Pattern: new ItemStack(Items.SKULL, 1, 4), new ItemStack(Blocks.SAND)
+ * @param {string} expr - Java expression
+ * @returns {Object|null} Product reference, or null if not an ItemStack of a vanilla item
+ */
+function parseItemStack(expr) {
+  const match = expr.match(
+    /new\s+ItemStack\(\s*(Items|Blocks)\.(\w+)\s*(?:,\s*\d+\s*(?:,\s*(\d+)\s*)?)?\)/
+  );
+  if (!match) return null;
+
+  const [, type, name, meta] = match;
+  return productRef(
+    "minecraft",
+    type === "Blocks" ? "block" : "item",
+    name,
+    meta !== undefined ? parseInt(meta) : null
+  );
+}
+
+/**
+ * Convert camelCase field names to snake_case (royalJelly → royal_jelly)
+ */
+function toSnakeCase(name) {
+  return name.replace(/([a-z0-9])([A-Z])/g, "$1_$2").toLowerCase();
+}
+
+module.exports = {
+  FORESTRY_COMBS,
+  FORESTRY_SUBTYPED_ITEMS,
+  productRef,
+  oreDictRef,
+  unknownRef,
+  formatProductId,
+  parseItemStack,
+  toSnakeCase,
+};
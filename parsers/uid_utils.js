@@ -0,0 +1,141 @@
+/**
+ * UID Utilities
+ *
+ * Species UIDs are the keys of bees.jsonc: mod:name, lowercase, without
+ * spaces or underscores ("forestry:industrious", "magicbees:aeskystone").
+ * The game identifies the same species by its allele UID
+ * ("forestry.speciesIndustrious", "magicbees.speciesAESkystone"). Every
+ * parser and the output builder convert between the two through here.
+ */
+
+/**
+ * Canonical species UID from a mod and a species name in any of the forms
+ * the sources use: "INDUSTRIOUS", "Junk Seller", "TE_BLIZZY", "digging.fortune"
+ */
+function formatSpeciesUID(mod, name) {
+  return `${mod.toLowerCase()}:${name.toLowerCase().replace(/[\s_]+/g, "")}`;
+}
+
+/**
+ * Canonical branch UID from a mod and a branch name ("HONEY", "Thaumic"),
+ * normalized like species UIDs
+ */
+function formatBranchUID(mod, name) {
+  return formatSpeciesUID(mod, name);
+}
+
+/**
+ * Normalize an identifier that is already in mod:name format
+ * ("Forestry:Industrious" → "forestry:industrious")
+ * @returns {string|null} Canonical UID, or null for other formats
+ */
+function normalizeUID(identifier) {
+  if (!identifier || !identifier.includes(":")) return null;
+  const [mod, name] = identifier.split(":");
+  return formatSpeciesUID(mod, name);
+}
+
+/**
+ * Capitalize the first letter and lowercase the rest (WordUtils.capitalize
+ * on a lowercased single word)
+ */
+function capitalize(word) {
+  return word.charAt(0).toUpperCase() + word.slice(1).toLowerCase();
+}
+
+/**
+ * In-game allele UID builders per allele namespace, as the mods register
+ * their species (name is the enum constant or config section name)
+ */
+const ALLELE_UID_FORMATS = {
+  // BeeDefinition: "forestry.species" + WordUtils.capitalize(lowercaseName)
+  forestry: (name) => `forestry.species${capitalize(name)}`,
+  // ExtraBeeDefinition: modId + ".species." + lowercaseName
+  extrabees: (name) => `extrabees.species.${name.toLowerCase()}`,
+  // EnumBeeSpecies: AE_SKYSTONE → "AE" + "Skystone", ARCANE → "Arcane"
+  magicbees: (name) => {
+    const parts = name.split("_");
+    return parts.length === 1
+      ? `magicbees.species${capitalize(parts[0])}`
+      : `magicbees.species${parts[0]}${capitalize(parts[1])}`;
+  },
+  // CareerBeeEntry: modid + "." + name ("careerbees.digging.fortune")
+  careerbees: (name) => `careerbees.${name}`,
+  // Gendustry config bees: "gendustry.bee." + config section name
+  gendustry: (name) => `gendustry.bee.${name}`,
+};
+
+/**
+ * In-game species allele UID
+ * @param {string} namespace - Allele namespace (key of ALLELE_UID_FORMATS)
+ * @param {string} name - Species name as declared in the mod's source
+ * @returns {string} Allele UID, e.g. "forestry.speciesIndustrious"
+ */
+function speciesAlleleUID(namespace, name) {
+  const format = ALLELE_UID_FORMATS[namespace];
+  if (!format) {
+    throw new Error(`Unknown allele UID namespace: ${namespace}`);
+  }
+  return format(name);
+}
+
+/**
+ * Allele UID patterns and the mod of the canonical UID they resolve to
+ * Gendustry config bees share one namespace: Gendustry's own colour bees are
+ * lowercase ("gendustry.bee.black"), modpack bees are capitalized
+ * ("gendustry.bee.Meatball" → meatballcraft:meatball).
+ */
+const ALLELE_UID_PATTERNS = [
+  [/^forestry\.species(\w+)$/, () => "forestry"],
+  [/^extrabees\.species\.(\w+)$/, () => "extrabees"],
+  [/^magicbees\.species(\w+)$/, () => "magicbees"],
+  [
+    /^gendustry\.bee\.(\w+)$/,
+    (name) => (name === name.toLowerCase() ? "gendustry" : "meatballcraft"),
+  ],
+  [/^careerbees\.([\w.]+)$/, () => "careerbees"],
+];
+
+/**
+ * Build the alias table of in-game allele UIDs to canonical UIDs
+ * @param {Object} bees - Species keyed by canonical UID, with alleleUid
+ * @returns {Object} { alleleUid: uid }
+ */
+function buildAliasTable(bees) {
+  const aliases = {};
+  Object.entries(bees).forEach(([uid, bee]) => {
+    if (bee.alleleUid) aliases[bee.alleleUid] = uid;
+  });
+  return aliases;
+}
+
+/**
+ * Resolve an in-game allele UID to the canonical UID
+ * Exact matches in the alias table win; otherwise the UID is converted by
+ * its mod's naming pattern. Identifiers matching no pattern are returned
+ * unchanged (the caller reports them as unknown species).
+ * @param {string} alleleUid - e.g. "forestry.speciesIndustrious"
+ * @param {Object} [aliases] - Alias table from buildAliasTable()
+ * @returns {string} Canonical UID, e.g. "forestry:industrious"
+ */
+function resolveAlleleUID(alleleUid, aliases = {}) {
+  if (aliases[alleleUid]) return aliases[alleleUid];
+
+  for (const [pattern, modOf] of ALLELE_UID_PATTERNS) {
+    const match = alleleUid.match(pattern);
+    if (match) {
+      return formatSpeciesUID(modOf(match[1]), match[1]);
+    }
+  }
+
+  return alleleUid;
+}
+
+module.exports = {
+  formatSpeciesUID,
+  formatBranchUID,
+  normalizeUID,
+  speciesAlleleUID,
+  buildAliasTable,
+  resolveAlleleUID,
+};
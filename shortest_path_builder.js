@@ -5,8 +5,7 @@
  * preserving conditional mutations properly.
  */
 
-const fs = require("fs");
-const path = require("path");
+const { writeJsoncFile } = require("./jsonc");
 
 /**
  * Build shortest breeding path mutations
@@ -185,61 +184,18 @@ function buildShortestPathMutations(allBees, allMutations) {
   return output;
 }
 
-/**
- * Format shortest mutations JSON with custom formatting
- */
-function formatShortestMutationsJson(data, indent = 0) {
-  const indentStr = "  ".repeat(indent);
-  const nextIndent = "  ".repeat(indent + 1);
-
-  if (Array.isArray(data)) {
-    if (data.length === 0) return "[]";
-
-    // Check if array contains only primitives
-    const allPrimitives = data.every(
-      (item) =>
-        typeof item === "string" ||
-        typeof item === "number" ||
-        typeof item === "boolean" ||
-        item === null
-    );
-
-    if (allPrimitives) {
-      // Format inline for primitive arrays
-      return "[" + data.map((item) => JSON.stringify(item)).join(", ") + "]";
-    } else {
-      // Format multi-line for object arrays
-      const items = data.map((item, index) => {
-        const formattedItem = formatShortestMutationsJson(item, indent + 1);
-        const comma = index < data.length - 1 ? "," : "";
-        return nextIndent + formattedItem + comma;
-      });
-      return "[\n" + items.join("\n") + "\n" + indentStr + "]";
-    }
-  } else if (typeof data === "object" && data !== null) {
-    const keys = Object.keys(data);
-    if (keys.length === 0) return "{}";
-
-    const items = keys.map((key) => {
-      const value = data[key];
-      const formattedValue = formatShortestMutationsJson(value, indent + 1);
-      return `${nextIndent}"${key}": ${formattedValue}`;
-    });
-
-    return "{\n" + items.join(",\n") + "\n" + indentStr + "}";
-  } else {
-    return JSON.stringify(data);
-  }
-}
-
 /**
  * Write shortest mutations JSONC file
  */
 function writeShortestMutationsJsonc(filePath, data) {
-  const header = `// Shortest Breeding Paths\n// Generated from mutations.jsonc\n// Contains only the shortest breeding path to obtain each bee\n\n`;
-
-  const jsonContent = formatShortestMutationsJson(data);
-  fs.writeFileSync(filePath, header + jsonContent);
+  const header = [
+    "// Shortest Breeding Paths",
+    "// Generated from mutations.jsonc",
+    "// Contains only the shortest breeding path to obtain each bee",
+    "",
+  ];
+
+  writeJsoncFile(filePath, data, { comments: { "": { leading: header } } });
 }
 
 module.exports = {
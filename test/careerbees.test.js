@@ -0,0 +1,58 @@
+/**
+ * CareerBees Species Tests
+ *
+ * Products the CareerBeeEntry constructor adds by default, RAINBOW's
+ * computed dye chances and the nocturnal flag.
+ *
+ * Usage: node --test test/
+ */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const path = require("path");
+
+const { parseCareerBees } = require("../parsers/careerbees_parser");
+const { formatProductId } = require("../parsers/product_utils");
+
+const ROOT = path.join(__dirname, "..");
+
+const { bees } = parseCareerBees(
+  path.join(ROOT, "raw_data", "careerbees", "CareerBeeSpecies.java"),
+  path.join(ROOT, "raw_data", "careerbees", "lang", "en_us.lang")
+);
+
+/**
+ * Item IDs and chances of a species' products
+ */
+function productsOf(uid) {
+  return bees[uid].products.map((product) => [
+    formatProductId(product.item),
+    product.chance,
+  ]);
+}
+
+test("species keep the default products unless they remove them", () => {
+  assert.deepStrictEqual(productsOf("careerbees:student"), [
+    ["forestry:comb.honey", 0.3],
+  ]);
+  assert.deepStrictEqual(productsOf("careerbees:quantumcharm"), [
+    ["careerbees:ingredient.ying", 0.1],
+  ]);
+});
+
+test("RAINBOW produces every dye with its computed chance", () => {
+  const dyes = productsOf("careerbees:rainbow").filter(([id]) =>
+    id.startsWith("minecraft:dye@")
+  );
+
+  assert.strictEqual(dyes.length, 16);
+  // Red (base weight 5) and orange (red + yellow, weight 10)
+  const chance = (id) => dyes.find(([dye]) => dye === id)[1];
+  assert.strictEqual(chance("minecraft:dye@1"), 0.0513979);
+  assert.strictEqual(chance("minecraft:dye@14"), 0.102796);
+});
+
+test("nocturnal species are flagged", () => {
+  assert.strictEqual(bees["careerbees:thief"].isNocturnal, true);
+  assert.strictEqual(bees["careerbees:student"].isNocturnal, false);
+});
@@ -0,0 +1,77 @@
+/**
+ * Centrifuge Recipe Tests
+ *
+ * Comb processing in combs.jsonc, from a Gendustry cfg recipes block and
+ * from Forestry's centrifuge registrations (fixture next to the real
+ * BeeDefinition.java).
+ *
+ * Usage: node --test test/
+ */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { parseForestry } = require("../parsers/forestry_parser");
+const { parseGendustryConfig } = require("../parsers/gendustry_config_parser");
+const { buildOutput } = require("../output_builder");
+
+const ROOT = path.join(__dirname, "..");
+const FIXTURES = path.join(__dirname, "fixtures");
+
+/**
+ * combs.jsonc content built from intermediate data, without manual mutations
+ */
+function buildCombs(intermediateData) {
+  const { files } = buildOutput(intermediateData, null, { validate: false });
+  return files["combs.jsonc"];
+}
+
+test("Gendustry combs carry the outputs of their cfg centrifuge recipe", () => {
+  const data = parseGendustryConfig(
+    path.join(ROOT, "raw_data", "gendustry", "bees_color.cfg"),
+    path.join(ROOT, "raw_data", "gendustry", "lang", "en_US.lang")
+  );
+  const combs = buildCombs([data]);
+
+  assert.deepStrictEqual(combs["gendustry:comb.black"].processing, [
+    { product: "gendustry:drop.black", chance: 1 },
+    { product: "forestry:honey_drop", chance: 0.3 },
+    { product: "forestry:beeswax", chance: 0.5 },
+  ]);
+});
+
+test("Forestry combs carry the outputs registered in ModuleApiculture.java", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "forestry-"));
+  try {
+    fs.copyFileSync(
+      path.join(ROOT, "raw_data", "forestry", "BeeDefinition.java"),
+      path.join(dir, "BeeDefinition.java")
+    );
+    ["ModuleApiculture.java", "BeeBranchDefinition.java"].forEach((file) =>
+      fs.copyFileSync(
+        path.join(FIXTURES, "forestry", file),
+        path.join(dir, file)
+      )
+    );
+
+    const data = parseForestry(
+      path.join(dir, "BeeDefinition.java"),
+      path.join(ROOT, "raw_data", "forestry", "lang", "en_us.lang")
+    );
+    const combs = buildCombs([data]);
+
+    assert.deepStrictEqual(combs["forestry:comb.honey"].processing, [
+      { product: "forestry:beeswax", chance: 1 },
+      { product: "forestry:honey_drop", chance: 0.9 },
+    ]);
+    assert.deepStrictEqual(combs["forestry:comb.simmering"].processing, [
+      { product: "forestry:refractory_wax", chance: 1 },
+      { product: "forestry:phosphor", chance: 0.7 },
+    ]);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
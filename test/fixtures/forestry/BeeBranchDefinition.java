@@ -0,0 +1,13 @@
+package forestry.apiculture.genetics;
+
+// Test fixture: branch templates in the shape of Forestry's BeeBranchDefinition
+public enum BeeBranchDefinition implements IBranchDefinition {
+    HONEY("Apis"),
+    NOBLE("Nobilis") {
+        @Override
+        protected void setBranchProperties(IAllele[] alleles) {
+            AlleleHelper.getInstance().set(alleles, EnumBeeChromosome.LIFESPAN, EnumAllele.Lifespan.SHORTER);
+        }
+    },
+    ;
+}
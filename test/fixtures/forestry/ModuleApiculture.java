@@ -0,0 +1,24 @@
+package forestry.apiculture;
+
+// Test fixture: comb centrifuge recipes as ModuleApiculture.registerRecipes()
+// registers them
+public class ModuleApiculture extends BlankForestryModule {
+
+    @Override
+    public void registerRecipes() {
+        ItemRegistryApiculture items = getItems();
+        ItemRegistryCore coreItems = ModuleCore.getItems();
+
+        // / CENTRIFUGE
+        // Honey combs
+        RecipeManagers.centrifugeManager.addRecipe(20, items.beeComb.get(EnumHoneyComb.HONEY, 1), ImmutableMap.of(
+                coreItems.beeswax.getItemStack(), 1.0f,
+                items.honeyDrop.getItemStack(), 0.9f
+        ));
+        // Simmering combs
+        RecipeManagers.centrifugeManager.addRecipe(20, items.beeComb.get(EnumHoneyComb.SIMMERING, 1), ImmutableMap.of(
+                coreItems.refractoryWax.getItemStack(), 1.0f,
+                coreItems.phosphor.getItemStack(2), 0.7f
+        ));
+    }
+}
@@ -0,0 +1,14 @@
+package magicbees.bees;
+
+// Test fixture: branch templates in the shape of MagicBees' EnumBeeBranches
+public enum EnumBeeBranches implements IBranchDefinition {
+    VEILED("Velatapis") {
+        @Override
+        protected void setBranchProperties(BeeGenomeTemplate template) {
+            template.setSpeed(SPEED_SLOWER);
+            template.setTemperatureTolerance(TOLERANCE_BOTH_1);
+        }
+    },
+    ARCANE("Arcanapis"),
+    ;
+}
@@ -0,0 +1,65 @@
+/**
+ * Forestry Branch Tests
+ *
+ * Branch scientific names and templates from BeeBranchDefinition.java
+ * (fixture next to the real BeeDefinition.java), and the fallback when the
+ * file is not available.
+ *
+ * Usage: node --test test/
+ */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { parseForestry } = require("../parsers/forestry_parser");
+
+const ROOT = path.join(__dirname, "..");
+
+/**
+ * Parse BeeDefinition.java from a directory holding the given fixtures
+ */
+function parseWithFixtures(fixtures) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "forestry-"));
+  try {
+    fs.copyFileSync(
+      path.join(ROOT, "raw_data", "forestry", "BeeDefinition.java"),
+      path.join(dir, "BeeDefinition.java")
+    );
+    fixtures.forEach((file) =>
+      fs.copyFileSync(
+        path.join(__dirname, "fixtures", "forestry", file),
+        path.join(dir, file)
+      )
+    );
+    return parseForestry(path.join(dir, "BeeDefinition.java"));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test("branches take their Latin names and templates from BeeBranchDefinition.java", () => {
+  const { branches } = parseWithFixtures(["BeeBranchDefinition.java"]);
+
+  assert.deepStrictEqual(branches["forestry:honey"], {
+    name: "Apis",
+    scientific: "Apis",
+    mod: "forestry",
+  });
+  assert.deepStrictEqual(branches["forestry:noble"].alleles, {
+    lifespan: "SHORTER",
+  });
+});
+
+test("branches fall back to their enum names without BeeBranchDefinition.java", () => {
+  const { branches } = parseWithFixtures([]);
+
+  assert.deepStrictEqual(branches["forestry:honey"], {
+    name: "Honey",
+    scientific: "HONEY",
+    mod: "forestry",
+  });
+  assert.strictEqual(branches["forestry:noble"].alleles, undefined);
+});
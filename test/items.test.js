@@ -0,0 +1,53 @@
+/**
+ * Item Resolution Tests
+ *
+ * Every item the default profile references resolves to a registry name or
+ * an ore dictionary entry, and bee products carry the item they resolve to.
+ *
+ * Usage: node --test test/
+ */
+
+const test = require("node:test");
+const assert = require("node:assert");
+
+const { loadManifest } = require("../extract_bee_data");
+const { runParser } = require("../parsers/parser_registry");
+const { buildOutput } = require("../output_builder");
+
+/**
+ * Output files of the default profile, without manual mutations
+ */
+function buildDefaultProfile() {
+  const { profiles } = loadManifest();
+  const profile = profiles.find(({ name }) => name === "default");
+  const data = profile.sources.map((source) => runParser(source));
+  return buildOutput(data, null, { validate: false }).files;
+}
+
+const files = buildDefaultProfile();
+
+test("every referenced item has a registry name or an ore dictionary entry", () => {
+  const items = files["items.jsonc"];
+
+  assert.deepStrictEqual(
+    Object.keys(items).filter(
+      (id) => items[id].registryName === null && !items[id].oreDict
+    ),
+    []
+  );
+});
+
+test("bee products carry the item they resolve to", () => {
+  const items = files["items.jsonc"];
+
+  Object.entries(files["bees.jsonc"]).forEach(([uid, bee]) =>
+    bee.products.forEach((product) => {
+      const { registryName, meta, oreDict } = product;
+      assert.deepStrictEqual(
+        { registryName, meta, ...(oreDict ? { oreDict } : {}) },
+        items[product.item],
+        `${uid}: ${product.item}`
+      );
+    })
+  );
+});
@@ -0,0 +1,34 @@
+/**
+ * Lang File Tests
+ *
+ * Lang keys name species by their enum or registry names ("quantum_charm");
+ * they must land on the species UIDs the parsers key bees by.
+ *
+ * Usage: node --test test/
+ */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const path = require("path");
+
+const { parseCareerBees } = require("../parsers/careerbees_parser");
+
+const ROOT = path.join(__dirname, "..");
+
+test("CareerBees lang names and descriptions reach species with underscores in their lang keys", () => {
+  const { bees } = parseCareerBees(
+    path.join(ROOT, "raw_data", "careerbees", "CareerBeeSpecies.java"),
+    path.join(ROOT, "raw_data", "careerbees", "lang", "en_us.lang")
+  );
+
+  assert.deepStrictEqual(
+    ["quantumcharm", "honeysmelter", "madscientist"].map(
+      (name) => bees[`careerbees:${name}`].name
+    ),
+    ["Quantum Charming", "Honey-Smelter", "Mad Scientist"]
+  );
+  assert.strictEqual(
+    bees["careerbees:honeysmelter"].description,
+    "This honey tastes... metal-y?"
+  );
+});
@@ -0,0 +1,67 @@
+/**
+ * MagicBees Branch Tests
+ *
+ * Species genomes start from their branch template in EnumBeeBranches.java
+ * (fixture next to the real EnumBeeSpecies.java), and from the default
+ * template when the file is not available.
+ *
+ * Usage: node --test test/
+ */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { parseMagicBees } = require("../parsers/magicbees_parser");
+const { DEFAULT_GENOME, resolveGenomes } = require("../parsers/genome_utils");
+
+const ROOT = path.join(__dirname, "..");
+
+/**
+ * Parse EnumBeeSpecies.java from a directory holding the given fixtures and
+ * resolve the species genomes
+ */
+function parseWithFixtures(fixtures) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "magicbees-"));
+  try {
+    fs.copyFileSync(
+      path.join(ROOT, "raw_data", "magicbees", "EnumBeeSpecies.java"),
+      path.join(dir, "EnumBeeSpecies.java")
+    );
+    fixtures.forEach((file) =>
+      fs.copyFileSync(
+        path.join(__dirname, "fixtures", "magicbees", file),
+        path.join(dir, file)
+      )
+    );
+    const data = parseMagicBees(path.join(dir, "EnumBeeSpecies.java"));
+    resolveGenomes(data.bees, data.branches);
+    return data;
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test("species genomes start from their EnumBeeBranches.java template", () => {
+  const { bees, branches } = parseWithFixtures(["EnumBeeBranches.java"]);
+
+  assert.strictEqual(branches["magicbees:veiled"].scientific, "Velatapis");
+  // Branch speed kept, branch tolerance overridden by modifyGenomeTemplate()
+  const { speed, temperatureTolerance } = bees["magicbees:sorcerous"].genome;
+  assert.deepStrictEqual(
+    { speed, temperatureTolerance },
+    { speed: "SLOWER", temperatureTolerance: "DOWN_2" }
+  );
+});
+
+test("species genomes start from the default template without EnumBeeBranches.java", () => {
+  const { bees, branches } = parseWithFixtures([]);
+
+  assert.strictEqual(branches["magicbees:veiled"].alleles, undefined);
+  assert.strictEqual(
+    bees["magicbees:sorcerous"].genome.speed,
+    DEFAULT_GENOME.speed
+  );
+});
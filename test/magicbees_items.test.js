@@ -0,0 +1,48 @@
+/**
+ * MagicBees Item Tests
+ *
+ * Ore resources (EnumOreResourceType) and other mods' items
+ * (BeeIntegrationInterface) become item references, never Java source text.
+ *
+ * Usage: node --test test/
+ */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const path = require("path");
+
+const { parseMagicBees } = require("../parsers/magicbees_parser");
+const { oreDictRef } = require("../parsers/product_utils");
+
+const ROOT = path.join(__dirname, "..");
+
+const data = parseMagicBees(
+  path.join(ROOT, "raw_data", "magicbees", "EnumBeeSpecies.java"),
+  path.join(ROOT, "raw_data", "magicbees", "lang", "en_US.lang")
+);
+
+test("ore resource species produce the resource and require its block", () => {
+  const specialty = data.bees["magicbees:iron"].products.find(
+    (product) => product.isSpecialty
+  );
+  assert.deepStrictEqual(specialty.item, oreDictRef("nuggetIron"));
+
+  const mutation = data.mutations.find(
+    (mutation) => mutation.offspring === "magicbees:iron"
+  );
+  assert.deepStrictEqual(mutation.conditions.block, [oreDictRef("blockIron")]);
+});
+
+test("no product or block requirement is left as an unparsed expression", () => {
+  const products = Object.values(data.bees).flatMap((bee) => bee.products);
+  const blocks = data.mutations.flatMap(
+    (mutation) => (mutation.conditions && mutation.conditions.block) || []
+  );
+
+  assert.deepStrictEqual(
+    [...products.map((product) => product.item), ...blocks]
+      .filter((ref) => ref.kind === "unknown")
+      .map((ref) => ref.variant),
+    []
+  );
+});
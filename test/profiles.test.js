@@ -0,0 +1,124 @@
+/**
+ * Build Profile Tests
+ *
+ * Builds a manifest with two profiles through the CLI: selecting one with
+ * --profile, and building both in one invocation.
+ *
+ * Usage: node --test test/
+ */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { spawnSync } = require("child_process");
+
+const { loadManifest } = require("../extract_bee_data");
+const { readJsoncFile } = require("../jsonc");
+
+const ROOT = path.join(__dirname, "..");
+
+/**
+ * Write a manifest with one profile per Gendustry cfg into a temporary
+ * directory
+ * @returns {string} The directory
+ */
+function writeManifest() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "profiles-"));
+  const gendustrySource = (key, file) => ({
+    key,
+    name: key,
+    parser: "gendustry",
+    sourceFile: path.join(ROOT, "raw_data", "gendustry", file),
+  });
+  const manifest = {
+    sources: [
+      gendustrySource("color", "bees_color.cfg"),
+      gendustrySource("patreon", "bees_patreon.cfg"),
+    ],
+    profiles: {
+      color: { sources: ["color"], outputDir: "out/color" },
+      patreon: { sources: ["patreon"] },
+    },
+  };
+  fs.writeFileSync(
+    path.join(dir, "sources.jsonc"),
+    JSON.stringify(manifest, null, 2)
+  );
+  return dir;
+}
+
+/**
+ * Run extract_bee_data.js on the manifest in dir
+ */
+function runBuild(dir, args) {
+  return spawnSync(
+    process.execPath,
+    [
+      path.join(ROOT, "extract_bee_data.js"),
+      "--sources",
+      path.join(dir, "sources.jsonc"),
+      "--cache-dir",
+      path.join(dir, "cache"),
+      "--no-validate",
+      ...args,
+    ],
+    { encoding: "utf-8" }
+  );
+}
+
+test("profiles resolve their sources, manual mutations and output directory", () => {
+  const dir = writeManifest();
+  try {
+    const { profiles } = loadManifest(path.join(dir, "sources.jsonc"));
+
+    assert.deepStrictEqual(
+      profiles.map((profile) => [
+        profile.name,
+        profile.sources.map((source) => source.key),
+        profile.outputDir,
+      ]),
+      [
+        ["color", ["color"], path.join(dir, "out", "color")],
+        ["patreon", ["patreon"], path.join(dir, "data", "patreon")],
+      ]
+    );
+    assert.strictEqual(
+      profiles[1].manualMutationsPath,
+      path.join(dir, "manual", "mutations.jsonc")
+    );
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("--profile builds only the selected profile", () => {
+  const dir = writeManifest();
+  try {
+    const result = runBuild(dir, ["--profile", "patreon"]);
+    assert.strictEqual(result.status, 0, result.stderr);
+
+    const bees = readJsoncFile(path.join(dir, "data", "patreon", "bees.jsonc"));
+    // Patreon bees only, none of the color profile's
+    assert.ok(Object.keys(bees).length > 0);
+    assert.ok(!("gendustry:black" in bees));
+    assert.ok(!fs.existsSync(path.join(dir, "out", "color")));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("every profile is built in one invocation", () => {
+  const dir = writeManifest();
+  try {
+    const result = runBuild(dir, []);
+    assert.strictEqual(result.status, 0, result.stderr);
+
+    assert.ok(fs.existsSync(path.join(dir, "out", "color", "bees.jsonc")));
+    assert.ok(fs.existsSync(path.join(dir, "data", "patreon", "bees.jsonc")));
+    assert.match(result.stdout, /Profile summary/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
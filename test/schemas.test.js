@@ -0,0 +1,30 @@
+/**
+ * Schema Tests
+ *
+ * The published schemas spell out the condition values themselves; they
+ * must allow exactly the values the output builder normalizes to.
+ *
+ * Usage: node --test test/
+ */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const path = require("path");
+
+const { readJsoncFile } = require("../jsonc");
+const { CONDITIONS } = require("../parsers/condition_utils");
+
+const ROOT = path.join(__dirname, "..");
+
+test("common.schema.json condition enums match CONDITIONS", () => {
+  const { $defs } = readJsoncFile(
+    path.join(ROOT, "schemas", "common.schema.json")
+  );
+
+  Object.entries(CONDITIONS)
+    .filter(([, spec]) => spec.values)
+    .forEach(([key, spec]) => {
+      assert.ok($defs[key], `common.schema.json has no $defs/${key}`);
+      assert.deepStrictEqual($defs[key].enum, spec.values, key);
+    });
+});
@@ -0,0 +1,64 @@
+/**
+ * Source Line Tests
+ *
+ * Mutations from Gendustry recipes sections point at their own line, in
+ * cfg files with one recipes section and with several.
+ *
+ * Usage: node --test test/
+ */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+
+const { parseGendustryConfig } = require("../parsers/gendustry_config_parser");
+
+const ROOT = path.join(__dirname, "..");
+
+/**
+ * Parse a cfg file and return its recipe mutations with the source line
+ * each one points at
+ */
+function recipeMutationLines(filePath) {
+  const lines = fs.readFileSync(filePath, "utf-8").split("\n");
+  const { mutations } = parseGendustryConfig(filePath);
+  return mutations
+    .filter((mutation) => mutation.source)
+    .map((mutation) => ({
+      offspring: mutation.offspring,
+      line: mutation.source.line,
+      text: lines[mutation.source.line - 1].trim(),
+    }));
+}
+
+test("recipe mutations keep their lines across several recipes sections", () => {
+  // bees_color.cfg has recipes sections at lines 410, 429 and 528
+  const mutations = recipeMutationLines(
+    path.join(ROOT, "raw_data", "gendustry", "bees_color.cfg")
+  );
+
+  assert.ok(mutations.length > 0);
+  mutations.forEach(({ offspring, text }) =>
+    assert.match(text, /^mutation:/, offspring)
+  );
+  assert.strictEqual(
+    mutations.find(({ offspring }) => offspring === "gendustry:blue").line,
+    529
+  );
+});
+
+test("recipe mutations keep their lines in a single recipes section", () => {
+  const mutations = recipeMutationLines(
+    path.join(ROOT, "raw_data", "meatball_bees.cfg")
+  );
+
+  mutations.forEach(({ offspring, text }) =>
+    assert.match(text, /^mutation:/, offspring)
+  );
+  assert.strictEqual(
+    mutations.find(({ offspring }) => offspring === "meatballcraft:balanced")
+      .line,
+    2975
+  );
+});
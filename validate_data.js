@@ -0,0 +1,477 @@
+/**
+ * Output Validator
+ *
+ * Checks generated JSONC data against the JSON Schemas in schemas/ and
+ * cross-checks references between files (mutation parents, comb producers,
+ * items, ...). Supports the subset of JSON Schema used by those schemas.
+ *
+ * Usage: node validate_data.js [data-dir ...]
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { readJsoncFile } = require("./jsonc");
+
+const SCHEMA_DIR = path.join(__dirname, "schemas");
+
+/**
+ * Output files and the schema describing each of them
+ */
+const OUTPUT_FILES = {
+  bees: { file: "bees.jsonc", schema: "bees.schema.json" },
+  mutations: { file: "mutations.jsonc", schema: "mutations.schema.json" },
+  combs: { file: "combs.jsonc", schema: "combs.schema.json" },
+  branches: { file: "branches.jsonc", schema: "branches.schema.json" },
+  items: { file: "items.jsonc", schema: "items.schema.json" },
+  shortestMutations: {
+    file: "shortest_mutations.jsonc",
+    schema: "shortest_mutations.schema.json",
+  },
+};
+
+const schemaCache = {};
+
+/**
+ * Load a schema file from schemas/
+ */
+function loadSchema(fileName) {
+  if (!schemaCache[fileName]) {
+    schemaCache[fileName] = JSON.parse(
+      fs.readFileSync(path.join(SCHEMA_DIR, fileName), "utf-8")
+    );
+  }
+  return schemaCache[fileName];
+}
+
+/**
+ * Resolve a $ref ("#/$defs/x", "file.json" or "file.json#/$defs/x")
+ * @returns {Object} { schema, file } - Target schema and the file it lives in
+ */
+function resolveRef(ref, currentFile) {
+  const [refFile, pointer = ""] = ref.split("#");
+  const file = refFile || currentFile;
+  let schema = loadSchema(file);
+
+  pointer
+    .split("/")
+    .filter(Boolean)
+    .forEach((segment) => {
+      schema = schema[segment];
+      if (schema === undefined) {
+        throw new Error(`Unresolvable schema reference ${ref} in ${file}`);
+      }
+    });
+
+  return { schema, file };
+}
+
+/**
+ * Append a property or index to a path: ["forestry:forest"].products[0]
+ */
+function childPath(parent, key) {
+  if (typeof key === "number") return `${parent}[${key}]`;
+  return /^[A-Za-z_$][\w$]*$/.test(key)
+    ? `${parent}.${key}`
+    : `${parent}[${JSON.stringify(key)}]`;
+}
+
+/**
+ * JSON Schema type name of a value
+ */
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+/**
+ * Validate a value against a schema
+ * @param {*} value - Value to check
+ * @param {Object} schema - JSON Schema (subset)
+ * @param {string} file - Schema file the schema belongs to (for $ref)
+ * @param {string} valuePath - Path of the value, used in messages
+ * @returns {Array<Object>} Violations [{ path, message }]
+ */
+function validateValue(value, schema, file, valuePath) {
+  const errors = [];
+  const fail = (message) => errors.push({ path: valuePath, message });
+
+  if (schema.$ref) {
+    const target = resolveRef(schema.$ref, file);
+    errors.push(...validateValue(value, target.schema, target.file, valuePath));
+  }
+
+  if (schema.anyOf) {
+    const matches = schema.anyOf.some(
+      (option) => validateValue(value, option, file, valuePath).length === 0
+    );
+    if (!matches) {
+      fail(`${JSON.stringify(value)} does not match any allowed form`);
+    }
+    return errors;
+  }
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    const actual = typeOf(value);
+    const ok = types.some(
+      (type) => type === actual || (type === "number" && actual === "integer")
+    );
+    if (!ok) {
+      fail(`expected ${types.join(" or ")}, got ${actual}`);
+      return errors;
+    }
+  }
+
+  if ("const" in schema && value !== schema.const) {
+    fail(`must be ${JSON.stringify(schema.const)}`);
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(
+      `${JSON.stringify(value)} is not one of ${schema.enum
+        .map((v) => JSON.stringify(v))
+        .join(", ")}`
+    );
+  }
+
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail(value.length === 0 ? "must not be empty" : "is too short");
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      fail(`${JSON.stringify(value)} does not match ${schema.pattern}`);
+    }
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      fail(`${value} is less than ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      fail(`${value} is greater than ${schema.maximum}`);
+    }
+    if (
+      schema.exclusiveMinimum !== undefined &&
+      value <= schema.exclusiveMinimum
+    ) {
+      fail(`${value} must be greater than ${schema.exclusiveMinimum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail(`must have at least ${schema.minItems} item(s)`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail(`must have at most ${schema.maxItems} item(s)`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(
+          ...validateValue(
+            item,
+            schema.items,
+            file,
+            childPath(valuePath, index)
+          )
+        );
+      });
+    }
+  }
+
+  if (typeOf(value) === "object") {
+    const keys = Object.keys(value);
+    const properties = schema.properties || {};
+
+    if (
+      schema.minProperties !== undefined &&
+      keys.length < schema.minProperties
+    ) {
+      fail(`must have at least ${schema.minProperties} entr(ies)`);
+    }
+    (schema.required || []).forEach((key) => {
+      if (!(key in value)) fail(`missing required property "${key}"`);
+    });
+
+    keys.forEach((key) => {
+      const keyPath = childPath(valuePath, key);
+      if (schema.propertyNames) {
+        validateValue(key, schema.propertyNames, file, keyPath).forEach(
+          (error) =>
+            errors.push({ path: keyPath, message: `key ${error.message}` })
+        );
+      }
+
+      if (properties[key]) {
+        errors.push(
+          ...validateValue(value[key], properties[key], file, keyPath)
+        );
+      } else if (schema.additionalProperties === false) {
+        fail(`unexpected property "${key}"`);
+      } else if (typeof schema.additionalProperties === "object") {
+        errors.push(
+          ...validateValue(
+            value[key],
+            schema.additionalProperties,
+            file,
+            keyPath
+          )
+        );
+      }
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Check that every bee UID referenced by a mutations-format file exists
+ */
+function checkMutationReferences(groups, beeIds) {
+  const errors = [];
+  if (!Array.isArray(groups)) return errors;
+
+  groups.forEach((group, index) => {
+    const groupPath = `[${index}]`;
+    (group.parents || []).forEach((parent, i) => {
+      if (!beeIds.has(parent)) {
+        errors.push({
+          path: `${groupPath}.parents[${i}]`,
+          message: `unknown bee "${parent}"`,
+        });
+      }
+    });
+
+    Object.entries(group.children || {}).forEach(([offspring, child]) => {
+      const childPathName = childPath(`${groupPath}.children`, offspring);
+      if (!beeIds.has(offspring)) {
+        errors.push({
+          path: childPathName,
+          message: `unknown bee "${offspring}"`,
+        });
+      }
+
+      (child.requirements || []).forEach((requirement, r) => {
+        []
+          .concat(requirement.runtimeConditions || [])
+          .forEach((condition, c) => {
+            if (condition.type === "BEE" && !beeIds.has(condition.target)) {
+              errors.push({
+                path: `${childPathName}.requirements[${r}].runtimeConditions[${c}].target`,
+                message: `unknown bee "${condition.target}"`,
+              });
+            }
+          });
+      });
+    });
+  });
+
+  return errors;
+}
+
+/**
+ * Check references between output files
+ * @param {Object} files - Parsed output files keyed like OUTPUT_FILES
+ * @param {Set<string>} beeIds - Known bee UIDs
+ * @returns {Object} Violations per file key
+ */
+function checkReferences(files, beeIds) {
+  const errors = {};
+
+  if (files.mutations) {
+    errors.mutations = checkMutationReferences(files.mutations, beeIds);
+    if (files.items && Array.isArray(files.mutations)) {
+      files.mutations.forEach((group, index) => {
+        Object.entries(group.children || {}).forEach(([offspring, child]) => {
+          (child.requirements || []).forEach((requirement, r) => {
+            (requirement.block || []).forEach((block, b) => {
+              if (!files.items[block]) {
+                errors.mutations.push({
+                  path: `${childPath(
+                    `[${index}].children`,
+                    offspring
+                  )}.requirements[${r}].block[${b}]`,
+                  message: `item "${block}" is missing from items.jsonc`,
+                });
+              }
+            });
+          });
+        });
+      });
+    }
+  }
+  if (files.shortestMutations) {
+    errors.shortestMutations = checkMutationReferences(
+      files.shortestMutations,
+      beeIds
+    );
+  }
+
+  if (files.combs && typeOf(files.combs) === "object") {
+    errors.combs = [];
+    Object.entries(files.combs).forEach(([combId, comb]) => {
+      (comb.producers || []).forEach((producer, i) => {
+        if (!beeIds.has(producer.bee)) {
+          errors.combs.push({
+            path: `${childPath("", combId)}.producers[${i}].bee`,
+            message: `unknown bee "${producer.bee}"`,
+          });
+        }
+      });
+      (comb.processing || []).forEach((output, i) => {
+        if (files.items && !files.items[output.product]) {
+          errors.combs.push({
+            path: `${childPath("", combId)}.processing[${i}].product`,
+            message: `item "${output.product}" is missing from items.jsonc`,
+          });
+        }
+      });
+    });
+  }
+
+  if (files.bees && typeOf(files.bees) === "object") {
+    errors.bees = [];
+    Object.entries(files.bees).forEach(([uid, bee]) => {
+      (bee.products || []).forEach((product, i) => {
+        if (
+          files.combs &&
+          /^[a-z0-9_]+:comb\./.test(product.item) &&
+          !files.combs[product.item]
+        ) {
+          errors.bees.push({
+            path: `${childPath("", uid)}.products[${i}].item`,
+            message: `comb "${product.item}" is missing from combs.jsonc`,
+          });
+        }
+        if (files.items && !files.items[product.item]) {
+          errors.bees.push({
+            path: `${childPath("", uid)}.products[${i}].item`,
+            message: `item "${product.item}" is missing from items.jsonc`,
+          });
+        }
+      });
+
+      if (files.branches && bee.branch && !files.branches[bee.branch]) {
+        errors.bees.push({
+          path: `${childPath("", uid)}.branch`,
+          message: `branch "${bee.branch}" is missing from branches.jsonc`,
+        });
+      }
+    });
+  }
+
+  if (files.branches && typeOf(files.branches) === "object") {
+    errors.branches = [];
+    Object.entries(files.branches).forEach(([uid, branch]) => {
+      (branch.members || []).forEach((member, i) => {
+        const path = `${childPath("", uid)}.members[${i}]`;
+        if (!beeIds.has(member)) {
+          errors.branches.push({ path, message: `unknown bee "${member}"` });
+        } else if (files.bees && files.bees[member].branch !== uid) {
+          errors.branches.push({
+            path,
+            message: `bee "${member}" is in branch "${files.bees[member].branch}"`,
+          });
+        }
+      });
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Validate output data against the schemas and each other
+ * @param {Object} files - Any of { bees, mutations, combs, branches, items, shortestMutations }
+ * @param {Object} [options]
+ * @param {Iterable<string>} [options.beeIds] - Known bee UIDs (default: keys of files.bees)
+ * @returns {Array<Object>} Violations [{ file, path, message }]
+ */
+function validateOutput(files, options = {}) {
+  const violations = [];
+  const beeIds = new Set(
+    options.beeIds || (files.bees ? Object.keys(files.bees) : [])
+  );
+
+  Object.entries(OUTPUT_FILES).forEach(([key, { file, schema }]) => {
+    if (files[key] === undefined) return;
+    validateValue(files[key], loadSchema(schema), schema, "").forEach((error) =>
+      violations.push({ file, ...error })
+    );
+  });
+
+  if (beeIds.size > 0) {
+    const referenceErrors = checkReferences(files, beeIds);
+    Object.entries(referenceErrors).forEach(([key, errors]) => {
+      errors.forEach((error) =>
+        violations.push({ file: OUTPUT_FILES[key].file, ...error })
+      );
+    });
+  }
+
+  return violations;
+}
+
+/**
+ * Format violations one per line: file: path: message
+ */
+function formatViolations(violations) {
+  return violations
+    .map(
+      ({ file, path: valuePath, message }) =>
+        `  ${file}: ${valuePath || "(root)"}: ${message}`
+    )
+    .join("\n");
+}
+
+/**
+ * Read and validate the output files in a data directory
+ * @param {string} dataDir - Directory containing the generated JSONC files
+ * @returns {Array<Object>} Violations
+ */
+function validateDataDir(dataDir) {
+  const files = {};
+  Object.entries(OUTPUT_FILES).forEach(([key, { file }]) => {
+    const filePath = path.join(dataDir, file);
+    if (!fs.existsSync(filePath)) {
+      console.warn(`⚠️  ${filePath} not found, skipping`);
+      return;
+    }
+    files[key] = readJsoncFile(filePath);
+  });
+
+  return validateOutput(files);
+}
+
+module.exports = { validateOutput, validateDataDir, formatViolations };
+
+// CLI usage
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  if (args.includes("--help") || args.includes("-h")) {
+    console.log("Usage: node validate_data.js [data-dir ...]");
+    console.log("");
+    console.log("Validates bees.jsonc, mutations.jsonc, combs.jsonc,");
+    console.log("branches.jsonc, items.jsonc and shortest_mutations.jsonc");
+    console.log("against the schemas in schemas/.");
+    console.log("The data directory defaults to data/.");
+    process.exit(0);
+  }
+
+  const dataDirs = args.length > 0 ? args : [path.join(__dirname, "data")];
+  let failed = false;
+
+  dataDirs.forEach((dataDir) => {
+    const violations = validateDataDir(dataDir);
+    if (violations.length > 0) {
+      failed = true;
+      console.log(`✗ ${dataDir}: ${violations.length} violation(s)`);
+      console.log(formatViolations(violations));
+    } else {
+      console.log(`✓ ${dataDir}: valid`);
+    }
+  });
+
+  process.exit(failed ? 1 : 0);
+}